@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET not set - using a random secret, issued tokens will not survive a restart');
+}
+
+module.exports = {
+  jwtSecret: process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+  tokenExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  bcryptRounds: 10,
+  apiKeyPrefix: 'pm_',
+  maxApiKeysPerUser: 10,
+  // Accounts allowed to manage deployment-wide settings such as system prompts (comma-separated)
+  adminEmails: (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean)
+};
@@ -0,0 +1,5 @@
+// Batch rewrite job settings
+module.exports = {
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 3, // parallel rewrites across all jobs
+  maxItems: parseInt(process.env.BATCH_MAX_ITEMS) || 100
+};
@@ -0,0 +1,21 @@
+// Built-in tones and document types, always available to every user.
+// Custom entries are stored in the CatalogEntry collection (see services/catalogService.js).
+module.exports = {
+  tones: {
+    formal: 'Use formal, professional language with proper structure and respectful tone. Avoid contractions and casual expressions.',
+    casual: 'Use relaxed, conversational language that feels natural and approachable. Contractions are fine.',
+    friendly: 'Use warm, welcoming language that creates connection. Be personable and engaging.',
+    professional: 'Use clear, business-appropriate language that is polished but not overly formal.',
+    creative: 'Use imaginative, engaging language with vivid descriptions and creative expressions.',
+    concise: 'Use brief, direct language that gets to the point quickly while maintaining clarity.'
+  },
+  types: {
+    email: 'Structure as a proper email with clear subject line suggestions and appropriate formatting.',
+    message: 'Format as a clear, direct message suitable for instant messaging or brief communication.',
+    explanation: 'Provide clear, logical explanation with good flow and easy-to-understand language.',
+    summary: 'Create a concise summary that captures the key points effectively.',
+    proposal: 'Structure as a professional proposal with clear objectives and compelling arguments.',
+    report: 'Format as a structured report with clear sections and professional presentation.',
+    other: 'Improve clarity, structure, and overall effectiveness of the content.'
+  }
+};
@@ -0,0 +1,7 @@
+// Rewrite response cache. REWRITE_CACHE=off disables it entirely.
+module.exports = {
+  enabled: process.env.REWRITE_CACHE !== 'off',
+  store: process.env.REWRITE_CACHE_STORE || 'memory', // 'memory' or 'mongo'
+  ttlSeconds: parseInt(process.env.REWRITE_CACHE_TTL) || 60 * 60,
+  maxEntries: parseInt(process.env.REWRITE_CACHE_MAX_ENTRIES) || 1000
+};
@@ -0,0 +1,22 @@
+// Feedback on history items (PUT /api/history/:id/feedback) and the report built from it
+module.exports = {
+  reasons: [
+    'changed_meaning',
+    'too_long',
+    'too_short',
+    'wrong_tone',
+    'wrong_language',
+    'lost_details',
+    'added_information',
+    'grammar',
+    'formatting',
+    'other'
+  ],
+  thumbs: ['up', 'down'],
+  // A rating at or above positiveRating (or thumbs up) counts as positive,
+  // at or below negativeRating (or thumbs down) as negative
+  positiveRating: 4,
+  negativeRating: 2,
+  // Final text at least this similar to the rewrite (word-level, 0-1) counts as "used as is"
+  usedAsIsSimilarity: 0.95
+};
@@ -0,0 +1,17 @@
+// Text and list limits shared by request schemas and Mongoose models
+module.exports = {
+  promptLength: 5000,
+  rewriteLength: 10000,
+  instructionLength: 1000,
+  searchLength: 200,
+  nameLength: 100,
+  descriptionLength: 500,
+  tagLength: 50,
+  tagsPerRequest: 20,
+  bulkIds: 500,
+  variants: 5,
+  templateVariables: 20,
+  teamMembers: 50,
+  shareExpiryDays: 365,
+  pageSize: 100
+};
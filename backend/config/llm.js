@@ -0,0 +1,29 @@
+// LLM provider configuration, resolved from the environment at startup.
+// LLM_PROVIDER picks the default backend; each request may override it.
+module.exports = {
+  defaultProvider: process.env.LLM_PROVIDER || 'gemini',
+  requestTimeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 30000,
+  generation: {
+    temperature: 0.7,
+    topP: 0.8,
+    topK: 40,
+    maxOutputTokens: 2048
+  },
+  providers: {
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
+    },
+    // Any endpoint speaking the OpenAI chat completions protocol
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    },
+    // Local Ollama-style server; enabled when a base URL is configured
+    ollama: {
+      baseUrl: process.env.OLLAMA_BASE_URL,
+      model: process.env.OLLAMA_MODEL || 'llama3'
+    }
+  }
+};
@@ -0,0 +1,32 @@
+// Per-identity rewrite quotas. Signed-in users get the plan stored on their account
+// (DEFAULT_PLAN for new accounts); anonymous callers are counted per IP on the
+// anonymous plan. null means unlimited. QUOTAS=off disables enforcement.
+// QUOTA_PLANS='{"team":{"dailyRewrites":2000}}' adds or overrides plan limits.
+const parseOverrides = () => {
+  if (!process.env.QUOTA_PLANS) return {};
+
+  try {
+    return JSON.parse(process.env.QUOTA_PLANS);
+  } catch (error) {
+    console.warn('⚠️ QUOTA_PLANS is not valid JSON, using the built-in plans');
+    return {};
+  }
+};
+
+const plans = {
+  anonymous: { dailyRewrites: 10, monthlyRewrites: 100, monthlyBudget: null },
+  free: { dailyRewrites: 50, monthlyRewrites: 500, monthlyBudget: 1 },
+  team: { dailyRewrites: 1000, monthlyRewrites: 20000, monthlyBudget: 50 },
+  unlimited: { dailyRewrites: null, monthlyRewrites: null, monthlyBudget: null }
+};
+
+for (const [name, limits] of Object.entries(parseOverrides())) {
+  plans[name] = { ...plans[name], ...limits };
+}
+
+module.exports = {
+  enabled: process.env.QUOTAS !== 'off',
+  plans,
+  defaultPlan: process.env.DEFAULT_PLAN || 'free',
+  anonymousPlan: 'anonymous'
+};
@@ -0,0 +1,32 @@
+// Model prices in USD per million tokens. Model names match by longest prefix,
+// so dated releases such as "gpt-4o-mini-2024-07-18" use the "gpt-4o-mini" row.
+// MODEL_PRICES='{"my-model":{"input":1,"output":2}}' adds or overrides rows.
+const parseOverrides = () => {
+  if (!process.env.MODEL_PRICES) return {};
+
+  try {
+    return JSON.parse(process.env.MODEL_PRICES);
+  } catch (error) {
+    console.warn('⚠️ MODEL_PRICES is not valid JSON, using the built-in price table');
+    return {};
+  }
+};
+
+module.exports = {
+  currency: 'USD',
+  perTokens: 1000000,
+  models: {
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'llama3': { input: 0, output: 0 },
+    ...parseOverrides()
+  },
+  // Used for models missing from the table; such costs are flagged as unpriced
+  fallback: {
+    input: parseFloat(process.env.DEFAULT_INPUT_PRICE) || 0,
+    output: parseFloat(process.env.DEFAULT_OUTPUT_PRICE) || 0
+  }
+};
@@ -0,0 +1,18 @@
+// What happens to personal data and secrets found in user text (PII_POLICY):
+//   off    - text is sent to the model and stored as is (default)
+//   redact - values are replaced with placeholders such as [EMAIL_1] before the model
+//            call and restored in the returned rewrite; history stores the redacted text
+//   reject - requests and history items containing such data are refused
+// Detection is heuristic and redacted history cannot be restored, so deployments opt in.
+const POLICIES = ['off', 'redact', 'reject'];
+const DEFAULT_POLICY = 'off';
+
+const policy = (process.env.PII_POLICY || DEFAULT_POLICY).toLowerCase();
+if (!POLICIES.includes(policy)) {
+  console.warn(`⚠️ Unknown PII_POLICY "${process.env.PII_POLICY}", falling back to "${DEFAULT_POLICY}"`);
+}
+
+module.exports = {
+  policies: POLICIES,
+  piiPolicy: POLICIES.includes(policy) ? policy : DEFAULT_POLICY
+};
@@ -0,0 +1,46 @@
+// Structured rewrites (format: "structured"): the JSON shape the model must return per
+// document type. Schemas live in validation/components.js so the OpenAPI document
+// publishes them too; types without their own shape (including custom types) use "document".
+// The example is shown to the model as the shape to follow.
+module.exports = {
+  formats: ['plain', 'structured'],
+  // Extra model calls allowed when the output still does not match after local repairs
+  retries: Math.max(0, parseInt(process.env.STRUCTURED_OUTPUT_RETRIES ?? '1') || 0),
+  defaultShape: 'document',
+  shapes: {
+    email: {
+      schema: 'StructuredEmail',
+      example: {
+        subjectOptions: ['Project update: launch moved to May 12', 'New launch date: May 12'],
+        greeting: 'Hi Sam,',
+        body: 'The launch is moving to May 12 so we can finish security testing.\n\nNothing changes for your team until then.',
+        signOff: 'Best regards,\nAlex'
+      }
+    },
+    report: {
+      schema: 'StructuredReport',
+      example: {
+        title: 'Q3 Support Report',
+        summary: 'Ticket volume fell 12% while response times improved.',
+        sections: [
+          { heading: 'Volume', content: 'We handled 4,210 tickets, down from 4,780.' },
+          { heading: 'Next steps', content: 'Expand the self-service help center.' }
+        ]
+      }
+    },
+    summary: {
+      schema: 'StructuredSummary',
+      example: {
+        title: 'Meeting summary',
+        bullets: ['The launch moves to May 12.', 'Security testing finishes by May 5.']
+      }
+    },
+    document: {
+      schema: 'StructuredDocument',
+      example: {
+        title: 'Optional short title',
+        paragraphs: ['First paragraph.', 'Second paragraph.']
+      }
+    }
+  }
+};
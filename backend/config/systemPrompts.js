@@ -0,0 +1,24 @@
+// Rewrite instructions ("system prompts"). Versions stored in the SystemPrompt collection
+// replace the built-in template once one is activated; experiments split traffic between
+// versions. Templates use {{tone}}, {{type}} (both required) and {{language}} placeholders.
+module.exports = {
+  builtInVersion: 'builtin-2',
+  builtInTemplate: `You are PromptMate, an AI assistant that specializes in rewriting and improving text.
+
+Your task is to rewrite the given text according to these specifications:
+- TONE: {{tone}}
+- TYPE: {{type}}{{language}}
+
+Rules:
+1. Maintain the original meaning and intent
+2. Improve clarity, structure, and flow
+3. Fix any grammar or spelling issues
+4. Make it more engaging and effective
+5. Keep it concise but comprehensive
+6. Don't add information that wasn't in the original`,
+  requiredVariables: ['tone', 'type'],
+  allowedVariables: ['tone', 'type', 'language'],
+  // Active version and running experiment are re-read at most this often
+  cacheTtlMs: parseInt(process.env.SYSTEM_PROMPT_CACHE_TTL_MS) || 30000,
+  maxVariants: 5
+};
@@ -0,0 +1,15 @@
+// Webhook subscriptions and delivery settings
+module.exports = {
+  events: ['rewrite.completed', 'history.created', 'history.deleted', 'history.favorited'],
+  maxSubscriptions: parseInt(process.env.WEBHOOK_MAX_SUBSCRIPTIONS) || 20, // per user
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  // Retries wait baseDelay * 2^(attempt - 1), capped at maxDelay: 30s, 1m, 2m, 4m, 8m by default
+  baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000,
+  maxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+  concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY) || 5, // deliveries in flight
+  // Only for local development: lets webhooks reach localhost and private networks
+  allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true',
+  logRetentionDays: parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30,
+  signatureHeader: 'X-PromptMate-Signature'
+};
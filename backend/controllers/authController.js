@@ -0,0 +1,148 @@
+const User = require('../models/User');
+const authService = require('../services/authService');
+
+class AuthController {
+  
+  // POST /api/auth/register - Create an account and return a token
+  async register(req, res, next) {
+    try {
+      const { email, password, name } = req.body;
+      
+      const { user, token } = await authService.register({ email, password, name });
+      
+      res.status(201).json({
+        success: true,
+        data: { user: user.toProfile(), token },
+        message: 'Account created successfully'
+      });
+      
+    } catch (error) {
+      console.error('Error in register:', error.message);
+      next(error);
+    }
+  }
+  
+  // POST /api/auth/login - Exchange email and password for a token
+  async login(req, res, next) {
+    try {
+      const { email, password } = req.body;
+      
+      const { user, token } = await authService.login({ email, password });
+      
+      res.status(200).json({
+        success: true,
+        data: { user: user.toProfile(), token }
+      });
+      
+    } catch (error) {
+      console.error('Error in login:', error.message);
+      next(error);
+    }
+  }
+  
+  // GET /api/auth/me - Get the authenticated user
+  async getMe(req, res, next) {
+    try {
+      const user = await User.findById(req.user.id);
+      
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'The account for this token no longer exists'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: { user: user.toProfile(), authMethod: req.user.authMethod }
+      });
+      
+    } catch (error) {
+      console.error('Error in getMe:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/auth/api-keys - Create an API key (the plaintext key is only shown once)
+  async createApiKey(req, res, next) {
+    try {
+      const { name } = req.body;
+      
+      const { key, apiKey } = await authService.createApiKey(req.user.id, name.trim());
+      
+      res.status(201).json({
+        success: true,
+        data: { key, apiKey },
+        message: 'Store this key now - it will not be shown again'
+      });
+      
+    } catch (error) {
+      console.error('Error in createApiKey:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/auth/api-keys - List the caller's API keys
+  async listApiKeys(req, res, next) {
+    try {
+      const apiKeys = await authService.listApiKeys(req.user.id);
+      
+      res.status(200).json({
+        success: true,
+        data: { apiKeys }
+      });
+      
+    } catch (error) {
+      console.error('Error in listApiKeys:', error);
+      next(error);
+    }
+  }
+  
+  // DELETE /api/auth/api-keys/:keyId - Revoke an API key
+  async revokeApiKey(req, res, next) {
+    try {
+      const { keyId } = req.params;
+      
+      const revoked = await authService.revokeApiKey(req.user.id, keyId);
+      
+      if (!revoked) {
+        return res.status(404).json({
+          error: 'API key not found',
+          message: 'The requested API key does not exist'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: { revokedId: keyId }
+      });
+      
+    } catch (error) {
+      console.error('Error in revokeApiKey:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/auth/claim-legacy-history - Move pre-account history to an account (admin only)
+  async claimLegacyHistory(req, res, next) {
+    try {
+      const { legacyUserId, email } = req.body;
+      
+      const result = await authService.claimLegacyData(legacyUserId.trim(), email);
+      
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: `Moved ${result.moved.history} history items to ${email.trim().toLowerCase()}` +
+          (result.skipped.length > 0 ? `; kept ${result.skipped.join(', ')} because the account already has that name` : '')
+      });
+      
+    } catch (error) {
+      console.error('Error in claimLegacyHistory:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,154 @@
+const CatalogEntry = require('../models/CatalogEntry');
+const catalogService = require('../services/catalogService');
+const { isAdmin } = require('../middleware/auth');
+
+// Route param -> catalog kind
+const KINDS = { tones: 'tone', types: 'type' };
+
+// A name may not shadow a built-in, a global entry or one of the caller's own entries.
+// Other users' private entries are not considered, so their names are never revealed.
+const isNameTaken = async (kind, name, ownerId, excludeId) => {
+  if (catalogService.isBuiltIn(kind, name)) return true;
+  
+  const query = { kind, name, $or: [{ visibility: 'global' }, { ownerId }] };
+  if (excludeId) query._id = { $ne: excludeId };
+  
+  return !!(await CatalogEntry.exists(query));
+};
+
+const sendNameTaken = (res, kind, name) => res.status(409).json({
+  error: 'Name already in use',
+  message: `A ${kind} named "${name}" already exists`
+});
+
+// Global entries change every user's rewrite prompts
+const sendGlobalForbidden = (res) => res.status(403).json({
+  error: 'Forbidden',
+  message: 'Only administrators can create or change global entries'
+});
+
+class CatalogController {
+  
+  // GET /api/catalog/:kind - List built-in and visible custom entries
+  async listEntries(req, res, next) {
+    try {
+      const kind = KINDS[req.params.kind];
+      const entries = await catalogService.list(kind, req.user && req.user.id);
+      
+      res.status(200).json({
+        success: true,
+        data: { [req.params.kind]: entries }
+      });
+      
+    } catch (error) {
+      console.error('Error in listEntries:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/catalog/:kind - Create a custom tone or type
+  async createEntry(req, res, next) {
+    try {
+      const kind = KINDS[req.params.kind];
+      const { name, instruction, visibility = 'private' } = req.body;
+      const userId = req.user.id;
+      
+      if (visibility === 'global' && !isAdmin(req.user)) return sendGlobalForbidden(res);
+      
+      const normalizedName = String(name).trim().toLowerCase();
+      if (await isNameTaken(kind, normalizedName, userId)) {
+        return sendNameTaken(res, kind, normalizedName);
+      }
+      
+      const entry = await CatalogEntry.create({
+        kind,
+        name: normalizedName,
+        instruction,
+        ownerId: userId,
+        visibility
+      });
+      
+      res.status(201).json({
+        success: true,
+        data: entry,
+        message: `Custom ${kind} created successfully`
+      });
+      
+    } catch (error) {
+      console.error('Error in createEntry:', error);
+      next(error);
+    }
+  }
+  
+  // PUT /api/catalog/:kind/:id - Update a custom entry (owner only)
+  async updateEntry(req, res, next) {
+    try {
+      const kind = KINDS[req.params.kind];
+      const { id } = req.params;
+      const { name, instruction, visibility } = req.body;
+      const userId = req.user.id;
+      
+      const entry = await CatalogEntry.findOne({ _id: id, kind, ownerId: userId });
+      
+      if (!entry) {
+        return res.status(404).json({
+          error: 'Catalog entry not found',
+          message: `The requested ${kind} does not exist or you do not have permission to modify it`
+        });
+      }
+      
+      if ((entry.visibility === 'global' || visibility === 'global') && !isAdmin(req.user)) {
+        return sendGlobalForbidden(res);
+      }
+      
+      if (name !== undefined) entry.name = String(name).trim().toLowerCase();
+      if (instruction !== undefined) entry.instruction = instruction;
+      if (visibility !== undefined) entry.visibility = visibility;
+      
+      if (entry.isModified('name') && await isNameTaken(kind, entry.name, userId, entry._id)) {
+        return sendNameTaken(res, kind, entry.name);
+      }
+      
+      await entry.save();
+      
+      res.status(200).json({
+        success: true,
+        data: entry,
+        message: `Custom ${kind} updated successfully`
+      });
+      
+    } catch (error) {
+      console.error('Error in updateEntry:', error);
+      next(error);
+    }
+  }
+  
+  // DELETE /api/catalog/:kind/:id - Delete a custom entry (owner only)
+  async deleteEntry(req, res, next) {
+    try {
+      const kind = KINDS[req.params.kind];
+      const { id } = req.params;
+      
+      const deletedEntry = await CatalogEntry.findOneAndDelete({ _id: id, kind, ownerId: req.user.id });
+      
+      if (!deletedEntry) {
+        return res.status(404).json({
+          error: 'Catalog entry not found',
+          message: `The requested ${kind} does not exist or you do not have permission to delete it`
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: `Custom ${kind} deleted successfully`,
+        data: { deletedId: id }
+      });
+      
+    } catch (error) {
+      console.error('Error in deleteEntry:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new CatalogController();
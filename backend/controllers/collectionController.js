@@ -0,0 +1,156 @@
+const Collection = require('../models/Collection');
+const Prompt = require('../models/Prompt');
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'Collection not found',
+  message: 'The requested collection does not exist or you do not have permission to modify it'
+});
+
+const sendNameTaken = (res, name) => res.status(409).json({
+  error: 'Collection already exists',
+  message: `You already have a collection named "${name}"`
+});
+
+class CollectionController {
+  
+  // GET /api/collections - List the caller's collections with item counts
+  async listCollections(req, res, next) {
+    try {
+      const collections = await Collection.find({ userId: req.user.id }).sort({ name: 1 }).lean();
+      
+      const counts = await Prompt.aggregate([
+        { $match: { userId: req.user.id, collections: { $in: collections.map(collection => collection._id) } } },
+        { $unwind: '$collections' },
+        { $group: { _id: '$collections', count: { $sum: 1 } } }
+      ]);
+      const countById = new Map(counts.map(row => [row._id.toString(), row.count]));
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          collections: collections.map(collection => ({
+            ...collection,
+            itemCount: countById.get(collection._id.toString()) || 0
+          }))
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in listCollections:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/collections - Create a collection
+  async createCollection(req, res, next) {
+    try {
+      const name = req.body.name.trim();
+      
+      if (await Collection.exists({ userId: req.user.id, name })) {
+        return sendNameTaken(res, name);
+      }
+      
+      const collection = await Collection.create({
+        userId: req.user.id,
+        name,
+        description: req.body.description
+      });
+      
+      res.status(201).json({
+        success: true,
+        data: collection,
+        message: 'Collection created'
+      });
+      
+    } catch (error) {
+      console.error('Error in createCollection:', error);
+      next(error);
+    }
+  }
+  
+  // PUT /api/collections/:id - Rename a collection or change its description
+  async updateCollection(req, res, next) {
+    try {
+      const collection = await Collection.findOne({ _id: req.params.id, userId: req.user.id });
+      if (!collection) return sendNotFound(res);
+      
+      const { name, description } = req.body;
+      if (name !== undefined) {
+        const trimmed = name.trim();
+        if (trimmed !== collection.name && await Collection.exists({ userId: req.user.id, name: trimmed })) {
+          return sendNameTaken(res, trimmed);
+        }
+        collection.name = trimmed;
+      }
+      if (description !== undefined) collection.description = description;
+      
+      await collection.save();
+      
+      res.status(200).json({
+        success: true,
+        data: collection,
+        message: 'Collection updated'
+      });
+      
+    } catch (error) {
+      console.error('Error in updateCollection:', error);
+      next(error);
+    }
+  }
+  
+  // DELETE /api/collections/:id - Delete a collection; its items stay in history
+  async deleteCollection(req, res, next) {
+    try {
+      const collection = await Collection.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+      if (!collection) return sendNotFound(res);
+      
+      await Prompt.updateMany(
+        { userId: req.user.id, collections: collection._id },
+        { $pull: { collections: collection._id } }
+      );
+      
+      res.status(200).json({
+        success: true,
+        message: 'Collection deleted'
+      });
+      
+    } catch (error) {
+      console.error('Error in deleteCollection:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/collections/:id/items - Add and/or remove history items
+  async updateItems(req, res, next) {
+    try {
+      const collection = await Collection.findOne({ _id: req.params.id, userId: req.user.id }).lean();
+      if (!collection) return sendNotFound(res);
+      
+      const { add = [], remove = [] } = req.body;
+      const [added, removed] = await Promise.all([
+        add.length > 0
+          ? Prompt.updateMany({ _id: { $in: add }, userId: req.user.id }, { $addToSet: { collections: collection._id } })
+          : null,
+        remove.length > 0
+          ? Prompt.updateMany({ _id: { $in: remove }, userId: req.user.id }, { $pull: { collections: collection._id } })
+          : null
+      ]);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          collectionId: collection._id,
+          added: added ? added.modifiedCount : 0,
+          removed: removed ? removed.modifiedCount : 0
+        },
+        message: 'Collection items updated'
+      });
+      
+    } catch (error) {
+      console.error('Error in updateItems:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new CollectionController();
@@ -0,0 +1,173 @@
+const Experiment = require('../models/Experiment');
+const Prompt = require('../models/Prompt');
+const systemPromptService = require('../services/systemPromptService');
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'Experiment not found',
+  message: 'The requested experiment does not exist'
+});
+
+const sendAlreadyRunning = (res, running) => res.status(409).json({
+  error: 'Experiment already running',
+  message: `Stop experiment "${running.name}" before starting another one`
+});
+
+class ExperimentController {
+  
+  // GET /api/experiments - List experiments, newest first
+  async listExperiments(req, res, next) {
+    try {
+      const experiments = await Experiment.find().sort({ startedAt: -1 });
+      
+      res.status(200).json({
+        success: true,
+        data: experiments
+      });
+      
+    } catch (error) {
+      console.error('Error in listExperiments:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/experiments - Start an experiment between system prompt versions
+  async createExperiment(req, res, next) {
+    try {
+      const { name, description, assignment = 'user', variants } = req.body;
+      
+      const running = await Experiment.findOne({ status: 'running' });
+      if (running) return sendAlreadyRunning(res, running);
+      
+      for (const variant of variants) {
+        if (!await systemPromptService.getVersion(variant.version)) {
+          return res.status(400).json({
+            error: 'Unknown system prompt version',
+            message: `Variant "${variant.name}" uses ${variant.version}, which does not exist`
+          });
+        }
+      }
+      
+      let experiment;
+      try {
+        experiment = await Experiment.create({
+          name,
+          description,
+          assignment,
+          variants,
+          createdBy: req.user.id
+        });
+      } catch (error) {
+        // Another experiment was started in the meantime
+        if (error.code === 11000) return sendAlreadyRunning(res, await Experiment.findOne({ status: 'running' }) || { name });
+        throw error;
+      }
+      systemPromptService.invalidate();
+      
+      res.status(201).json({
+        success: true,
+        data: experiment,
+        message: 'Experiment started'
+      });
+      
+    } catch (error) {
+      console.error('Error in createExperiment:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/experiments/:id - Get one experiment
+  async getExperiment(req, res, next) {
+    try {
+      const experiment = await Experiment.findById(req.params.id);
+      if (!experiment) return sendNotFound(res);
+      
+      res.status(200).json({
+        success: true,
+        data: experiment
+      });
+      
+    } catch (error) {
+      console.error('Error in getExperiment:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/experiments/:id/stop - Stop a running experiment
+  async stopExperiment(req, res, next) {
+    try {
+      const experiment = await Experiment.findOneAndUpdate(
+        { _id: req.params.id, status: 'running' },
+        { $set: { status: 'stopped', stoppedAt: new Date() } },
+        { new: true }
+      );
+      
+      if (!experiment) {
+        if (!await Experiment.exists({ _id: req.params.id })) return sendNotFound(res);
+        return res.status(409).json({
+          error: 'Experiment not running',
+          message: 'The experiment has already been stopped'
+        });
+      }
+      systemPromptService.invalidate();
+      
+      res.status(200).json({
+        success: true,
+        data: experiment,
+        message: 'Experiment stopped'
+      });
+      
+    } catch (error) {
+      console.error('Error in stopExperiment:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/experiments/:id/compare - Processing time, cost, favorite rate and
+  // word count ratio per variant, from the rewrites saved to history
+  async compareExperiment(req, res, next) {
+    try {
+      const experiment = await Experiment.findById(req.params.id);
+      if (!experiment) return sendNotFound(res);
+      
+      const rows = await Prompt.getExperimentComparison(experiment._id);
+      const byVariant = new Map(rows.map(row => [row.variant, row]));
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          experiment: {
+            id: experiment._id,
+            name: experiment.name,
+            status: experiment.status,
+            assignment: experiment.assignment,
+            startedAt: experiment.startedAt,
+            stoppedAt: experiment.stoppedAt
+          },
+          // Variants without saved rewrites yet are listed with items: 0
+          variants: experiment.variants.map(variant => ({
+            variant: variant.name,
+            version: variant.version,
+            weight: variant.weight,
+            ...(byVariant.get(variant.name) || {
+              items: 0,
+              users: 0,
+              averageProcessingTime: null,
+              averageApiCost: null,
+              totalApiCost: 0,
+              favoriteRate: null,
+              averageWordCountRatio: null,
+              ratings: 0,
+              averageRating: null
+            })
+          }))
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in compareExperiment:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new ExperimentController();
@@ -0,0 +1,107 @@
+const Prompt = require('../models/Prompt');
+const feedbackConfig = require('../config/feedback');
+const { isAdmin } = require('../middleware/auth');
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'History item not found',
+  message: 'The requested history item does not exist or you do not have permission to access it'
+});
+
+class FeedbackController {
+  
+  // PUT /api/history/:id/feedback - Rate a rewrite and/or submit the text actually sent.
+  // Replaces any earlier feedback on the item.
+  async setFeedback(req, res, next) {
+    try {
+      const item = await Prompt.findOne({ _id: req.params.id, userId: req.user.id });
+      if (!item) return sendNotFound(res);
+      
+      const { rating = null, thumbs = null, reasons = [], finalText, comment = '' } = req.body;
+      const hasFinalText = typeof finalText === 'string' && finalText.trim() !== '';
+      
+      item.feedback = {
+        rating,
+        thumbs,
+        reasons: [...new Set(reasons)],
+        finalText: hasFinalText ? finalText : null,
+        comment,
+        submittedAt: new Date()
+      };
+      
+      await item.save();
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          historyId: item._id,
+          feedback: item.feedback
+        },
+        message: 'Feedback saved'
+      });
+      
+    } catch (error) {
+      console.error('Error in setFeedback:', error);
+      next(error);
+    }
+  }
+  
+  // DELETE /api/history/:id/feedback - Remove feedback from an item
+  async deleteFeedback(req, res, next) {
+    try {
+      const item = await Prompt.findOneAndUpdate(
+        { _id: req.params.id, userId: req.user.id },
+        { $set: { feedback: null } }
+      );
+      if (!item) return sendNotFound(res);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Feedback removed'
+      });
+      
+    } catch (error) {
+      console.error('Error in deleteFeedback:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/feedback/report - Feedback per tone, type, model and system prompt version.
+  // scope=all aggregates every user's items and is for administrators only, since the
+  // tone and type groups include other users' private catalog names.
+  async getFeedbackReport(req, res, next) {
+    try {
+      const { scope = 'mine', from, to, tone, type, model } = req.query;
+      
+      if (scope === 'all' && !isAdmin(req.user)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'scope=all is restricted to administrators'
+        });
+      }
+      
+      const match = scope === 'all' ? {} : { userId: req.user.id };
+      if (tone) match.tone = tone;
+      if (type) match.type = type;
+      if (model) match['metadata.model'] = model;
+      if (from || to) match.timestamp = Prompt.timestampRange(from, to);
+      
+      const report = await Prompt.getFeedbackReport(match);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          scope,
+          period: { from: from || null, to: to || null },
+          ...report,
+          reasonCodes: feedbackConfig.reasons
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in getFeedbackReport:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new FeedbackController();
@@ -0,0 +1,172 @@
+const BatchJob = require('../models/BatchJob');
+const batchService = require('../services/batchService');
+
+class JobController {
+  
+  // POST /api/jobs - Create a batch rewrite job
+  async createJob(req, res, next) {
+    try {
+      const { items, tone = 'professional', type = 'other', provider, model, saveToHistory = false } = req.body;
+      
+      const job = await BatchJob.create({
+        userId: req.user.id,
+        apiKeyId: req.user.apiKeyId || null,
+        options: { provider, model: model && model.trim(), saveToHistory },
+        items: items.map(item => ({
+          prompt: item.prompt.trim(),
+          tone: item.tone || tone,
+          type: item.type || type
+        }))
+      });
+      
+      batchService.enqueue(job._id);
+      
+      res.status(202).json({
+        success: true,
+        data: {
+          jobId: job._id,
+          status: job.status,
+          progress: BatchJob.progressOf(job)
+        },
+        message: 'Batch job queued'
+      });
+      
+    } catch (error) {
+      console.error('Error in createJob:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/jobs - List the caller's batch jobs
+  async listJobs(req, res, next) {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+      
+      const query = { userId: req.user.id };
+      if (status) query.status = status;
+      
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      
+      const [jobs, total] = await Promise.all([
+        BatchJob.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .select('status options items.status createdAt startedAt completedAt')
+          .lean(),
+        BatchJob.countDocuments(query)
+      ]);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          jobs: jobs.map(job => ({
+            id: job._id,
+            status: job.status,
+            options: job.options,
+            progress: BatchJob.progressOf(job),
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            completedAt: job.completedAt
+          })),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalItems: total,
+            itemsPerPage: parseInt(limit),
+            hasNext: skip + jobs.length < total,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in listJobs:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/jobs/:id - Get job status with per-item progress, results and errors
+  async getJob(req, res, next) {
+    try {
+      const job = await BatchJob.findOne({ _id: req.params.id, userId: req.user.id }).lean();
+      
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          message: 'The requested job does not exist or you do not have permission to view it'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          ...job,
+          progress: BatchJob.progressOf(job)
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in getJob:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/jobs/:id/cancel - Cancel a queued or running job
+  async cancelJob(req, res, next) {
+    try {
+      const job = await batchService.cancel(req.params.id, req.user.id);
+      
+      if (!job) {
+        return res.status(409).json({
+          error: 'Job cannot be cancelled',
+          message: 'The job does not exist, is not yours, or has already finished'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          jobId: job._id,
+          status: job.status,
+          progress: BatchJob.progressOf(job)
+        },
+        message: 'Batch job cancelled'
+      });
+      
+    } catch (error) {
+      console.error('Error in cancelJob:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/jobs/:id/retry - Re-run failed and cancelled items
+  async retryJob(req, res, next) {
+    try {
+      const job = await batchService.retry(req.params.id, req.user.id);
+      
+      if (!job) {
+        return res.status(409).json({
+          error: 'Job cannot be retried',
+          message: 'The job does not exist, is not yours, is still running, or has no failed items'
+        });
+      }
+      
+      res.status(202).json({
+        success: true,
+        data: {
+          jobId: job._id,
+          status: job.status,
+          progress: BatchJob.progressOf(job)
+        },
+        message: 'Failed items queued for retry'
+      });
+      
+    } catch (error) {
+      console.error('Error in retryJob:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new JobController();
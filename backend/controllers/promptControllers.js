@@ -1,95 +1,457 @@
 const Prompt = require('../models/Prompt');
+const VariantSet = require('../models/VariantSet');
+const ShareLink = require('../models/ShareLink');
 const geminiService = require('../services/geminiService');
+const diffService = require('../services/diffService');
+const analyzerService = require('../services/analyzerService');
+const exportService = require('../services/exportService');
+const searchService = require('../services/searchService');
+const usageService = require('../services/usageService');
+const webhookService = require('../services/webhookService');
+const catalogService = require('../services/catalogService');
+const redactionService = require('../services/redactionService');
+const { isAdmin } = require('../middleware/auth');
+const { releaseQuota } = require('../middleware/quota');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Only descriptive metadata is imported. Costs, token counts and system prompt versions
+// come from real model calls, and experiment fields from real comparisons; imported
+// values would skew spend, budgets and reports.
+const IMPORTED_METADATA_FIELDS = ['provider', 'model'];
+
+const importedMetadata = (metadata = {}) => Object.fromEntries(
+  IMPORTED_METADATA_FIELDS
+    .filter(field => typeof metadata[field] === 'string' && metadata[field])
+    .map(field => [field, metadata[field]])
+);
+
+// Who caused an event; subscriptions bound to an API key only see that key's events
+const actorOf = (req) => ({
+  userId: req.user && req.user.id,
+  apiKeyId: req.user && req.user.apiKeyId
+});
+
+// The delivery log keeps the payload, so its texts follow the PII policy like history does
+const emitRewriteCompleted = (req, source, originalPrompt, result, extra = {}) => {
+  const { structured, instruction, ...details } = extra;
+  const texts = redactionService.redactValues({
+    originalPrompt,
+    rewrittenPrompt: result.rewrittenPrompt,
+    ...(structured && { structured }),
+    ...(instruction && { instruction })
+  });
+  
+  webhookService.emit('rewrite.completed', actorOf(req), {
+    source,
+    ...texts,
+    metadata: result.metadata,
+    ...details
+  });
+};
+
+// Saves a successful rewrite for the user; never throws so the rewrite itself still succeeds
+const autoSaveToHistory = async (req, originalPrompt, result, tone, type) => {
+  const { userId } = req.body;
+  try {
+    const historyItem = new Prompt({
+      userId,
+      originalPrompt,
+      rewrittenPrompt: result.rewrittenPrompt,
+      tone,
+      type,
+      ...(result.structured && { format: 'structured', structured: result.structured }),
+      ...(req.template && { templateId: req.template.id }),
+      sourceLanguage: result.metadata.sourceLanguage,
+      targetLanguage: result.metadata.targetLanguage,
+      metadata: result.metadata
+    });
+    
+    const savedItem = await historyItem.save();
+    webhookService.emit('history.created', actorOf(req), webhookService.historyEventData(savedItem));
+    return { historyId: savedItem._id, savedToHistory: true };
+  } catch (saveError) {
+    console.warn('Failed to auto-save to history:', saveError.message);
+    return { savedToHistory: false };
+  }
+};
+
+// Spend reported by /api/info covers this many recent days
+const INFO_SPEND_DAYS = 30;
+
+// Callers skip the rewrite cache with { "cache": false } or a Cache-Control: no-cache header
+const wantsCacheBypass = (req) => req.body.cache === false || /no-cache/i.test(req.get('Cache-Control') || '');
+
+// History filters shared by listing and export.
+// search uses the text index: words, "exact phrases" and -exclusions.
+// tag takes a comma-separated list; items must carry all of them.
+const buildHistoryQuery = (userId, { type, tone, search, favorites, model, from, to, tag, collection, language, sourceLanguage }) => {
+  const query = { userId };
+  
+  if (type) query.type = type;
+  if (tone) query.tone = tone;
+  if (language) query.targetLanguage = language;
+  if (sourceLanguage) query.sourceLanguage = sourceLanguage;
+  if (model) query['metadata.model'] = model;
+  if (favorites === 'true') query.isFavorite = true;
+  if (tag) query.tags = { $all: Prompt.normalizeTags(tag.split(',')) };
+  if (collection) query.collections = collection;
+  if (from || to) query.timestamp = Prompt.timestampRange(from, to);
+  if (search) {
+    query.$text = { $search: search };
+  }
+  
+  return query;
+};
+
+// Failed rewrites: 422 when the PII policy rejected the input, otherwise a
+// provider error (with the offline fallback when there is one)
+const failureStatus = (result) => (result.rejected ? 422 : 500);
+
+const failureBody = (result) => (result.rejected
+  ? {
+    error: 'Personal data rejected',
+    message: result.error,
+    details: result.details,
+    pii: result.pii
+  }
+  : {
+    error: 'AI service error',
+    message: result.error,
+    details: result.details,
+    ...(result.fallback && { fallback: result.fallback })
+  });
+
+// Writes one Server-Sent Event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
 class PromptController {
   
   // POST /api/rewrite - Rewrite a prompt using Gemini AI
   async rewritePrompt(req, res, next) {
     try {
-      const { prompt, tone = 'professional', type = 'other', userId } = req.body;
+      const { prompt, tone = 'professional', type = 'other', userId, provider, model, language, format = 'plain' } = req.body;
       
-      // Validation
-      if (!prompt || prompt.trim().length === 0) {
-        return res.status(400).json({
-          error: 'Prompt is required',
-          message: 'Please provide a prompt to rewrite'
-        });
+      console.log(`🔄 Rewriting prompt for user: ${userId || 'anonymous'}`);
+      
+      // Call the rewrite service with the requested (or default) provider
+      const result = await geminiService.rewritePrompt(prompt.trim(), tone, type, {
+        provider,
+        model: model && model.trim(),
+        userId: req.user && req.user.id,
+        bypassCache: wantsCacheBypass(req),
+        language,
+        format
+      });
+      
+      if (!result.success) {
+        return res.status(failureStatus(result)).json(failureBody(result));
       }
       
-      if (prompt.length > 5000) {
-        return res.status(400).json({
-          error: 'Prompt too long',
-          message: 'Prompt must be less than 5000 characters'
-        });
+      const response = {
+        success: true,
+        data: {
+          originalPrompt: prompt.trim(),
+          rewrittenPrompt: result.rewrittenPrompt,
+          tone,
+          type,
+          format,
+          ...(result.structured && { structured: result.structured }),
+          metadata: result.metadata,
+          cached: !!result.metadata.cached,
+          analysis: analyzerService.compare(prompt.trim(), result.rewrittenPrompt, { type }),
+          // Set when the prompt came from POST /api/templates/:id/fill
+          ...(req.template && { template: req.template })
+        }
+      };
+      
+      if (req.body.includeDiff) {
+        response.data.diff = diffService.diff(prompt.trim(), result.rewrittenPrompt);
       }
       
-      console.log(`🔄 Rewriting prompt for user: ${userId || 'anonymous'}`);
+      // Auto-save to history if userId is provided
+      if (userId) {
+        Object.assign(response.data, await autoSaveToHistory(req, prompt.trim(), result, tone, type));
+      }
       
-      // Call Gemini service
-      const result = await geminiService.rewritePrompt(prompt.trim(), tone, type);
+      emitRewriteCompleted(req, req.template ? 'template' : 'rewrite', prompt.trim(), result, {
+        tone,
+        type,
+        historyId: response.data.historyId,
+        ...(result.structured && { structured: result.structured }),
+        ...(req.template && { templateId: req.template.id })
+      });
+      
+      res.status(200).json(response);
+      
+    } catch (error) {
+      console.error('Error in rewritePrompt:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/analyze - Local quality checks on a prompt, without calling a model
+  async analyzePrompt(req, res, next) {
+    try {
+      const { prompt, type = 'other' } = req.body;
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          type,
+          ...analyzerService.analyze(prompt, { type })
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in analyzePrompt:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/rewrite/stream - Rewrite a prompt, streaming tokens as Server-Sent Events
+  async streamRewrite(req, res, next) {
+    try {
+      const { prompt, tone = 'professional', type = 'other', userId, provider, model, language } = req.body;
+      
+      console.log(`🔄 Streaming rewrite for user: ${userId || 'anonymous'}`);
+      
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      
+      // Stop generating as soon as the client goes away
+      const disconnect = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) disconnect.abort();
+      });
+      
+      const result = await geminiService.streamRewrite(prompt.trim(), tone, type, {
+        provider,
+        model: model && model.trim(),
+        userId: req.user && req.user.id,
+        bypassCache: wantsCacheBypass(req),
+        language,
+        signal: disconnect.signal
+      }, (text) => sendEvent(res, 'token', { text }));
+      
+      if (disconnect.signal.aborted) {
+        console.log('⚠️ Client disconnected, rewrite stream discarded');
+        return;
+      }
       
       if (!result.success) {
+        await releaseQuota(req);
+        sendEvent(res, 'error', failureBody(result));
+        return res.end();
+      }
+      
+      const data = {
+        originalPrompt: prompt.trim(),
+        rewrittenPrompt: result.rewrittenPrompt,
+        tone,
+        type,
+        metadata: result.metadata,
+        cached: !!result.metadata.cached,
+        analysis: analyzerService.compare(prompt.trim(), result.rewrittenPrompt, { type })
+      };
+      
+      if (req.body.includeDiff) {
+        data.diff = diffService.diff(prompt.trim(), result.rewrittenPrompt);
+      }
+      
+      // History is only written once the stream has completed successfully
+      if (userId) {
+        Object.assign(data, await autoSaveToHistory(req, prompt.trim(), result, tone, type));
+      }
+      
+      emitRewriteCompleted(req, 'stream', prompt.trim(), result, { tone, type, historyId: data.historyId });
+      
+      sendEvent(res, 'done', data);
+      res.end();
+      
+    } catch (error) {
+      console.error('Error in streamRewrite:', error);
+      if (!res.headersSent) return next(error);
+      await releaseQuota(req);
+      sendEvent(res, 'error', { error: 'Internal Server Error', message: error.message });
+      res.end();
+    }
+  }
+  
+  // POST /api/rewrite/variants - Generate several candidate rewrites for one prompt
+  async rewriteVariants(req, res, next) {
+    try {
+      const { prompt, tone = 'professional', type = 'other', userId, provider, model, language, variants } = req.body;
+      
+      console.log(`🔄 Generating ${variants.length} variants for user: ${userId || 'anonymous'}`);
+      
+      const originalPrompt = prompt.trim();
+      const results = await Promise.all(variants.map(variant =>
+        geminiService.rewritePrompt(originalPrompt, variant.tone || tone, type, {
+          provider,
+          model: model && model.trim(),
+          temperature: variant.temperature,
+          userId: req.user && req.user.id,
+          bypassCache: wantsCacheBypass(req),
+          language
+        })
+      ));
+      
+      const candidates = results.map((result, index) => ({
+        tone: variants[index].tone || tone,
+        temperature: variants[index].temperature,
+        success: result.success,
+        ...(result.success
+          ? { rewrittenPrompt: result.rewrittenPrompt, metadata: result.metadata }
+          : { error: result.error, metadata: result.fallback && result.fallback.metadata })
+      }));
+      
+      // Every variant shares the input, so a PII rejection applies to all of them
+      if (results[0].rejected) {
+        return res.status(422).json(failureBody(results[0]));
+      }
+      
+      if (!candidates.some(candidate => candidate.success)) {
         return res.status(500).json({
           error: 'AI service error',
-          message: result.error,
-          details: result.details,
-          ...(result.fallback && { fallback: result.fallback })
+          message: results[0].error,
+          details: results[0].details
         });
       }
       
+      // Only the variants that were produced count against the quota
+      await releaseQuota(req, candidates.filter(candidate => !candidate.success).length);
+      
       const response = {
         success: true,
         data: {
-          originalPrompt: prompt.trim(),
-          rewrittenPrompt: result.rewrittenPrompt,
-          tone,
+          originalPrompt,
           type,
-          metadata: result.metadata
+          candidates
         }
       };
       
-      // Auto-save to history if userId is provided
+      // Keep the candidates so the user can pick one later
       if (userId) {
         try {
-          const historyItem = new Prompt({
-            userId,
-            originalPrompt: prompt.trim(),
-            rewrittenPrompt: result.rewrittenPrompt,
-            tone,
-            type,
-            metadata: result.metadata
-          });
-          
-          const savedItem = await historyItem.save();
-          response.data.historyId = savedItem._id;
-          response.data.savedToHistory = true;
+          const variantSet = await VariantSet.create({ userId, originalPrompt, type, candidates });
+          response.data.variantSetId = variantSet._id;
+          response.data.candidates = variantSet.candidates;
         } catch (saveError) {
-          console.warn('Failed to auto-save to history:', saveError.message);
-          response.data.savedToHistory = false;
+          console.warn('Failed to save variant set:', saveError.message);
         }
       }
       
       res.status(200).json(response);
       
     } catch (error) {
-      console.error('Error in rewritePrompt:', error);
+      console.error('Error in rewriteVariants:', error);
       next(error);
     }
   }
   
-  // POST /api/history - Save prompt to history
-  async saveToHistory(req, res, next) {
+  // GET /api/rewrite/variants/:id - Get a variant set with all of its candidates
+  async getVariantSet(req, res, next) {
     try {
-      const { userId, originalPrompt, rewrittenPrompt, tone, type, metadata } = req.body;
+      const { id } = req.params;
+      
+      const variantSet = await VariantSet.findOne({ _id: id, userId: req.user.id });
+      
+      if (!variantSet) {
+        return res.status(404).json({
+          error: 'Variant set not found',
+          message: 'The requested variant set does not exist or you do not have permission to view it'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: variantSet
+      });
+      
+    } catch (error) {
+      console.error('Error in getVariantSet:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/rewrite/variants/:id/select - Save one candidate to history
+  async selectVariant(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { candidateId } = req.body;
+      const userId = req.user.id;
+      
+      const variantSet = await VariantSet.findOne({ _id: id, userId });
+      
+      if (!variantSet) {
+        return res.status(404).json({
+          error: 'Variant set not found',
+          message: 'The requested variant set does not exist or you do not have permission to modify it'
+        });
+      }
+      
+      if (variantSet.selectedPrompt) {
+        return res.status(409).json({
+          error: 'Variant already selected',
+          message: 'A candidate from this set has already been saved to history',
+          data: { historyId: variantSet.selectedPrompt }
+        });
+      }
+      
+      const candidate = candidateId && variantSet.candidates.id(candidateId);
       
-      // Validation
-      if (!userId || !originalPrompt || !rewrittenPrompt) {
+      if (!candidate || !candidate.success) {
         return res.status(400).json({
-          error: 'Missing required fields',
-          message: 'userId, originalPrompt, and rewrittenPrompt are required'
+          error: 'Invalid candidate',
+          message: 'candidateId must reference a successful candidate of this set'
         });
       }
       
+      const savedItem = await new Prompt({
+        userId,
+        originalPrompt: variantSet.originalPrompt,
+        rewrittenPrompt: candidate.rewrittenPrompt,
+        tone: candidate.tone,
+        type: variantSet.type,
+        metadata: { ...candidate.metadata.toObject(), temperature: candidate.temperature },
+        variantSet: variantSet._id
+      }).save();
+      
+      variantSet.selectedCandidate = candidate._id;
+      variantSet.selectedPrompt = savedItem._id;
+      await variantSet.save();
+      
+      webhookService.emit('history.created', actorOf(req), webhookService.historyEventData(savedItem));
+      
+      res.status(201).json({
+        success: true,
+        data: {
+          historyItem: savedItem,
+          variantSetId: variantSet._id,
+          rejectedCandidates: variantSet.rejectedCandidates.map(rejected => rejected._id)
+        },
+        message: 'Variant saved to history successfully'
+      });
+      
+    } catch (error) {
+      console.error('Error in selectVariant:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/history - Save prompt to history
+  async saveToHistory(req, res, next) {
+    try {
+      const { userId, originalPrompt, rewrittenPrompt, tone, type, metadata } = req.body;
+      
       const historyItem = new Prompt({
         userId,
         originalPrompt,
@@ -100,6 +462,7 @@ class PromptController {
       });
       
       const savedItem = await historyItem.save();
+      webhookService.emit('history.created', actorOf(req), webhookService.historyEventData(savedItem));
       
       res.status(201).json({
         success: true,
@@ -117,28 +480,25 @@ class PromptController {
   async getHistory(req, res, next) {
     try {
       const { userId } = req.params;
-      const { page = 1, limit = 20, type, tone, search, sortBy = 'timestamp', sortOrder = 'desc' } = req.query;
+      const { page = 1, limit = 20, search, sortOrder = 'desc' } = req.query;
+      // Searches rank by relevance unless another order is requested
+      const sortBy = req.query.sortBy || (search ? 'relevance' : 'timestamp');
       
       // Build query
-      const query = { userId };
-      
-      if (type) query.type = type;
-      if (tone) query.tone = tone;
-      if (search) {
-        query.$or = [
-          { originalPrompt: { $regex: search, $options: 'i' } },
-          { rewrittenPrompt: { $regex: search, $options: 'i' } }
-        ];
-      }
+      const query = buildHistoryQuery(userId, req.query);
       
       // Calculate pagination
       const skip = (parseInt(page) - 1) * parseInt(limit);
       const sortObj = {};
-      sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
+      if (sortBy === 'relevance' && search) {
+        sortObj.score = { $meta: 'textScore' };
+      } else {
+        sortObj[sortBy === 'relevance' ? 'timestamp' : sortBy] = sortOrder === 'desc' ? -1 : 1;
+      }
       
       // Execute query
       const [prompts, total] = await Promise.all([
-        Prompt.find(query)
+        Prompt.find(query, search ? { score: { $meta: 'textScore' } } : undefined)
           .sort(sortObj)
           .skip(skip)
           .limit(parseInt(limit))
@@ -146,6 +506,14 @@ class PromptController {
         Prompt.countDocuments(query)
       ]);
       
+      // Show why each item matched
+      if (search) {
+        const parsed = searchService.parseQuery(search);
+        prompts.forEach(prompt => {
+          prompt.highlights = searchService.highlightItem(prompt, parsed);
+        });
+      }
+      
       res.status(200).json({
         success: true,
         data: {
@@ -167,16 +535,165 @@ class PromptController {
     }
   }
   
+  // GET /api/history/:userId/export - Stream history as JSON, CSV or Markdown
+  async exportHistory(req, res, next) {
+    const { userId } = req.params;
+    const { format = 'json', sortOrder = 'desc' } = req.query;
+    let cursor;
+    
+    try {
+      const query = buildHistoryQuery(userId, req.query);
+      cursor = Prompt.find(query)
+        .sort({ timestamp: sortOrder === 'desc' ? -1 : 1 })
+        .lean()
+        .cursor();
+      
+      res.status(200).set({
+        'Content-Type': exportService.contentType(format),
+        'Content-Disposition': `attachment; filename="${exportService.filename(format)}"`
+      });
+      
+      res.write(exportService.header(format));
+      
+      let index = 0;
+      for await (const item of cursor) {
+        if (res.destroyed) break;
+        // Respect backpressure so large exports don't buffer in memory
+        if (!res.write(exportService.formatItem(format, item, index++))) {
+          await new Promise(resolve => {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+          });
+        }
+      }
+      
+      res.end(exportService.footer(format));
+      
+    } catch (error) {
+      console.error('Error in exportHistory:', error);
+      if (cursor) cursor.close().catch(() => {});
+      if (!res.headersSent) return next(error);
+      res.destroy(error);
+    }
+  }
+  
+  // POST /api/history/:userId/import - Import exported history, skipping duplicates
+  async importHistory(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { format = 'json', data, dryRun = false } = req.body;
+      
+      let records;
+      try {
+        records = exportService.parseImport(format, data);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: 'Invalid import data',
+          message: parseError.message
+        });
+      }
+      
+      if (records.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          error: 'Import too large',
+          message: `A single import may contain at most ${MAX_IMPORT_ROWS} records`
+        });
+      }
+      
+      const errors = [];
+      const seen = new Set();
+      let imported = 0;
+      let duplicates = 0;
+      
+      for (const [index, record] of records.entries()) {
+        const row = index + 1;
+        
+        if (!record || typeof record !== 'object') {
+          errors.push({ row, errors: ['Record must be an object'] });
+          continue;
+        }
+        
+        if (record.metadata !== undefined && (!record.metadata || typeof record.metadata !== 'object' || Array.isArray(record.metadata))) {
+          errors.push({ row, errors: ['metadata must be an object'] });
+          continue;
+        }
+        
+        const item = new Prompt({
+          userId,
+          originalPrompt: record.originalPrompt,
+          rewrittenPrompt: record.rewrittenPrompt,
+          tone: record.tone || 'professional',
+          type: record.type || 'other',
+          ...(typeof record.sourceLanguage === 'string' && { sourceLanguage: record.sourceLanguage }),
+          ...(typeof record.targetLanguage === 'string' && { targetLanguage: record.targetLanguage }),
+          isFavorite: record.isFavorite === true,
+          ...(record.structured && { format: 'structured', structured: record.structured }),
+          ...(record.feedback && { feedback: record.feedback }),
+          ...(record.timestamp && { timestamp: record.timestamp }),
+          metadata: importedMetadata(record.metadata)
+        });
+        
+        try {
+          await item.validate();
+        } catch (validationError) {
+          const messages = validationError.errors
+            ? Object.values(validationError.errors).map(fieldError => fieldError.message)
+            : [validationError.message];
+          errors.push({ row, errors: messages });
+          continue;
+        }
+        
+        // Same text, tone and type as an existing item (or an earlier row) counts as a duplicate
+        const key = JSON.stringify([item.originalPrompt, item.rewrittenPrompt, item.tone, item.type]);
+        const exists = seen.has(key) || await Prompt.exists({
+          userId,
+          originalPrompt: item.originalPrompt,
+          rewrittenPrompt: item.rewrittenPrompt,
+          tone: item.tone,
+          type: item.type
+        });
+        seen.add(key);
+        
+        if (exists) {
+          duplicates++;
+          continue;
+        }
+        
+        if (!dryRun) {
+          await item.save();
+          webhookService.emit('history.created', actorOf(req), webhookService.historyEventData(item));
+        }
+        imported++;
+      }
+      
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        data: {
+          total: records.length,
+          imported,
+          duplicates,
+          failed: errors.length,
+          errors,
+          dryRun
+        },
+        message: dryRun
+          ? `${imported} of ${records.length} records would be imported`
+          : `Imported ${imported} of ${records.length} records`
+      });
+      
+    } catch (error) {
+      console.error('Error in importHistory:', error);
+      next(error);
+    }
+  }
+  
   // DELETE /api/history/:id - Delete a history item
   async deleteHistoryItem(req, res, next) {
     try {
       const { id } = req.params;
-      const { userId } = req.query; // Optional: for additional security
       
-      const query = { _id: id };
-      if (userId) query.userId = userId;
-      
-      const deletedItem = await Prompt.findOneAndDelete(query);
+      // Only the owner may delete
+      const deletedItem = await Prompt.findOneAndDelete({ _id: id, userId: req.user.id });
       
       if (!deletedItem) {
         return res.status(404).json({
@@ -185,6 +702,11 @@ class PromptController {
         });
       }
       
+      // Share links would only point at a deleted item
+      await ShareLink.deleteMany({ promptId: deletedItem._id });
+      
+      webhookService.emit('history.deleted', actorOf(req), webhookService.historyEventData(deletedItem));
+      
       res.status(200).json({
         success: true,
         message: 'History item deleted successfully',
@@ -201,12 +723,9 @@ class PromptController {
   async toggleFavorite(req, res, next) {
     try {
       const { id } = req.params;
-      const { userId } = req.body; // Optional: for additional security
-      
-      const query = { _id: id };
-      if (userId) query.userId = userId;
       
-      const prompt = await Prompt.findOne(query);
+      // Only the owner may modify
+      const prompt = await Prompt.findOne({ _id: id, userId: req.user.id });
       
       if (!prompt) {
         return res.status(404).json({
@@ -218,6 +737,10 @@ class PromptController {
       prompt.isFavorite = !prompt.isFavorite;
       await prompt.save();
       
+      if (prompt.isFavorite) {
+        webhookService.emit('history.favorited', actorOf(req), webhookService.historyEventData(prompt));
+      }
+      
       res.status(200).json({
         success: true,
         data: {
@@ -233,6 +756,238 @@ class PromptController {
     }
   }
   
+  // GET /api/history/:id/diff - Diff between a history item's original and rewritten text
+  async getHistoryDiff(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { granularity = 'both' } = req.query;
+      
+      const item = await Prompt.findOne({ _id: id, userId: req.user.id })
+        .select('originalPrompt rewrittenPrompt')
+        .lean();
+      
+      if (!item) {
+        return res.status(404).json({
+          error: 'History item not found',
+          message: 'The requested history item does not exist or you do not have permission to view it'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          id: item._id,
+          diff: diffService.diff(item.originalPrompt, item.rewrittenPrompt, granularity)
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in getHistoryDiff:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/history/:id/refine - Revise a history item with a follow-up instruction
+  async refineHistoryItem(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { instruction, provider, model } = req.body;
+      
+      const parent = await Prompt.findOne({ _id: id, userId: req.user.id });
+      
+      if (!parent) {
+        return res.status(404).json({
+          error: 'History item not found',
+          message: 'The requested history item does not exist or you do not have permission to modify it'
+        });
+      }
+      
+      console.log(`🔁 Refining history item ${id} for user: ${req.user.id}`);
+      
+      const result = await geminiService.refinePrompt(
+        parent.originalPrompt,
+        parent.rewrittenPrompt,
+        instruction.trim(),
+        parent.tone,
+        parent.type,
+        {
+          provider,
+          model: model && model.trim(),
+          userId: req.user.id,
+          bypassCache: wantsCacheBypass(req),
+          // Keep refinements of a translation in the target language
+          language: parent.targetLanguage && parent.targetLanguage !== parent.sourceLanguage ? parent.targetLanguage : undefined
+        }
+      );
+      
+      if (!result.success) {
+        return res.status(failureStatus(result)).json(failureBody(result));
+      }
+      
+      const savedItem = await parent.saveNextVersion({
+        rewrittenPrompt: result.rewrittenPrompt,
+        refinementInstruction: instruction.trim(),
+        metadata: result.metadata
+      });
+      
+      emitRewriteCompleted(req, 'refine', parent.rewrittenPrompt, result, {
+        tone: parent.tone,
+        type: parent.type,
+        instruction: instruction.trim(),
+        historyId: savedItem._id
+      });
+      webhookService.emit('history.created', actorOf(req), webhookService.historyEventData(savedItem));
+      
+      res.status(201).json({
+        success: true,
+        data: savedItem,
+        message: `Saved as version ${savedItem.version}`
+      });
+      
+    } catch (error) {
+      console.error('Error in refineHistoryItem:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/history/:id/versions - List every version in the item's refinement chain
+  async getVersions(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const item = await Prompt.findOne({ _id: id, userId: req.user.id }).select('rootId').lean();
+      
+      if (!item) {
+        return res.status(404).json({
+          error: 'History item not found',
+          message: 'The requested history item does not exist or you do not have permission to view it'
+        });
+      }
+      
+      const rootId = item.rootId || item._id;
+      const versions = await Prompt.find({ userId: req.user.id, $or: [{ _id: rootId }, { rootId }] })
+        .sort({ version: 1 })
+        .lean();
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          rootId,
+          latestId: versions.length ? versions[versions.length - 1]._id : rootId,
+          versions
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in getVersions:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/history/:id/revert - Restore an earlier version as the newest one
+  async revertToVersion(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { versionId } = req.body;
+      
+      const current = await Prompt.findOne({ _id: id, userId: req.user.id });
+      
+      if (!current) {
+        return res.status(404).json({
+          error: 'History item not found',
+          message: 'The requested history item does not exist or you do not have permission to modify it'
+        });
+      }
+      
+      const rootId = current.getRootId();
+      const target = await Prompt.findOne({
+        _id: versionId,
+        userId: req.user.id,
+        $or: [{ _id: rootId }, { rootId }]
+      });
+      
+      if (!target) {
+        return res.status(404).json({
+          error: 'Version not found',
+          message: 'versionId must reference a version of this history item'
+        });
+      }
+      
+      // Reverting never rewrites history: the old text is copied into a new version
+      const savedItem = await current.saveNextVersion({
+        rewrittenPrompt: target.rewrittenPrompt,
+        revertedFrom: target._id,
+        metadata: target.metadata
+      });
+      webhookService.emit('history.created', actorOf(req), webhookService.historyEventData(savedItem));
+      
+      res.status(201).json({
+        success: true,
+        data: savedItem,
+        message: `Reverted to version ${target.version} as version ${savedItem.version}`
+      });
+      
+    } catch (error) {
+      console.error('Error in revertToVersion:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/history/tags - Add and/or remove tags on several history items
+  async updateTags(req, res, next) {
+    try {
+      const { ids, add = [], remove = [] } = req.body;
+      const filter = { _id: { $in: ids }, userId: req.user.id };
+      const tagsToAdd = Prompt.normalizeTags(add);
+      const tagsToRemove = Prompt.normalizeTags(remove).filter(tag => !tagsToAdd.includes(tag));
+      let matched = 0;
+      let modified = 0;
+      
+      // $addToSet and $pull cannot touch the same field in one update
+      if (tagsToAdd.length > 0) {
+        const result = await Prompt.updateMany(filter, { $addToSet: { tags: { $each: tagsToAdd } } });
+        matched = result.matchedCount;
+        modified += result.modifiedCount;
+      }
+      if (tagsToRemove.length > 0) {
+        const result = await Prompt.updateMany(filter, { $pull: { tags: { $in: tagsToRemove } } });
+        matched = result.matchedCount;
+        modified += result.modifiedCount;
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          matched,
+          modified,
+          added: tagsToAdd,
+          removed: tagsToRemove
+        },
+        message: `Tags updated on ${matched} history item${matched === 1 ? '' : 's'}`
+      });
+      
+    } catch (error) {
+      console.error('Error in updateTags:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/tags/:userId - List the user's tags with item counts
+  async getTags(req, res, next) {
+    try {
+      const tags = await Prompt.getUserTags(req.params.userId);
+      
+      res.status(200).json({
+        success: true,
+        data: { tags }
+      });
+      
+    } catch (error) {
+      console.error('Error in getTags:', error);
+      next(error);
+    }
+  }
+  
   // GET /api/favorites/:userId - Get user's favorite prompts
   async getFavorites(req, res, next) {
     try {
@@ -281,23 +1036,24 @@ class PromptController {
   async getUserStats(req, res, next) {
     try {
       const { userId } = req.params;
+      const { from, to } = req.query;
+      const range = from || to ? { timestamp: Prompt.timestampRange(from, to) } : {};
       
-      const stats = await Prompt.getUserStats(userId);
-      const recentActivity = await Prompt.find({ userId })
+      const stats = await Prompt.getUserStats(userId, { from, to });
+      const recentActivity = await Prompt.find({ userId, ...range })
         .sort({ timestamp: -1 })
         .limit(5)
         .select('type tone timestamp')
         .lean();
+      // Spend counts every model call, including rewrites never saved to history
+      const spend = await usageService.getSpend({ userId, ...range });
       
       res.status(200).json({
         success: true,
         data: {
-          stats: stats[0] || {
-            totalPrompts: 0,
-            favoritePrompts: 0,
-            averageProcessingTime: 0,
-            totalApiCost: 0
-          },
+          range: { from: from || null, to: to || null },
+          stats,
+          spend,
           recentActivity
         }
       });
@@ -311,9 +1067,18 @@ class PromptController {
   // GET /api/info - Get API and model information
   async getInfo(req, res, next) {
     try {
-      const modelInfo = await geminiService.getModelInfo();
+      const modelInfo = await geminiService.getModelInfo(req.user && req.user.id);
       const totalPrompts = await Prompt.countDocuments();
-      const popularData = await Prompt.getPopularTonesAndTypes();
+      // Without a caller, only built-in and global names are listed
+      const [tones, types] = await Promise.all([catalogService.listNames('tone'), catalogService.listNames('type')]);
+      const popularData = await Prompt.getPopularTonesAndTypes({ tones, types });
+      const since = new Date(Date.now() - INFO_SPEND_DAYS * 24 * 60 * 60 * 1000);
+      // The deployment's total spend is for administrators; everyone else sees their own
+      const spend = {
+        days: INFO_SPEND_DAYS,
+        ...(isAdmin(req.user) && { overall: await usageService.getSpend({ timestamp: { $gte: since } }) }),
+        ...(req.user && { user: await usageService.getSpend({ userId: req.user.id, timestamp: { $gte: since } }) })
+      };
       
       res.status(200).json({
         success: true,
@@ -324,7 +1089,8 @@ class PromptController {
             totalPromptsProcessed: totalPrompts
           },
           ai: modelInfo,
-          popular: popularData
+          popular: popularData,
+          spend
         }
       });
       
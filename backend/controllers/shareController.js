@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const Prompt = require('../models/Prompt');
+const ShareLink = require('../models/ShareLink');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 192 random bits, URL-safe
+const generateToken = () => crypto.randomBytes(24).toString('base64url');
+
+const baseUrlOf = (req) => `${req.protocol}://${req.get('host')}`;
+
+class ShareController {
+  
+  // POST /api/shares - Publish a history item as a read-only link
+  async createShare(req, res, next) {
+    try {
+      const { historyId, expiresInDays } = req.body;
+      
+      const item = await Prompt.exists({ _id: historyId, userId: req.user.id });
+      if (!item) {
+        return res.status(404).json({
+          error: 'History item not found',
+          message: 'The requested history item does not exist or you do not have permission to share it'
+        });
+      }
+      
+      const link = await ShareLink.create({
+        token: generateToken(),
+        promptId: historyId,
+        userId: req.user.id,
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null
+      });
+      
+      res.status(201).json({
+        success: true,
+        data: link.toOwnerView(baseUrlOf(req)),
+        message: 'Share link created'
+      });
+      
+    } catch (error) {
+      console.error('Error in createShare:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/shares - List the caller's share links, optionally for one history item
+  async listShares(req, res, next) {
+    try {
+      const query = { userId: req.user.id };
+      if (req.query.historyId) query.promptId = req.query.historyId;
+      
+      const links = await ShareLink.find(query).sort({ createdAt: -1 });
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          shares: links.map(link => link.toOwnerView(baseUrlOf(req)))
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in listShares:', error);
+      next(error);
+    }
+  }
+  
+  // DELETE /api/shares/:id - Revoke a share link; the record and its view count are kept
+  async revokeShare(req, res, next) {
+    try {
+      const link = await ShareLink.findOneAndUpdate(
+        { _id: req.params.id, userId: req.user.id },
+        [{ $set: { revokedAt: { $ifNull: ['$revokedAt', '$$NOW'] } } }],
+        { new: true }
+      );
+      
+      if (!link) {
+        return res.status(404).json({
+          error: 'Share link not found',
+          message: 'The requested share link does not exist or you do not have permission to revoke it'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: link.toOwnerView(baseUrlOf(req)),
+        message: 'Share link revoked'
+      });
+      
+    } catch (error) {
+      console.error('Error in revokeShare:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/shared/:token - Public read-only view of a shared rewrite
+  async viewShare(req, res, next) {
+    try {
+      const now = new Date();
+      const link = await ShareLink.findOneAndUpdate(
+        { token: req.params.token, revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $inc: { viewCount: 1 }, $set: { lastViewedAt: now } },
+        { new: true }
+      );
+      
+      if (!link) {
+        // Tell apart links that once worked from tokens that never existed
+        const known = await ShareLink.exists({ token: req.params.token });
+        return res.status(known ? 410 : 404).json({
+          error: known ? 'Share link unavailable' : 'Share link not found',
+          message: known ? 'This share link has expired or was revoked' : 'No share link matches this address'
+        });
+      }
+      
+      const item = await Prompt.findById(link.promptId)
+        .select('originalPrompt rewrittenPrompt tone type timestamp')
+        .lean();
+      
+      if (!item) {
+        return res.status(410).json({
+          error: 'Share link unavailable',
+          message: 'The shared rewrite has been deleted'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          originalPrompt: item.originalPrompt,
+          rewrittenPrompt: item.rewrittenPrompt,
+          tone: item.tone,
+          type: item.type,
+          createdAt: item.timestamp,
+          sharedAt: link.createdAt,
+          expiresAt: link.expiresAt,
+          viewCount: link.viewCount
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in viewShare:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new ShareController();
@@ -0,0 +1,175 @@
+const SystemPrompt = require('../models/SystemPrompt');
+const systemPromptService = require('../services/systemPromptService');
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'System prompt not found',
+  message: 'No system prompt version has this id'
+});
+
+const builtInView = (active) => ({
+  version: systemPromptService.builtIn.version,
+  template: systemPromptService.builtIn.template,
+  description: 'Built-in instructions, used while no stored version is active',
+  active,
+  builtIn: true
+});
+
+// Next version number; a concurrent create may take it first (see createSystemPrompt)
+const nextVersion = async () => {
+  const latest = await SystemPrompt.findOne().sort({ version: -1 }).select('version').lean();
+  return latest ? latest.version + 1 : 1;
+};
+
+const sendActivationConflict = (res, message) => res.status(409).json({
+  error: 'Activation conflict',
+  message: `${message}: another version was activated at the same time. Check GET /api/system-prompts and try again`
+});
+
+// Deactivates every other stored version, then activates the given one (null for the built-in).
+// The partial unique index on active lets only one of two concurrent activations win;
+// the other gets false.
+const activate = async (version) => {
+  try {
+    await SystemPrompt.updateMany({ active: true, version: { $ne: version } }, { $set: { active: false } });
+    return version === null
+      ? null
+      : await SystemPrompt.findOneAndUpdate({ version }, { $set: { active: true, activatedAt: new Date() } }, { new: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return false;
+  } finally {
+    systemPromptService.invalidate();
+  }
+};
+
+class SystemPromptController {
+  
+  // GET /api/system-prompts - List the built-in and stored versions
+  async listSystemPrompts(req, res, next) {
+    try {
+      const stored = await SystemPrompt.find().sort({ version: -1 });
+      const active = stored.find(systemPrompt => systemPrompt.active);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          current: active ? active.versionId : systemPromptService.builtIn.version,
+          versions: [
+            ...stored.map(systemPrompt => ({ ...systemPrompt.toView(), builtIn: false })),
+            builtInView(!active)
+          ]
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in listSystemPrompts:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/system-prompts/:versionId - Get one version
+  async getSystemPrompt(req, res, next) {
+    try {
+      const { versionId } = req.params;
+      
+      if (versionId === systemPromptService.builtIn.version) {
+        const active = await SystemPrompt.exists({ active: true });
+        return res.status(200).json({ success: true, data: builtInView(!active) });
+      }
+      
+      const version = SystemPrompt.parseVersionId(versionId);
+      const systemPrompt = version && await SystemPrompt.findOne({ version });
+      if (!systemPrompt) return sendNotFound(res);
+      
+      res.status(200).json({
+        success: true,
+        data: { ...systemPrompt.toView(), builtIn: false }
+      });
+      
+    } catch (error) {
+      console.error('Error in getSystemPrompt:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/system-prompts - Store a new version, optionally activating it
+  async createSystemPrompt(req, res, next) {
+    try {
+      const { template, description, activate: shouldActivate = false } = req.body;
+      
+      const problems = systemPromptService.validateTemplate(template);
+      if (problems.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid template',
+          message: problems[0],
+          details: problems.map(message => ({ in: 'body', field: 'template', message }))
+        });
+      }
+      
+      let systemPrompt;
+      for (let attempt = 1; !systemPrompt; attempt++) {
+        try {
+          systemPrompt = await SystemPrompt.create({
+            version: await nextVersion(),
+            template,
+            description,
+            createdBy: req.user.id
+          });
+        } catch (error) {
+          // Two versions created at once: retry with the next number
+          if (error.code !== 11000 || attempt >= 3) throw error;
+        }
+      }
+      
+      if (shouldActivate) {
+        const activated = await activate(systemPrompt.version);
+        if (!activated) return sendActivationConflict(res, `System prompt ${systemPrompt.versionId} was created but not activated`);
+        systemPrompt = activated;
+      }
+      
+      res.status(201).json({
+        success: true,
+        data: { ...systemPrompt.toView(), builtIn: false },
+        message: `System prompt ${systemPrompt.versionId} created${shouldActivate ? ' and activated' : ''}`
+      });
+      
+    } catch (error) {
+      console.error('Error in createSystemPrompt:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/system-prompts/:versionId/activate - Use this version for rewrites outside experiments
+  async activateSystemPrompt(req, res, next) {
+    try {
+      const { versionId } = req.params;
+      
+      if (versionId === systemPromptService.builtIn.version) {
+        await activate(null);
+        return res.status(200).json({
+          success: true,
+          data: builtInView(true),
+          message: 'Built-in system prompt activated'
+        });
+      }
+      
+      const version = SystemPrompt.parseVersionId(versionId);
+      if (!version || !await SystemPrompt.exists({ version })) return sendNotFound(res);
+      
+      const systemPrompt = await activate(version);
+      if (!systemPrompt) return sendActivationConflict(res, `System prompt ${versionId} was not activated`);
+      
+      res.status(200).json({
+        success: true,
+        data: { ...systemPrompt.toView(), builtIn: false },
+        message: `System prompt ${systemPrompt.versionId} activated`
+      });
+      
+    } catch (error) {
+      console.error('Error in activateSystemPrompt:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new SystemPromptController();
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const Team = require('../models/Team');
+const Template = require('../models/Template');
+const limits = require('../config/limits');
+
+// 12 URL-safe characters, easy to paste into a chat
+const generateJoinCode = () => crypto.randomBytes(9).toString('base64url');
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'Team not found',
+  message: 'The requested team does not exist or you are not a member'
+});
+
+class TeamController {
+  
+  // GET /api/teams - List the teams the caller belongs to
+  async listTeams(req, res, next) {
+    try {
+      const teams = await Team.find({ members: req.user.id }).sort({ name: 1 });
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          teams: teams.map(team => team.toMemberView(req.user.id))
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in listTeams:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/teams - Create a team; the caller becomes its owner and first member
+  async createTeam(req, res, next) {
+    try {
+      const team = await Team.create({
+        name: req.body.name.trim(),
+        ownerId: req.user.id,
+        members: [req.user.id],
+        joinCode: generateJoinCode()
+      });
+      
+      res.status(201).json({
+        success: true,
+        data: team.toMemberView(req.user.id),
+        message: 'Team created; share the join code with your teammates'
+      });
+      
+    } catch (error) {
+      console.error('Error in createTeam:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/teams/join - Join a team with its join code
+  async joinTeam(req, res, next) {
+    try {
+      const team = await Team.findOne({ joinCode: req.body.joinCode.trim() });
+      if (!team) {
+        return res.status(404).json({
+          error: 'Team not found',
+          message: 'No team has this join code'
+        });
+      }
+      
+      if (!team.isMember(req.user.id)) {
+        // The size condition keeps concurrent joins from overfilling the team
+        const joined = await Team.findOneAndUpdate(
+          { _id: team._id, [`members.${limits.teamMembers - 1}`]: { $exists: false } },
+          { $addToSet: { members: req.user.id } },
+          { new: true }
+        );
+        if (!joined) {
+          return res.status(409).json({
+            error: 'Team is full',
+            message: `A team can have at most ${limits.teamMembers} members`
+          });
+        }
+        team.members = joined.members;
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: team.toMemberView(req.user.id),
+        message: `Joined ${team.name}`
+      });
+      
+    } catch (error) {
+      console.error('Error in joinTeam:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/teams/:id/leave - Leave a team. Ownership passes to the next member;
+  // the last member leaving deletes the team and makes its templates personal.
+  async leaveTeam(req, res, next) {
+    try {
+      const team = await Team.findOne({ _id: req.params.id, members: req.user.id });
+      if (!team) return sendNotFound(res);
+      
+      team.members = team.members.filter(member => member !== req.user.id);
+      
+      if (team.members.length === 0) {
+        await team.deleteOne();
+        await Template.updateMany({ teamId: team._id }, { $set: { visibility: 'personal', teamId: null } });
+      } else {
+        if (team.ownerId === req.user.id) team.ownerId = team.members[0];
+        await team.save();
+      }
+      
+      // Templates the leaver shared with the team become personal again
+      await Template.updateMany(
+        { teamId: team._id, ownerId: req.user.id },
+        { $set: { visibility: 'personal', teamId: null } }
+      );
+      
+      res.status(200).json({
+        success: true,
+        message: `Left ${team.name}`
+      });
+      
+    } catch (error) {
+      console.error('Error in leaveTeam:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new TeamController();
@@ -0,0 +1,336 @@
+const Template = require('../models/Template');
+const Team = require('../models/Team');
+const Prompt = require('../models/Prompt');
+const templateService = require('../services/templateService');
+const catalogService = require('../services/catalogService');
+const promptController = require('./promptControllers');
+const limits = require('../config/limits');
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'Template not found',
+  message: 'The requested template does not exist or you do not have access to it'
+});
+
+const sendNameTaken = (res, name) => res.status(409).json({
+  error: 'Template already exists',
+  message: `You already have a template named "${name}"`
+});
+
+// Team templates may only be shared with a team the caller belongs to
+const checkTeam = async (req, res, visibility, teamId) => {
+  if (visibility !== 'team') return true;
+
+  if (!teamId || !await Team.exists({ _id: teamId, members: req.user.id })) {
+    res.status(400).json({
+      error: 'Invalid teamId',
+      message: 'Team templates need the id of a team you belong to'
+    });
+    return false;
+  }
+  return true;
+};
+
+// Team and public templates are filled by people who cannot see the owner's private
+// tones and types, so only built-in and global names may be shared
+const checkSharedStyles = async (res, visibility, styles) => {
+  if (visibility === 'personal') return true;
+
+  for (const [kind, name] of Object.entries(styles)) {
+    if (name === undefined || await catalogService.isShared(kind, name)) continue;
+    res.status(400).json({
+      error: `Invalid ${kind}`,
+      message: `The ${kind} "${name}" is private to you; ${visibility} templates can only use built-in or global ones`
+    });
+    return false;
+  }
+  return true;
+};
+
+// Templates the caller may see, narrowed by scope: mine, team, public or all
+const buildTemplateQuery = async (req) => {
+  const { scope = 'all', type, tone, search } = req.query;
+  const userId = req.user.id;
+  const teamIds = await Team.idsFor(userId);
+
+  const query = {
+    all: Template.visibleTo(userId, teamIds),
+    mine: { ownerId: userId },
+    team: { visibility: 'team', teamId: { $in: teamIds } },
+    public: { visibility: 'public' }
+  }[scope];
+
+  if (type) query.type = type;
+  if (tone) query.tone = tone;
+  if (search) query.$text = { $search: search };
+
+  return query;
+};
+
+class TemplateController {
+  
+  // GET /api/templates - List templates visible to the caller
+  async listTemplates(req, res, next) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const query = await buildTemplateQuery(req);
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      
+      const [templates, total] = await Promise.all([
+        Template.find(query)
+          .sort({ useCount: -1, name: 1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Template.countDocuments(query)
+      ]);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          templates: templates.map(template => template.toViewerView(req.user.id)),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalItems: total,
+            itemsPerPage: parseInt(limit),
+            hasNext: skip + templates.length < total,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in listTemplates:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/templates/:id - Get one visible template
+  async getTemplate(req, res, next) {
+    try {
+      const teamIds = await Team.idsFor(req.user.id);
+      const template = await Template.findOne({ _id: req.params.id, ...Template.visibleTo(req.user.id, teamIds) });
+      if (!template) return sendNotFound(res);
+      
+      res.status(200).json({
+        success: true,
+        data: template.toViewerView(req.user.id)
+      });
+      
+    } catch (error) {
+      console.error('Error in getTemplate:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/templates - Create a template
+  async createTemplate(req, res, next) {
+    try {
+      const { description, body, variables, tone, type, visibility = 'personal', teamId } = req.body;
+      const name = req.body.name.trim();
+      
+      if (!await checkTeam(req, res, visibility, teamId)) return;
+      if (!await checkSharedStyles(res, visibility, { tone, type })) return;
+      if (await Template.exists({ ownerId: req.user.id, name })) {
+        return sendNameTaken(res, name);
+      }
+      
+      const template = await Template.create({
+        ownerId: req.user.id,
+        name,
+        description,
+        body,
+        variables,
+        tone,
+        type,
+        visibility,
+        teamId: visibility === 'team' ? teamId : null
+      });
+      
+      res.status(201).json({
+        success: true,
+        data: template.toViewerView(req.user.id),
+        message: 'Template created'
+      });
+      
+    } catch (error) {
+      console.error('Error in createTemplate:', error);
+      next(error);
+    }
+  }
+  
+  // PUT /api/templates/:id - Update a template the caller owns
+  async updateTemplate(req, res, next) {
+    try {
+      const template = await Template.findOne({ _id: req.params.id, ownerId: req.user.id });
+      if (!template) return sendNotFound(res);
+      
+      const { name, description, body, variables, tone, type, visibility, teamId } = req.body;
+      
+      if (name !== undefined) {
+        const trimmed = name.trim();
+        if (trimmed !== template.name && await Template.exists({ ownerId: req.user.id, name: trimmed })) {
+          return sendNameTaken(res, trimmed);
+        }
+        template.name = trimmed;
+      }
+      
+      if (visibility !== undefined || teamId !== undefined) {
+        const nextVisibility = visibility || template.visibility;
+        const nextTeamId = teamId !== undefined ? teamId : template.teamId;
+        if (!await checkTeam(req, res, nextVisibility, nextTeamId)) return;
+        template.visibility = nextVisibility;
+        template.teamId = nextVisibility === 'team' ? nextTeamId : null;
+      }
+      
+      const styles = {
+        tone: tone !== undefined ? tone : template.tone,
+        type: type !== undefined ? type : template.type
+      };
+      if (!await checkSharedStyles(res, template.visibility, styles)) return;
+      
+      if (description !== undefined) template.description = description;
+      if (body !== undefined) template.body = body;
+      // Variable details are merged by name; the names themselves always follow body
+      if (variables !== undefined) template.variables = variables;
+      if (tone !== undefined) template.tone = tone;
+      if (type !== undefined) template.type = type;
+      
+      await template.save();
+      
+      res.status(200).json({
+        success: true,
+        data: template.toViewerView(req.user.id),
+        message: 'Template updated'
+      });
+      
+    } catch (error) {
+      console.error('Error in updateTemplate:', error);
+      next(error);
+    }
+  }
+  
+  // DELETE /api/templates/:id - Delete a template the caller owns
+  async deleteTemplate(req, res, next) {
+    try {
+      const template = await Template.findOneAndDelete({ _id: req.params.id, ownerId: req.user.id });
+      if (!template) return sendNotFound(res);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Template deleted'
+      });
+      
+    } catch (error) {
+      console.error('Error in deleteTemplate:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/templates/from-history/:historyId - Turn a favorite history item into a template
+  async createFromHistory(req, res, next) {
+    try {
+      const { description, source = 'rewritten', placeholders = {}, visibility = 'personal', teamId } = req.body;
+      
+      const item = await Prompt.findOne({ _id: req.params.historyId, userId: req.user.id });
+      if (!item) {
+        return res.status(404).json({
+          error: 'History item not found',
+          message: 'The requested history item does not exist or you do not have permission to access it'
+        });
+      }
+      if (!item.isFavorite) {
+        return res.status(409).json({
+          error: 'Not a favorite',
+          message: 'Only favorite history items can be turned into templates'
+        });
+      }
+      
+      const name = (req.body.name || `${item.type} template`).trim();
+      if (!await checkTeam(req, res, visibility, teamId)) return;
+      if (!await checkSharedStyles(res, visibility, { tone: item.tone, type: item.type })) return;
+      if (await Template.exists({ ownerId: req.user.id, name })) {
+        return sendNameTaken(res, name);
+      }
+      
+      const text = source === 'original' ? item.originalPrompt : item.rewrittenPrompt;
+      const { body, used } = templateService.templatize(text, placeholders);
+      
+      const template = await Template.create({
+        ownerId: req.user.id,
+        name,
+        description,
+        body,
+        // The replaced text becomes each variable's default
+        variables: used.map(variableName => ({ name: variableName, defaultValue: placeholders[variableName].trim() })),
+        tone: item.tone,
+        type: item.type,
+        visibility,
+        teamId: visibility === 'team' ? teamId : null,
+        sourceHistoryId: item._id
+      });
+      
+      const notFound = Object.keys(placeholders).filter(variableName => !used.includes(variableName));
+      
+      res.status(201).json({
+        success: true,
+        data: template.toViewerView(req.user.id),
+        message: notFound.length > 0
+          ? `Template created; not found in the text: ${notFound.join(', ')}`
+          : 'Template created'
+      });
+      
+    } catch (error) {
+      console.error('Error in createFromHistory:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/templates/:id/fill (step 1) - Resolve the template and substitute the
+  // variables into req.body.prompt, so the rest of the request is an ordinary rewrite
+  async prepareFill(req, res, next) {
+    try {
+      const teamIds = await Team.idsFor(req.user.id);
+      const template = await Template.findOne({ _id: req.params.id, ...Template.visibleTo(req.user.id, teamIds) });
+      if (!template) return sendNotFound(res);
+      
+      const { values = {}, save = true } = req.body;
+      const filled = templateService.fill(template.body, template.variables, values);
+      
+      if (filled.missing.length > 0) {
+        return res.status(400).json({
+          error: 'Missing template values',
+          message: `No value for: ${filled.missing.join(', ')}`,
+          details: filled.missing.map(name => ({ in: 'body', field: `values.${name}`, message: `values.${name} is required` }))
+        });
+      }
+      if (filled.text.length > limits.promptLength) {
+        return res.status(400).json({
+          error: 'Invalid prompt',
+          message: `The filled template must be at most ${limits.promptLength} characters`
+        });
+      }
+      
+      req.body.prompt = filled.text;
+      req.body.tone = req.body.tone || template.tone;
+      req.body.type = req.body.type || template.type;
+      // The caller is always signed in here, so history is saved unless turned off
+      if (save === false) delete req.body.userId;
+      req.template = { id: template._id, name: template.name, values, unused: filled.unused };
+      
+      Template.updateOne({ _id: template._id }, { $inc: { useCount: 1 }, $set: { lastUsedAt: new Date() } })
+        .catch(error => console.warn('Failed to record template use:', error.message));
+      
+      next();
+    } catch (error) {
+      console.error('Error in prepareFill:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/templates/:id/fill (step 2) - Rewrite the filled text exactly like POST /api/rewrite
+  async fillTemplate(req, res, next) {
+    return promptController.rewritePrompt(req, res, next);
+  }
+}
+
+module.exports = new TemplateController();
@@ -0,0 +1,57 @@
+const User = require('../models/User');
+const quotaService = require('../services/quotaService');
+const { quotaHeaders } = require('../middleware/quota');
+
+class UsageController {
+  
+  // GET /api/usage - Current rewrite counts and spend against the caller's plan
+  async getUsage(req, res, next) {
+    try {
+      const status = await quotaService.getStatus(quotaService.identityOf(req));
+      
+      res.set(quotaHeaders(status));
+      res.status(200).json({
+        success: true,
+        data: {
+          ...status,
+          enforced: quotaService.enabled
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in getUsage:', error);
+      next(error);
+    }
+  }
+  
+  // PUT /api/usage/users/:userId/plan - Move an account to another quota plan (admin only)
+  async setPlan(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const { plan } = req.body;
+      
+      const user = await User.findByIdAndUpdate(userId, { plan }, { new: true, runValidators: true });
+      
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'No account has this id'
+        });
+      }
+      
+      console.log(`📋 Plan of user ${userId} set to "${plan}" by ${req.user.email}`);
+      
+      res.status(200).json({
+        success: true,
+        data: user.toProfile(),
+        message: `${user.email} is now on the "${plan}" plan`
+      });
+      
+    } catch (error) {
+      console.error('Error in setPlan:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new UsageController();
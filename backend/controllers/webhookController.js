@@ -0,0 +1,227 @@
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const authService = require('../services/authService');
+const webhookService = require('../services/webhookService');
+const webhookConfig = require('../config/webhooks');
+
+const sendNotFound = (res) => res.status(404).json({
+  error: 'Webhook not found',
+  message: 'The requested webhook does not exist or you do not have permission to modify it'
+});
+
+// apiKeyId must name one of the caller's own keys
+const ownsApiKey = async (userId, apiKeyId) => {
+  const apiKeys = await authService.listApiKeys(userId);
+  return apiKeys.some(apiKey => apiKey.id.toString() === apiKeyId);
+};
+
+const sendUnknownApiKey = (res) => res.status(400).json({
+  error: 'Invalid apiKeyId',
+  message: 'apiKeyId must reference one of your API keys'
+});
+
+class WebhookController {
+  
+  // GET /api/webhooks - List the caller's webhook subscriptions
+  async listWebhooks(req, res, next) {
+    try {
+      const subscriptions = await WebhookSubscription.find({ userId: req.user.id }).sort({ createdAt: -1 });
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          webhooks: subscriptions.map(subscription => subscription.toOwnerView()),
+          events: webhookConfig.events
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in listWebhooks:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/webhooks - Subscribe a URL to events; the signing secret is returned only here
+  async createWebhook(req, res, next) {
+    try {
+      const { url, events, description, secret } = req.body;
+      // "current" binds the subscription to the API key making this request
+      const apiKeyId = req.body.apiKeyId === 'current' ? req.user.apiKeyId : req.body.apiKeyId;
+      
+      if (req.body.apiKeyId === 'current' && !apiKeyId) {
+        return res.status(400).json({
+          error: 'No API key in use',
+          message: 'apiKeyId "current" requires the request to be authenticated with an API key'
+        });
+      }
+      
+      if (apiKeyId && !await ownsApiKey(req.user.id, apiKeyId)) {
+        return sendUnknownApiKey(res);
+      }
+      
+      const count = await WebhookSubscription.countDocuments({ userId: req.user.id });
+      if (count >= webhookConfig.maxSubscriptions) {
+        return res.status(400).json({
+          error: 'Too many webhooks',
+          message: `You can have at most ${webhookConfig.maxSubscriptions} webhooks`
+        });
+      }
+      
+      const subscription = await WebhookSubscription.create({
+        userId: req.user.id,
+        apiKeyId: apiKeyId || null,
+        url,
+        events: [...new Set(events)],
+        description,
+        secret: secret || webhookService.generateSecret()
+      });
+      
+      res.status(201).json({
+        success: true,
+        data: {
+          ...subscription.toOwnerView(),
+          secret: subscription.secret
+        },
+        message: 'Webhook created. Store the secret now; it will not be shown again.'
+      });
+      
+    } catch (error) {
+      console.error('Error in createWebhook:', error);
+      next(error);
+    }
+  }
+  
+  // PUT /api/webhooks/:id - Change the URL, events, description, active flag or secret
+  async updateWebhook(req, res, next) {
+    try {
+      const subscription = await WebhookSubscription.findOne({ _id: req.params.id, userId: req.user.id });
+      if (!subscription) return sendNotFound(res);
+      
+      const { url, events, description, active, rotateSecret } = req.body;
+      if (url !== undefined) subscription.url = url;
+      if (events !== undefined) subscription.events = [...new Set(events)];
+      if (description !== undefined) subscription.description = description;
+      if (active !== undefined) subscription.active = active;
+      
+      const newSecret = rotateSecret ? webhookService.generateSecret() : null;
+      if (newSecret) subscription.secret = newSecret;
+      
+      await subscription.save();
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          ...subscription.toOwnerView(),
+          ...(newSecret && { secret: newSecret })
+        },
+        message: newSecret ? 'Webhook updated with a new secret' : 'Webhook updated'
+      });
+      
+    } catch (error) {
+      console.error('Error in updateWebhook:', error);
+      next(error);
+    }
+  }
+  
+  // DELETE /api/webhooks/:id - Delete a subscription; its pending deliveries are dropped
+  async deleteWebhook(req, res, next) {
+    try {
+      const subscription = await WebhookSubscription.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+      if (!subscription) return sendNotFound(res);
+      
+      await WebhookDelivery.updateMany(
+        { subscriptionId: subscription._id, status: 'pending' },
+        { $set: { status: 'failed', error: 'Subscription was deleted', completedAt: new Date() } }
+      );
+      
+      res.status(200).json({
+        success: true,
+        message: 'Webhook deleted',
+        data: { deletedId: subscription._id }
+      });
+      
+    } catch (error) {
+      console.error('Error in deleteWebhook:', error);
+      next(error);
+    }
+  }
+  
+  // GET /api/webhooks/deliveries - Delivery log, newest first
+  async listDeliveries(req, res, next) {
+    try {
+      const { page = 1, limit = 20, webhookId, status, event } = req.query;
+      
+      const query = { userId: req.user.id };
+      if (webhookId) query.subscriptionId = webhookId;
+      if (status) query.status = status;
+      if (event) query.event = event;
+      
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        WebhookDelivery.countDocuments(query)
+      ]);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          // Entries logged by older versions may still hold a responseBody; it is never returned
+          deliveries: deliveries.map(({ subscriptionId, userId, responseBody, __v, ...delivery }) => ({
+            ...delivery,
+            webhookId: subscriptionId
+          })),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalItems: total,
+            itemsPerPage: parseInt(limit),
+            hasNext: skip + deliveries.length < total,
+            hasPrev: parseInt(page) > 1
+          }
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error in listDeliveries:', error);
+      next(error);
+    }
+  }
+  
+  // POST /api/webhooks/deliveries/:id/replay - Send a logged delivery's payload again
+  async replayDelivery(req, res, next) {
+    try {
+      const delivery = await webhookService.replay(req.params.id, req.user.id);
+      
+      if (!delivery) {
+        return res.status(404).json({
+          error: 'Delivery not found',
+          message: 'The requested delivery does not exist or you do not have permission to replay it'
+        });
+      }
+      
+      res.status(202).json({
+        success: true,
+        data: {
+          id: delivery._id,
+          webhookId: delivery.subscriptionId,
+          event: delivery.event,
+          eventId: delivery.eventId,
+          status: delivery.status,
+          replayOf: delivery.replayOf
+        },
+        message: 'Delivery queued'
+      });
+      
+    } catch (error) {
+      console.error('Error in replayDelivery:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new WebhookController();
@@ -0,0 +1,122 @@
+const authService = require('../services/authService');
+const authConfig = require('../config/auth');
+
+// Reads "Authorization: Bearer <jwt|api key>" or "X-API-Key: <api key>"
+const getCredentials = (req) => {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    const value = header.slice(7).trim();
+    return value.startsWith(authConfig.apiKeyPrefix) ? { apiKey: value } : { token: value };
+  }
+  
+  const apiKey = req.get('X-API-Key');
+  return apiKey ? { apiKey: apiKey.trim() } : null;
+};
+
+const identify = async (credentials) => {
+  if (credentials.token) return authService.verifyToken(credentials.token);
+  return authService.verifyApiKey(credentials.apiKey);
+};
+
+const sendUnauthorized = (res, message) => res.status(401).json({
+  error: 'Authentication required',
+  message
+});
+
+// Requires a valid token or API key and sets req.user
+const authenticate = async (req, res, next) => {
+  // Already identified by identifyCaller
+  if (req.user) return next();
+  
+  try {
+    const credentials = getCredentials(req);
+    if (!credentials) {
+      return sendUnauthorized(res, 'Provide a bearer token or an X-API-Key header');
+    }
+    
+    const user = await identify(credentials);
+    if (!user) {
+      return sendUnauthorized(res, 'The provided credentials are invalid or expired');
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sets req.user when credentials are sent; anonymous requests pass through,
+// but invalid credentials are still rejected rather than silently ignored
+const optionalAuth = async (req, res, next) => {
+  if (!getCredentials(req)) return next();
+  return authenticate(req, res, next);
+};
+
+// Sets req.user when valid credentials are sent and ignores anything else, so rate
+// limits can count signed-in callers per account; route auth still rejects bad credentials
+const identifyCaller = async (req, res, next) => {
+  try {
+    const credentials = getCredentials(req);
+    const user = credentials && await identify(credentials);
+    if (user) req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Checks every userId the request carries (params, body, query) against the caller.
+// "me" and the caller's own id are accepted and normalized to the real id; anything
+// else is refused. With { pin: true } userId is also filled in where it is missing,
+// so controllers always act on the caller's own records.
+const scopeToUser = ({ pin = false } = {}) => (req, res, next) => {
+  const sources = [req.params, req.body, req.query].filter(Boolean);
+  const supplied = sources.filter(source => source.userId !== undefined);
+  
+  if (!req.user) {
+    if (supplied.length > 0) {
+      return sendUnauthorized(res, 'Sign in to access user history');
+    }
+    return next();
+  }
+  
+  const foreign = supplied.find(source => source.userId !== 'me' && source.userId !== req.user.id);
+  if (foreign) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You can only access your own data'
+    });
+  }
+  
+  for (const source of (pin ? sources : supplied)) {
+    source.userId = req.user.id;
+  }
+  
+  next();
+};
+
+// Accounts listed in ADMIN_EMAILS
+const isAdmin = (user) => !!user && authConfig.adminEmails.includes((user.email || '').toLowerCase());
+
+// Only administrators; use after authenticate
+const adminOnly = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This endpoint is restricted to administrators'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  optionalAuth,
+  identifyCaller,
+  scopeToUser,
+  isAdmin,
+  requireUser: [authenticate, scopeToUser({ pin: true })],
+  requireAdmin: [authenticate, adminOnly],
+  allowAnonymous: [optionalAuth, scopeToUser()]
+};
@@ -0,0 +1,34 @@
+// Last-resort error handler. `error` keeps the values clients have always received
+// (the error's own message for unexpected errors); `message` and `details` were added later.
+const errorHandler = (err, req, res, next) => {
+  console.error('Error:', err);
+  
+  // Same details shape as request validation errors (see middleware/validate.js)
+  if (err.name === 'ValidationError') {
+    const details = Object.values(err.errors || {}).map(fieldError => ({
+      in: 'body',
+      field: fieldError.path,
+      message: fieldError.message
+    }));
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: err.message,
+      details
+    });
+  }
+  
+  if (err.name === 'CastError') {
+    return res.status(400).json({
+      error: 'Invalid ID format',
+      message: 'The provided ID is not valid'
+    });
+  }
+  
+  res.status(err.status || 500).json({
+    error: err.message || 'Internal Server Error',
+    message: err.message || 'Something went wrong',
+    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+  });
+};
+
+module.exports = errorHandler;
@@ -0,0 +1,90 @@
+const quotaService = require('../services/quotaService');
+
+const LIMIT_NAMES = {
+  dailyRewrites: 'daily rewrite limit',
+  monthlyRewrites: 'monthly rewrite limit',
+  monthlyBudget: 'monthly spend budget'
+};
+
+const toEpochSeconds = (date) => Math.ceil(date.getTime() / 1000);
+
+// X-Quota-* headers for every limited dimension of the caller's plan
+const quotaHeaders = (status) => {
+  const headers = { 'X-Quota-Plan': status.plan };
+  const { limits, remaining, resets } = status;
+  
+  if (limits.dailyRewrites !== null) {
+    headers['X-Quota-Daily-Limit'] = limits.dailyRewrites;
+    headers['X-Quota-Daily-Remaining'] = remaining.dailyRewrites;
+    headers['X-Quota-Daily-Reset'] = toEpochSeconds(resets.daily);
+  }
+  if (limits.monthlyRewrites !== null) {
+    headers['X-Quota-Monthly-Limit'] = limits.monthlyRewrites;
+    headers['X-Quota-Monthly-Remaining'] = remaining.monthlyRewrites;
+    headers['X-Quota-Monthly-Reset'] = toEpochSeconds(resets.monthly);
+  }
+  if (limits.monthlyBudget !== null) {
+    headers['X-Quota-Budget-Limit'] = limits.monthlyBudget;
+    headers['X-Quota-Budget-Remaining'] = remaining.monthlyBudget;
+  }
+  
+  return headers;
+};
+
+// Gives back rewrites reserved by enforceQuota that did not run, such as a stream that
+// failed after its 200 was sent. Without an amount, whatever is still reserved is released.
+const releaseQuota = async (req, amount) => {
+  const reservation = req.quotaReservation;
+  if (!reservation) return;
+  
+  const count = Math.min(amount === undefined ? reservation.amount : amount, reservation.amount);
+  if (count <= 0) return;
+  reservation.amount -= count;
+  
+  try {
+    await quotaService.release(reservation.identity, count);
+  } catch (error) {
+    console.warn('Failed to release quota:', error.message);
+  }
+};
+
+// Counts the request against the caller's plan before any model call is made.
+// countOf(req) gives the number of rewrites the request will run (default 1).
+// Place it after validation so rejected requests are not counted.
+const enforceQuota = (countOf = () => 1) => async (req, res, next) => {
+  if (!quotaService.enabled) return next();
+  
+  try {
+    const identity = quotaService.identityOf(req);
+    const amount = countOf(req);
+    const { allowed, exceeded, status } = await quotaService.reserve(identity, amount);
+    res.set(quotaHeaders(status));
+    
+    if (!allowed) {
+      const resetsAt = exceeded === 'dailyRewrites' ? status.resets.daily : status.resets.monthly;
+      res.set('Retry-After', Math.max(toEpochSeconds(resetsAt) - toEpochSeconds(new Date()), 1));
+      
+      return res.status(429).json({
+        error: 'Quota exceeded',
+        message: `This request would exceed the ${LIMIT_NAMES[exceeded]} of the "${status.plan}" plan`,
+        quota: status
+      });
+    }
+    
+    // Failed requests (PII rejections, provider errors, missing items) do not use up the quota
+    req.quotaReservation = { identity, amount };
+    res.on('finish', () => {
+      if (res.statusCode >= 400) releaseQuota(req);
+    });
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  enforceQuota,
+  releaseQuota,
+  quotaHeaders
+};
@@ -0,0 +1,59 @@
+const SchemaValidator = require('../validation/schema');
+const { schemas } = require('../validation/components');
+
+const validator = new SchemaValidator(schemas);
+
+// Request parts in the order they are checked, with their OpenAPI location names
+const LOCATIONS = [
+  ['params', 'path'],
+  ['query', 'query'],
+  ['body', 'body']
+];
+
+// "variants[1].temperature" -> "temperature", "" (the whole body) -> "request body"
+const fieldName = (field) => field.split('.').pop().replace(/\[\d+\]/g, '') || 'request body';
+
+// Every validation failure has the same shape: the first problem as error/message,
+// and all problems in details
+const sendValidationError = (res, details, error) => res.status(400).json({
+  error: error || `Invalid ${fieldName(details[0].field)}`,
+  message: details[0].message,
+  details
+});
+
+// Validates path, query and body against a route spec (see validation/api.js),
+// then runs the spec's request-time checks
+const validateRequest = (spec) => async (req, res, next) => {
+  try {
+    const details = [];
+    
+    for (const [key, location] of LOCATIONS) {
+      if (!spec[key]) continue;
+      const value = key === 'body' && req.body === undefined ? {} : req[key];
+      validator.validate(spec[key], value, { coerce: key !== 'body' }).forEach(problem => {
+        details.push({ in: location, field: problem.path, message: problem.message, error: problem.error });
+      });
+    }
+    
+    if (details.length > 0) {
+      return sendValidationError(res, details.map(({ error, ...detail }) => detail), details[0].error);
+    }
+    
+    for (const check of spec.checks || []) {
+      const problem = await check(req);
+      if (problem) {
+        const { error, ...detail } = problem;
+        return sendValidationError(res, [detail], error);
+      }
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  validateRequest,
+  sendValidationError
+};
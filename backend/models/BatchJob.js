@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const limits = require('../config/limits');
+
+const ITEM_STATUSES = ['pending', 'running', 'succeeded', 'failed', 'cancelled'];
+
+const batchItemSchema = new mongoose.Schema({
+  prompt: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: limits.promptLength
+  },
+  tone: {
+    type: String,
+    default: 'professional'
+  },
+  type: {
+    type: String,
+    default: 'other'
+  },
+  status: {
+    type: String,
+    enum: ITEM_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  rewrittenPrompt: { type: String },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+  historyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prompt'
+  },
+  startedAt: { type: Date },
+  completedAt: { type: Date }
+});
+
+const batchJobSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  // API key that created the job; webhook events from the job are attributed to it
+  apiKeyId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  options: {
+    provider: { type: String },
+    model: { type: String },
+    saveToHistory: { type: Boolean, default: false }
+  },
+  items: [batchItemSchema],
+  startedAt: { type: Date },
+  completedAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+batchJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Per-status item counts; works on documents and lean objects alike
+batchJobSchema.statics.progressOf = function(job) {
+  const progress = { total: job.items.length };
+  ITEM_STATUSES.forEach(status => { progress[status] = 0; });
+  job.items.forEach(item => { progress[item.status] += 1; });
+  
+  const done = progress.succeeded + progress.failed + progress.cancelled;
+  progress.percentComplete = progress.total ? Math.round((done / progress.total) * 100) : 100;
+  return progress;
+};
+
+module.exports = mongoose.model('BatchJob', batchJobSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Backing collection for the MongoDB rewrite cache store
+const cachedRewriteSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // TTL index: MongoDB removes the document once expiresAt has passed
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CachedRewrite', cachedRewriteSchema);
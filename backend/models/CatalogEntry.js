@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const limits = require('../config/limits');
+
+// A user-defined tone or document type ("house style")
+const catalogEntrySchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: ['tone', 'type']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9][a-z0-9-]{1,39}$/
+  },
+  instruction: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: limits.instructionLength
+  },
+  ownerId: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  // global entries are visible to everyone, private ones only to their owner
+  visibility: {
+    type: String,
+    enum: ['global', 'private'],
+    default: 'private'
+  }
+}, {
+  timestamps: true
+});
+
+catalogEntrySchema.index({ kind: 1, name: 1, ownerId: 1 }, { unique: true });
+catalogEntrySchema.index({ kind: 1, visibility: 1 });
+
+module.exports = mongoose.model('CatalogEntry', catalogEntrySchema);
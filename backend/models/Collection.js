@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const limits = require('../config/limits');
+
+// Named group of history items. Membership is stored on each Prompt
+// (Prompt.collections), so an item can sit in several collections.
+const collectionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: limits.nameLength
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: limits.descriptionLength,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const limits = require('../config/limits');
+const systemPromptConfig = require('../config/systemPrompts');
+
+const variantSchema = new mongoose.Schema({
+  // Recorded as metadata.experimentVariant on each rewrite
+  name: {
+    type: String,
+    required: true,
+    match: /^[a-z0-9][a-z0-9_-]{0,39}$/
+  },
+  // A stored version ("v3") or the built-in one (see config/systemPrompts.js)
+  version: {
+    type: String,
+    required: true
+  },
+  // Relative share of traffic
+  weight: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 1
+  }
+}, {
+  _id: false
+});
+
+// A/B test between system prompt versions. Requests are assigned by user (the same
+// user always gets the same variant) or at random; at most one experiment runs at a time.
+const experimentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: limits.nameLength
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: limits.descriptionLength,
+    default: ''
+  },
+  assignment: {
+    type: String,
+    enum: ['user', 'random'],
+    default: 'user'
+  },
+  variants: {
+    type: [variantSchema],
+    validate: [
+      {
+        validator: variants => variants.length >= 2 && variants.length <= systemPromptConfig.maxVariants,
+        message: `An experiment needs 2 to ${systemPromptConfig.maxVariants} variants`
+      },
+      {
+        validator: variants => new Set(variants.map(variant => variant.name)).size === variants.length,
+        message: 'Variant names must be unique'
+      }
+    ]
+  },
+  status: {
+    type: String,
+    enum: ['running', 'stopped'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  stoppedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+experimentSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+module.exports = mongoose.model('Experiment', experimentSchema);
@@ -1,4 +1,66 @@
 const mongoose = require('mongoose');
+const catalogService = require('../services/catalogService');
+const languageService = require('../services/languageService');
+const redactionService = require('../services/redactionService');
+const diffService = require('../services/diffService');
+const structuredOutputService = require('../services/structuredOutputService');
+const limits = require('../config/limits');
+const structuredConfig = require('../config/structuredOutput');
+const feedbackConfig = require('../config/feedback');
+
+// Tones and types are validated against the catalog (built-ins plus custom entries the owner can see)
+const feedbackSchema = new mongoose.Schema({
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: 'rating must be a whole number from 1 to 5'
+    },
+    default: null
+  },
+  thumbs: {
+    type: String,
+    enum: [...feedbackConfig.thumbs, null],
+    default: null
+  },
+  reasons: {
+    type: [{ type: String, enum: feedbackConfig.reasons }],
+    default: []
+  },
+  // The text the user actually sent, after editing the rewrite
+  finalText: {
+    type: String,
+    trim: true,
+    maxlength: limits.rewriteLength,
+    default: null
+  },
+  // Word-level similarity (0-1) of finalText to the rewrite; 1 = sent unchanged
+  finalTextSimilarity: {
+    type: Number,
+    default: null
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: limits.descriptionLength,
+    default: ''
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const catalogValidator = (kind) => ({
+  validator: async function(value) {
+    return catalogService.exists(kind, value, this.userId);
+  },
+  message: props => `Unknown ${kind} "${props.value}"`
+});
 
 const promptSchema = new mongoose.Schema({
   userId: {
@@ -11,26 +73,53 @@ const promptSchema = new mongoose.Schema({
     type: String, 
     required: true,
     trim: true,
-    maxlength: 5000
+    maxlength: limits.promptLength
   },
   rewrittenPrompt: {
     type: String,
     required: true,
     trim: true,
-    maxlength: 10000
+    maxlength: limits.rewriteLength
   },
   tone: {
     type: String,
     required: true,
-    enum: ['formal', 'casual', 'friendly', 'professional', 'creative', 'concise'],
+    validate: catalogValidator('tone'),
     default: 'professional'
   },
   type: {
     type: String,
     required: true,
-    enum: ['email', 'message', 'explanation', 'summary', 'proposal', 'report', 'other'],
+    validate: catalogValidator('type'),
     default: 'other'
   },
+  // "structured" rewrites also keep the JSON object rewrittenPrompt was rendered from
+  format: {
+    type: String,
+    enum: structuredConfig.formats,
+    default: 'plain'
+  },
+  structured: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return value === null || structuredOutputService.validate(this.type, value).length === 0;
+      },
+      message: 'structured does not match the shape for this type (see config/structuredOutput.js)'
+    }
+  },
+  // ISO 639-1 codes; null when the language could not be detected
+  sourceLanguage: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  targetLanguage: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
   isFavorite: {
     type: Boolean,
     default: false,
@@ -41,6 +130,58 @@ const promptSchema = new mongoose.Schema({
     default: Date.now,
     index: true
   },
+  // Refinement chain: each refinement is a new version pointing at the item it revised
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prompt',
+    default: null
+  },
+  rootId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prompt',
+    default: null,
+    index: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  refinementInstruction: {
+    type: String,
+    trim: true,
+    maxlength: limits.instructionLength
+  },
+  revertedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prompt',
+    default: null
+  },
+  // Free-form labels, stored normalized (see Prompt.normalizeTags)
+  tags: {
+    type: [String],
+    default: []
+  },
+  collections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  }],
+  // The owner's rating of this rewrite; null until feedback is given
+  feedback: {
+    type: feedbackSchema,
+    default: null
+  },
+  // Set when the prompt was filled in from a template
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template',
+    default: null
+  },
+  // Set when this item was picked from a multi-variant rewrite
+  variantSet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VariantSet',
+    default: null
+  },
   // Additional metadata
   metadata: {
     wordCount: {
@@ -48,8 +189,28 @@ const promptSchema = new mongoose.Schema({
       rewritten: { type: Number, default: 0 }
     },
     processingTime: { type: Number }, // in milliseconds
-    model: { type: String, default: 'gemini-pro' },
-    apiCost: { type: Number, default: 0 } // for tracking costs
+    provider: { type: String, default: 'gemini' },
+    model: { type: String, default: 'gemini-1.5-flash' },
+    temperature: { type: Number },
+    // Version of the rewrite instructions ("builtin-2", "v3"; see config/systemPrompts.js);
+    // null for mock and imported items
+    systemPromptVersion: { type: String, default: null },
+    // Set while an A/B experiment between system prompt versions was running
+    experimentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Experiment', default: null },
+    experimentVariant: { type: String, default: null },
+    cached: { type: Boolean, default: false },
+    tokens: {
+      input: { type: Number, default: 0 },
+      output: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+      estimated: { type: Boolean, default: false }
+    },
+    cost: {
+      input: { type: Number, default: 0 },
+      output: { type: Number, default: 0 },
+      currency: { type: String, default: 'USD' }
+    },
+    apiCost: { type: Number, default: 0 } // total cost of the model call in USD
   }
 }, {
   timestamps: true
@@ -60,6 +221,18 @@ promptSchema.index({ userId: 1, timestamp: -1 });
 promptSchema.index({ userId: 1, isFavorite: 1, timestamp: -1 });
 promptSchema.index({ userId: 1, type: 1 });
 promptSchema.index({ userId: 1, tone: 1 });
+promptSchema.index({ userId: 1, tags: 1 });
+promptSchema.index({ userId: 1, targetLanguage: 1 });
+promptSchema.index({ userId: 1, collections: 1 });
+promptSchema.index({ 'metadata.experimentId': 1, 'metadata.experimentVariant': 1 }, { sparse: true });
+// One item per version number in a refinement chain (first versions have no rootId)
+promptSchema.index({ rootId: 1, version: 1 }, { unique: true, partialFilterExpression: { rootId: { $type: 'objectId' } } });
+
+// Full-text search over both texts; rewrites weigh more since that's what users look for
+promptSchema.index(
+  { originalPrompt: 'text', rewrittenPrompt: 'text' },
+  { name: 'prompt_text_search', weights: { rewrittenPrompt: 2, originalPrompt: 1 } }
+);
 
 // Virtual for calculating improvement ratio
 promptSchema.virtual('improvementRatio').get(function() {
@@ -69,40 +242,317 @@ promptSchema.virtual('improvementRatio').get(function() {
   return null;
 });
 
+// Stored history follows the same PII policy as model calls (see config/privacy.js)
+promptSchema.pre('validate', function(next) {
+  redactionService.applyToDocument(this, ['originalPrompt', 'rewrittenPrompt', 'refinementInstruction', 'structured', 'feedback.finalText', 'feedback.comment']);
+  next();
+});
+
+// Runs after redaction, so both texts carry the same kind of placeholders
+promptSchema.pre('validate', function(next) {
+  if (this.feedback && this.isModified('feedback')) {
+    this.feedback.finalTextSimilarity = this.feedback.finalText && this.rewrittenPrompt
+      ? diffService.diffWords(this.rewrittenPrompt, this.feedback.finalText).summary.similarity
+      : null;
+  }
+  next();
+});
+
 // Pre-save middleware to calculate word counts
 promptSchema.pre('save', function(next) {
   if (this.originalPrompt && this.rewrittenPrompt) {
     this.metadata.wordCount.original = this.originalPrompt.split(' ').length;
     this.metadata.wordCount.rewritten = this.rewrittenPrompt.split(' ').length;
   }
+  // Items saved without a rewrite call (manual saves, imports) get detected languages
+  if (!this.sourceLanguage && this.originalPrompt) {
+    this.sourceLanguage = languageService.detect(this.originalPrompt).code;
+  }
+  if (!this.targetLanguage && this.rewrittenPrompt) {
+    this.targetLanguage = languageService.detect(this.rewrittenPrompt).code;
+  }
   next();
 });
 
 // Static methods
-promptSchema.statics.getUserStats = async function(userId) {
-  return await this.aggregate([
-    { $match: { userId: userId } },
+
+// Same ratio as the improvementRatio virtual, computed inside the aggregation
+const improvementRatioExpr = {
+  $cond: [
+    { $and: [{ $gt: ['$metadata.wordCount.original', 0] }, { $gt: ['$metadata.wordCount.rewritten', 0] }] },
+    { $divide: ['$metadata.wordCount.rewritten', '$metadata.wordCount.original'] },
+    null
+  ]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Current and longest runs of consecutive active days; days are sorted 'YYYY-MM-DD' strings.
+// The current streak still counts when the last active day was yesterday.
+const computeStreaks = (days, now = new Date()) => {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  
+  for (const day of days) {
+    const time = Date.parse(day);
+    run = previous !== null && time - previous === DAY_MS ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = time;
+  }
+  
+  const today = Date.parse(now.toISOString().slice(0, 10));
+  const current = previous !== null && today - previous <= DAY_MS ? run : 0;
+  return { current, longest, lastActiveDay: days.length ? days[days.length - 1] : null };
+};
+
+// Tags are compared case-insensitively: trimmed, lowercased, inner whitespace collapsed to "-"
+promptSchema.statics.normalizeTags = function(tags) {
+  const normalized = tags.map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean);
+  return [...new Set(normalized)];
+};
+
+// Tag names with how many of the user's items carry each, most used first
+promptSchema.statics.getUserTags = async function(userId) {
+  const tags = await this.aggregate([
+    { $match: { userId, tags: { $exists: true, $ne: [] } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+  
+  return tags.map(tag => ({ tag: tag._id, count: tag.count }));
+};
+
+// Timestamp condition for an inclusive from/to range. A date-only "to" covers that whole day.
+promptSchema.statics.timestampRange = function(from, to) {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    range.$lte = /^\d{4}-\d{2}-\d{2}$/.test(to)
+      ? new Date(Date.parse(to) + DAY_MS - 1)
+      : new Date(to);
+  }
+  return range;
+};
+
+const round = (value, digits = 2) => value === null || value === undefined ? null : parseFloat(value.toFixed(digits));
+
+// Analytics for one user, optionally limited to { from, to } (inclusive dates, UTC buckets)
+promptSchema.statics.getUserStats = async function(userId, { from, to } = {}) {
+  const match = { userId };
+  if (from || to) match.timestamp = this.timestampRange(from, to);
+  
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              totalPrompts: { $sum: 1 },
+              favoritePrompts: { $sum: { $cond: ['$isFavorite', 1, 0] } },
+              averageProcessingTime: { $avg: '$metadata.processingTime' },
+              totalApiCost: { $sum: '$metadata.apiCost' },
+              averageImprovementRatio: { $avg: improvementRatioExpr }
+            }
+          }
+        ],
+        tones: [
+          { $group: { _id: '$tone', count: { $sum: 1 }, favorites: { $sum: { $cond: ['$isFavorite', 1, 0] } } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        types: [
+          { $group: { _id: '$type', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        daily: [
+          { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        weekly: [
+          { $group: { _id: { $dateToString: { format: '%G-W%V', date: '$timestamp' } }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+  
+  const totals = result.totals[0] || {
+    totalPrompts: 0,
+    favoritePrompts: 0,
+    averageProcessingTime: null,
+    totalApiCost: 0,
+    averageImprovementRatio: null
+  };
+  const toMap = (rows, value) => Object.fromEntries(rows.map(row => [row._id, value(row)]));
+  
+  return {
+    totalPrompts: totals.totalPrompts,
+    favoritePrompts: totals.favoritePrompts,
+    favoriteRate: totals.totalPrompts ? round(totals.favoritePrompts / totals.totalPrompts, 4) : 0,
+    mostUsedTone: result.tones.length ? result.tones[0]._id : null,
+    mostUsedType: result.types.length ? result.types[0]._id : null,
+    averageProcessingTime: round(totals.averageProcessingTime, 0),
+    totalApiCost: round(totals.totalApiCost, 8),
+    averageImprovementRatio: round(totals.averageImprovementRatio),
+    // Percentage change in word count from original to rewrite (negative means shorter)
+    averageWordCountChange: totals.averageImprovementRatio === null ? null : round((totals.averageImprovementRatio - 1) * 100, 1),
+    toneDistribution: toMap(result.tones, row => row.count),
+    typeDistribution: toMap(result.types, row => row.count),
+    favoriteRateByTone: toMap(result.tones, row => round(row.favorites / row.count, 4)),
+    activity: {
+      daily: result.daily.map(row => ({ date: row._id, count: row.count })),
+      weekly: result.weekly.map(row => ({ week: row._id, count: row.count }))
+    },
+    streaks: computeStreaks(result.daily.map(row => row._id))
+  };
+};
+
+// Dimensions the feedback report is broken down by
+const FEEDBACK_DIMENSIONS = {
+  tone: '$tone',
+  type: '$type',
+  model: '$metadata.model',
+  systemPromptVersion: '$metadata.systemPromptVersion'
+};
+
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Feedback per tone, type, model and system prompt version for the items matching
+// match (e.g. { userId } or {} for everyone). Items without feedback still count
+// towards feedbackRate and favoriteRate.
+promptSchema.statics.getFeedbackReport = async function(match = {}) {
+  const hasFeedback = { $ne: [{ $ifNull: ['$feedback', null] }, null] };
+  const rating = { $ifNull: ['$feedback.rating', null] };
+  const thumbs = { $ifNull: ['$feedback.thumbs', null] };
+  const positive = { $or: [{ $gte: [rating, feedbackConfig.positiveRating] }, { $eq: [thumbs, 'up'] }] };
+  const negative = {
+    $or: [
+      { $and: [{ $ne: [rating, null] }, { $lte: [rating, feedbackConfig.negativeRating] }] },
+      { $eq: [thumbs, 'down'] }
+    ]
+  };
+  
+  const groupStage = (key) => ({
+    $group: {
+      _id: key,
+      items: { $sum: 1 },
+      favorites: countIf('$isFavorite'),
+      withFeedback: countIf(hasFeedback),
+      ratings: countIf({ $ne: [rating, null] }),
+      averageRating: { $avg: '$feedback.rating' },
+      thumbsUp: countIf({ $eq: [thumbs, 'up'] }),
+      thumbsDown: countIf({ $eq: [thumbs, 'down'] }),
+      positive: countIf(positive),
+      negative: countIf(negative),
+      withFinalText: countIf({ $ne: [{ $ifNull: ['$feedback.finalTextSimilarity', null] }, null] }),
+      usedAsIs: countIf({ $gte: [{ $ifNull: ['$feedback.finalTextSimilarity', -1] }, feedbackConfig.usedAsIsSimilarity] }),
+      averageFinalTextSimilarity: { $avg: '$feedback.finalTextSimilarity' }
+    }
+  });
+  const reasonStages = (key) => [
+    { $match: { 'feedback.reasons.0': { $exists: true } } },
+    { $unwind: '$feedback.reasons' },
+    { $group: { _id: { key, reason: '$feedback.reasons' }, count: { $sum: 1 } } }
+  ];
+  
+  const facets = { overall: [groupStage(null)], overallReasons: reasonStages(null) };
+  for (const [dimension, field] of Object.entries(FEEDBACK_DIMENSIONS)) {
+    facets[dimension] = [groupStage(field), { $sort: { items: -1, _id: 1 } }];
+    facets[`${dimension}Reasons`] = reasonStages(field);
+  }
+  
+  const [result] = await this.aggregate([{ $match: match }, { $facet: facets }]);
+  
+  const describe = (row, reasonRows) => {
+    const reasons = Object.fromEntries(reasonRows
+      .filter(reasonRow => (reasonRow._id.key ?? null) === (row._id ?? null))
+      .sort((a, b) => b.count - a.count)
+      .map(reasonRow => [reasonRow._id.reason, reasonRow.count]));
+    
+    return {
+      items: row.items,
+      withFeedback: row.withFeedback,
+      feedbackRate: round(row.withFeedback / row.items, 4),
+      favoriteRate: round(row.favorites / row.items, 4),
+      ratings: row.ratings,
+      averageRating: round(row.averageRating),
+      thumbsUp: row.thumbsUp,
+      thumbsDown: row.thumbsDown,
+      // Shares of the items with feedback
+      positiveRate: row.withFeedback ? round(row.positive / row.withFeedback, 4) : null,
+      negativeRate: row.withFeedback ? round(row.negative / row.withFeedback, 4) : null,
+      withFinalText: row.withFinalText,
+      // Of the items whose final text was submitted, how many were sent (almost) unchanged
+      usedAsIsRate: row.withFinalText ? round(row.usedAsIs / row.withFinalText, 4) : null,
+      averageFinalTextSimilarity: round(row.averageFinalTextSimilarity, 3),
+      reasons
+    };
+  };
+  
+  const overall = result.overall[0];
+  const report = {
+    overall: overall ? describe(overall, result.overallReasons) : null
+  };
+  for (const dimension of Object.keys(FEEDBACK_DIMENSIONS)) {
+    report[dimension] = result[dimension].map(row => ({
+      // Older items have no system prompt version; they are reported as null
+      [dimension]: row._id ?? null,
+      ...describe(row, result[`${dimension}Reasons`])
+    }));
+  }
+  
+  return report;
+};
+
+// Per-variant results of an experiment, from the rewrites saved to history while it ran
+promptSchema.statics.getExperimentComparison = async function(experimentId) {
+  const rows = await this.aggregate([
+    // Cache hits saved before they were left out of experiments would skew time and cost
+    { $match: { 'metadata.experimentId': new mongoose.Types.ObjectId(experimentId), 'metadata.cached': { $ne: true } } },
     {
       $group: {
-        _id: null,
-        totalPrompts: { $sum: 1 },
-        favoritePrompts: { $sum: { $cond: ['$isFavorite', 1, 0] } },
-        mostUsedTone: { $first: '$tone' },
-        mostUsedType: { $first: '$type' },
+        _id: '$metadata.experimentVariant',
+        items: { $sum: 1 },
+        users: { $addToSet: '$userId' },
         averageProcessingTime: { $avg: '$metadata.processingTime' },
-        totalApiCost: { $sum: '$metadata.apiCost' }
+        averageApiCost: { $avg: '$metadata.apiCost' },
+        totalApiCost: { $sum: '$metadata.apiCost' },
+        favorites: countIf('$isFavorite'),
+        averageWordCountRatio: { $avg: improvementRatioExpr },
+        ratings: countIf({ $ne: [{ $ifNull: ['$feedback.rating', null] }, null] }),
+        averageRating: { $avg: '$feedback.rating' }
       }
     }
   ]);
+  
+  return rows.map(row => ({
+    variant: row._id,
+    items: row.items,
+    users: row.users.length,
+    averageProcessingTime: round(row.averageProcessingTime, 0),
+    averageApiCost: round(row.averageApiCost, 6),
+    totalApiCost: round(row.totalApiCost, 6),
+    favoriteRate: round(row.favorites / row.items, 4),
+    averageWordCountRatio: round(row.averageWordCountRatio),
+    ratings: row.ratings,
+    averageRating: round(row.averageRating)
+  }));
 };
 
-promptSchema.statics.getPopularTonesAndTypes = async function() {
+// Usage across all users, limited to the given names (built-in and global ones) so that
+// private custom tones and types are never listed to others
+promptSchema.statics.getPopularTonesAndTypes = async function({ tones, types }) {
   const toneStats = await this.aggregate([
+    { $match: { tone: { $in: tones } } },
     { $group: { _id: '$tone', count: { $sum: 1 } } },
     { $sort: { count: -1 } }
   ]);
   
   const typeStats = await this.aggregate([
+    { $match: { type: { $in: types } } },
     { $group: { _id: '$type', count: { $sum: 1 } } },
     { $sort: { count: -1 } }
   ]);
@@ -116,4 +566,41 @@ promptSchema.methods.toggleFavorite = function() {
   return this.save();
 };
 
+// Id shared by every version of this item (the first version's own id)
+promptSchema.methods.getRootId = function() {
+  return this.rootId || this._id;
+};
+
+// Saves a new version derived from this one, numbered after the chain's latest
+promptSchema.methods.saveNextVersion = async function(fields) {
+  const rootId = this.getRootId();
+  
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.constructor.findOne({ userId: this.userId, $or: [{ _id: rootId }, { rootId }] })
+      .sort({ version: -1 })
+      .select('version')
+      .lean();
+    
+    const version = new this.constructor({
+      userId: this.userId,
+      originalPrompt: this.originalPrompt,
+      tone: this.tone,
+      type: this.type,
+      sourceLanguage: this.sourceLanguage,
+      targetLanguage: this.targetLanguage,
+      parentId: this._id,
+      rootId,
+      version: (latest ? latest.version : this.version) + 1,
+      ...fields
+    });
+    
+    try {
+      return await version.save();
+    } catch (error) {
+      // Two versions saved at once: retry with the next number
+      if (error.code !== 11000 || attempt >= 3) throw error;
+    }
+  }
+};
+
 module.exports = mongoose.model('Prompt', promptSchema);
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Rewrite count for one identity ("user:<id>" or "ip:<address>") in one period
+// ("day:2025-01-31" or "month:2025-01"). Counters expire once their period is over.
+const quotaCounterSchema = new mongoose.Schema({
+  identity: {
+    type: String,
+    required: true
+  },
+  period: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+});
+
+quotaCounterSchema.index({ identity: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('QuotaCounter', quotaCounterSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Read-only public link to one history item. The token is the only thing the
+// public sees; userId stays server-side and is used for owner operations.
+const shareLinkSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  promptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prompt',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.methods.getStatus = function(now = new Date()) {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= now) return 'expired';
+  return 'active';
+};
+
+// Owner-facing view; never includes the owner's userId
+shareLinkSchema.methods.toOwnerView = function(baseUrl) {
+  return {
+    id: this._id,
+    historyId: this.promptId,
+    token: this.token,
+    url: `${baseUrl}/api/shared/${this.token}`,
+    status: this.getStatus(),
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    viewCount: this.viewCount,
+    lastViewedAt: this.lastViewedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const limits = require('../config/limits');
+
+// One immutable version of the rewrite instructions. Changing the instructions
+// means adding a version; at most one version is active at a time.
+const systemPromptSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  template: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: limits.promptLength
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: limits.descriptionLength,
+    default: ''
+  },
+  active: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+systemPromptSchema.index({ active: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+// Id recorded as metadata.systemPromptVersion, e.g. "v3"
+systemPromptSchema.virtual('versionId').get(function() {
+  return `v${this.version}`;
+});
+
+// "v3" -> 3; null for anything else (including built-in ids)
+systemPromptSchema.statics.parseVersionId = function(versionId) {
+  const match = /^v(\d+)$/.exec(versionId || '');
+  return match ? parseInt(match[1]) : null;
+};
+
+systemPromptSchema.methods.toView = function() {
+  return {
+    version: this.versionId,
+    template: this.template,
+    description: this.description,
+    active: this.active,
+    activatedAt: this.activatedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('SystemPrompt', systemPromptSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const limits = require('../config/limits');
+
+// Group of users that share team-visible templates. Anyone holding the join
+// code can join; the code is only shown to members.
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: limits.nameLength
+  },
+  ownerId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  members: {
+    type: [String],
+    validate: {
+      validator: members => members.length <= limits.teamMembers,
+      message: `A team can have at most ${limits.teamMembers} members`
+    }
+  },
+  joinCode: {
+    type: String,
+    required: true,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+teamSchema.index({ members: 1 });
+
+// Ids of the teams a user belongs to
+teamSchema.statics.idsFor = async function(userId) {
+  return this.find({ members: userId }).distinct('_id');
+};
+
+teamSchema.methods.isMember = function(userId) {
+  return this.members.includes(userId);
+};
+
+// Member-facing view; member ids are only counted
+teamSchema.methods.toMemberView = function(userId) {
+  return {
+    id: this._id,
+    name: this.name,
+    isOwner: this.ownerId === userId,
+    memberCount: this.members.length,
+    joinCode: this.joinCode,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Team', teamSchema);
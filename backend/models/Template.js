@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const catalogService = require('../services/catalogService');
+const templateService = require('../services/templateService');
+const limits = require('../config/limits');
+
+const VISIBILITIES = ['personal', 'team', 'public'];
+
+// Same catalog check as Prompt; custom tones and types must be visible to the owner
+const catalogValidator = (kind) => ({
+  validator: async function(value) {
+    return catalogService.exists(kind, value, this.ownerId);
+  },
+  message: props => `Unknown ${kind} "${props.value}"`
+});
+
+const variableSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: limits.descriptionLength,
+    default: ''
+  },
+  // Used when a fill request leaves the variable out; null makes it required
+  defaultValue: {
+    type: String,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+// Reusable text with {{variable}} placeholders, filled in and then rewritten.
+// personal templates are only visible to their owner, team templates to members
+// of teamId, public templates to everyone signed in.
+const templateSchema = new mongoose.Schema({
+  ownerId: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: limits.nameLength
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: limits.descriptionLength,
+    default: ''
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: limits.promptLength
+  },
+  // Kept in sync with the placeholders in body (see pre('validate') below)
+  variables: {
+    type: [variableSchema],
+    default: []
+  },
+  tone: {
+    type: String,
+    required: true,
+    validate: catalogValidator('tone'),
+    default: 'professional'
+  },
+  type: {
+    type: String,
+    required: true,
+    validate: catalogValidator('type'),
+    default: 'other'
+  },
+  visibility: {
+    type: String,
+    enum: VISIBILITIES,
+    default: 'personal'
+  },
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  // Set when the template was created from a favorite history item
+  sourceHistoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prompt',
+    default: null
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+templateSchema.index({ ownerId: 1, name: 1 }, { unique: true });
+templateSchema.index({ visibility: 1, teamId: 1 });
+templateSchema.index({ name: 'text', description: 'text', body: 'text' }, { name: 'template_text_search' });
+
+// One entry per placeholder in body, in order of first use. Descriptions and
+// defaults given for names that are no longer in body are dropped.
+templateSchema.pre('validate', function(next) {
+  if (this.isModified('body') || this.isModified('variables')) {
+    const given = new Map(this.variables.map(variable => [variable.name, variable]));
+    this.variables = templateService.extractVariables(this.body || '').map(name => ({
+      name,
+      description: given.has(name) ? given.get(name).description : '',
+      defaultValue: given.has(name) ? given.get(name).defaultValue : null
+    }));
+  }
+  
+  if (this.variables.length > limits.templateVariables) {
+    this.invalidate('body', `A template can have at most ${limits.templateVariables} variables`);
+  }
+  if ((this.visibility === 'team') !== !!this.teamId) {
+    this.invalidate('teamId', 'teamId is required for team templates and only allowed for them');
+  }
+  next();
+});
+
+templateSchema.statics.visibilities = VISIBILITIES;
+
+// Query for every template userId may see, given the ids of their teams
+templateSchema.statics.visibleTo = function(userId, teamIds) {
+  return {
+    $or: [
+      { ownerId: userId },
+      { visibility: 'public' },
+      { visibility: 'team', teamId: { $in: teamIds } }
+    ]
+  };
+};
+
+// The owner's id is left out for templates shared by someone else
+templateSchema.methods.toViewerView = function(userId) {
+  const isOwner = this.ownerId === userId;
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    body: this.body,
+    variables: this.variables,
+    tone: this.tone,
+    type: this.type,
+    visibility: this.visibility,
+    teamId: this.teamId,
+    isOwner,
+    ...(isOwner && { sourceHistoryId: this.sourceHistoryId }),
+    useCount: this.useCount,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Template', templateSchema);
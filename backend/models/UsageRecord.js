@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One row per billed model call, whether or not the rewrite was saved to history.
+// Cache hits and mock responses make no model call and are not recorded.
+const usageRecordSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  inputTokens: { type: Number, default: 0 },
+  outputTokens: { type: Number, default: 0 },
+  estimated: { type: Boolean, default: false }, // provider reported no usage
+  cost: {
+    input: { type: Number, default: 0 },
+    output: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+usageRecordSchema.index({ userId: 1, timestamp: -1 });
+usageRecordSchema.index({ timestamp: -1 });
+
+// Spend totals plus per-model and per-day breakdowns for the records matching `match`
+usageRecordSchema.statics.getSpend = async function(match = {}) {
+  const totals = {
+    requests: { $sum: 1 },
+    inputTokens: { $sum: '$inputTokens' },
+    outputTokens: { $sum: '$outputTokens' },
+    cost: { $sum: '$cost.total' }
+  };
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        total: [{ $group: { _id: null, ...totals } }],
+        byModel: [
+          { $group: { _id: { provider: '$provider', model: '$model' }, ...totals } },
+          { $sort: { cost: -1 } }
+        ],
+        byDay: [
+          { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }, ...totals } },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const strip = ({ _id, ...rest }) => rest;
+  return {
+    total: result.total[0] ? strip(result.total[0]) : { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 },
+    byModel: result.byModel.map(row => ({ ...row._id, ...strip(row) })),
+    byDay: result.byDay.map(row => ({ day: row._id, ...strip(row) }))
+  };
+};
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const plansConfig = require('../config/plans');
+
+// API keys are stored hashed; only the prefix is kept for display
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 254
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  apiKeys: {
+    type: [apiKeySchema],
+    select: false
+  },
+  // Quota plan, one of the plans in config/plans.js
+  plan: {
+    type: String,
+    default: () => plansConfig.defaultPlan,
+    validate: {
+      validator: value => !!plansConfig.plans[value],
+      message: props => `Unknown plan "${props.value}"`
+    }
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.index({ 'apiKeys.keyHash': 1 });
+
+// Public shape returned by the API
+userSchema.methods.toProfile = function() {
+  return {
+    id: this._id.toString(),
+    email: this.email,
+    name: this.name,
+    plan: this.plan,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const limits = require('../config/limits');
+const redactionService = require('../services/redactionService');
+
+// One candidate produced by a multi-variant rewrite
+const candidateSchema = new mongoose.Schema({
+  tone: {
+    type: String,
+    required: true
+  },
+  temperature: { type: Number },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  rewrittenPrompt: {
+    type: String,
+    trim: true,
+    maxlength: limits.rewriteLength
+  },
+  error: { type: String },
+  metadata: {
+    processingTime: { type: Number },
+    provider: { type: String },
+    model: { type: String },
+    systemPromptVersion: { type: String },
+    experimentId: { type: mongoose.Schema.Types.ObjectId },
+    experimentVariant: { type: String },
+    tokens: {
+      input: { type: Number, default: 0 },
+      output: { type: Number, default: 0 },
+      total: { type: Number, default: 0 }
+    },
+    apiCost: { type: Number, default: 0 }
+  }
+});
+
+// A group of candidate rewrites for the same input. Once the user picks one,
+// it is saved as a Prompt and the rejected candidates stay linked here.
+const variantSetSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  originalPrompt: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: limits.promptLength
+  },
+  type: {
+    type: String,
+    required: true,
+    default: 'other'
+  },
+  candidates: [candidateSchema],
+  selectedCandidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  selectedPrompt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prompt',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Candidates that were not picked, for later analysis
+variantSetSchema.virtual('rejectedCandidates').get(function() {
+  if (!this.selectedCandidate) return [];
+  return this.candidates.filter(candidate => !candidate._id.equals(this.selectedCandidate));
+});
+
+// Candidates are stored under the same PII policy as history items
+variantSetSchema.pre('validate', function(next) {
+  redactionService.applyToDocument(this, [
+    'originalPrompt',
+    ...this.candidates.map((candidate, index) => `candidates.${index}.rewrittenPrompt`)
+  ]);
+  next();
+});
+
+variantSetSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('VariantSet', variantSetSchema);
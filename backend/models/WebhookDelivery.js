@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const webhookConfig = require('../config/webhooks');
+
+// Delivery log: one row per event sent to one subscription, updated on every attempt.
+// Replays are new rows that point back at the delivery they repeat.
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  event: {
+    type: String,
+    required: true,
+    enum: webhookConfig.events
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: { type: Date },
+  responseStatus: { type: Number },
+  error: { type: String },
+  durationMs: { type: Number },
+  completedAt: { type: Date },
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ userId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Old log entries are removed by MongoDB
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: webhookConfig.logRetentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const webhookConfig = require('../config/webhooks');
+
+// An endpoint that receives signed event deliveries. With apiKeyId set, only
+// events caused by requests made with that API key are delivered.
+const webhookSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  apiKeyId: {
+    type: String,
+    default: null
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  // Used to sign deliveries; only returned when the subscription is created or the secret changes
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: {
+    type: [{ type: String, enum: webhookConfig.events }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ userId: 1, active: 1, events: 1 });
+
+webhookSubscriptionSchema.methods.toOwnerView = function() {
+  return {
+    id: this._id,
+    url: this.url,
+    events: this.events,
+    apiKeyId: this.apiKeyId,
+    description: this.description,
+    active: this.active,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
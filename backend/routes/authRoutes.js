@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const limits = require('../config/limits');
+const { createApi } = require('../validation/api');
+const { ref } = require('../validation/components');
+
+const api = createApi(router, '/api/auth', { tags: ['Authentication'] });
+
+// Request schemas
+const email = {
+  type: 'string',
+  format: 'email',
+  'x-trim': true,
+  'x-message': 'A valid email address is required'
+};
+
+// POST /api/auth/register - Create an account
+api.post('/register', {
+  summary: 'Create an account',
+  auth: 'none',
+  body: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      email,
+      password: {
+        type: 'string',
+        minLength: 8,
+        maxLength: 128,
+        'x-message': 'Password must be between 8 and 128 characters'
+      },
+      name: { type: 'string', maxLength: limits.nameLength }
+    }
+  },
+  responses: { 201: { description: 'The new account and a token' } },
+  errors: { 409: 'An account with this email already exists' }
+}, authController.register);
+
+// POST /api/auth/login - Log in and receive a token
+api.post('/login', {
+  summary: 'Log in and receive a token',
+  auth: 'none',
+  body: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      email,
+      password: { type: 'string', minLength: 1, 'x-message': 'Password is required' }
+    }
+  },
+  errors: { 401: 'Wrong email or password' }
+}, authController.login);
+
+// GET /api/auth/me - Get the current user
+api.get('/me', {
+  summary: 'Get the current user'
+}, authController.getMe);
+
+// POST /api/auth/api-keys - Create an API key for scripts and integrations
+api.post('/api-keys', {
+  summary: 'Create an API key',
+  description: 'The key is returned only in this response.',
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        maxLength: limits.nameLength,
+        'x-trim': true,
+        'x-message': `API key name is required and must be at most ${limits.nameLength} characters`
+      }
+    }
+  },
+  responses: { 201: { description: 'The new key' } }
+}, authController.createApiKey);
+
+// GET /api/auth/api-keys - List API keys
+api.get('/api-keys', {
+  summary: 'List API keys'
+}, authController.listApiKeys);
+
+// DELETE /api/auth/api-keys/:keyId - Revoke an API key
+api.delete('/api-keys/:keyId', {
+  summary: 'Revoke an API key',
+  params: {
+    type: 'object',
+    required: ['keyId'],
+    properties: { keyId: ref('ObjectId') }
+  },
+  errors: { 404: 'API key not found' }
+}, authController.revokeApiKey);
+
+// POST /api/auth/claim-legacy-history - Move history saved before accounts existed
+api.post('/claim-legacy-history', {
+  summary: 'Move pre-account history to an account',
+  description: 'History, variant sets and custom tones/types saved under a free-form userId (before accounts existed) are moved to the account with this email. Admin only, since a legacy userId proves nothing about who chose it.',
+  auth: 'admin',
+  body: {
+    type: 'object',
+    required: ['legacyUserId', 'email'],
+    properties: {
+      legacyUserId: {
+        type: 'string',
+        minLength: 1,
+        'x-trim': true,
+        description: 'The userId the client used to send'
+      },
+      email
+    }
+  },
+  errors: {
+    404: 'No account has this email',
+    409: 'The userId belongs to an account'
+  }
+}, authController.claimLegacyHistory);
+
+module.exports = router;
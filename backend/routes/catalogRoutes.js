@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const catalogController = require('../controllers/catalogController');
+const limits = require('../config/limits');
+const { createApi } = require('../validation/api');
+const { ref } = require('../validation/components');
+
+const api = createApi(router, '/api/catalog', { tags: ['Catalog'] });
+
+// Request schemas
+const kindParams = {
+  type: 'object',
+  required: ['kind'],
+  properties: {
+    kind: { type: 'string', enum: ['tones', 'types'], 'x-error': 'Invalid catalog' }
+  }
+};
+
+const entryParams = {
+  type: 'object',
+  required: ['kind', 'id'],
+  properties: {
+    ...kindParams.properties,
+    id: ref('ObjectId')
+  }
+};
+
+const entryProperties = {
+  name: {
+    type: 'string',
+    pattern: '^[A-Za-z0-9][A-Za-z0-9-]{1,39}$',
+    'x-trim': true,
+    'x-message': 'Name must be 2-40 characters of letters, digits and dashes'
+  },
+  instruction: {
+    type: 'string',
+    minLength: 1,
+    maxLength: limits.instructionLength,
+    'x-trim': true,
+    description: 'Style instruction added to the rewrite prompt'
+  },
+  visibility: {
+    type: 'string',
+    enum: ['global', 'private'],
+    default: 'private',
+    description: 'global (visible to everyone) is for administrators only'
+  }
+};
+
+// GET /api/catalog/:kind - List tones or types (built-in plus visible custom entries)
+api.get('/:kind', {
+  summary: 'List tones or types',
+  description: 'Built-in entries plus the custom entries visible to the caller.',
+  auth: 'optional',
+  params: kindParams
+}, catalogController.listEntries);
+
+// POST /api/catalog/:kind - Create a custom tone or type
+api.post('/:kind', {
+  summary: 'Create a custom tone or type',
+  params: kindParams,
+  body: {
+    type: 'object',
+    required: ['name', 'instruction'],
+    properties: entryProperties
+  },
+  responses: { 201: { description: 'The new entry' } },
+  errors: { 403: 'Only administrators can create global entries', 409: 'The name is already taken' }
+}, catalogController.createEntry);
+
+// PUT /api/catalog/:kind/:id - Update a custom tone or type
+api.put('/:kind/:id', {
+  summary: 'Update a custom tone or type',
+  params: entryParams,
+  body: {
+    type: 'object',
+    properties: entryProperties
+  },
+  errors: { 403: 'Only administrators can change global entries', 404: 'Entry not found', 409: 'The name is already taken' }
+}, catalogController.updateEntry);
+
+// DELETE /api/catalog/:kind/:id - Delete a custom tone or type
+api.delete('/:kind/:id', {
+  summary: 'Delete a custom tone or type',
+  params: entryParams,
+  errors: { 404: 'Entry not found' }
+}, catalogController.deleteEntry);
+
+module.exports = router;
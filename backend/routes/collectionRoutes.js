@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const collectionController = require('../controllers/collectionController');
+const limits = require('../config/limits');
+const { createApi } = require('../validation/api');
+const { ref } = require('../validation/components');
+
+// All collection routes act on the caller's own collections
+const api = createApi(router, '/api/collections', { tags: ['Tags and collections'] });
+
+// Request schemas
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: ref('ObjectId') }
+};
+
+const collectionProperties = {
+  name: {
+    type: 'string',
+    minLength: 1,
+    maxLength: limits.nameLength,
+    'x-trim': true,
+    'x-message': `Collection name is required and must be at most ${limits.nameLength} characters`
+  },
+  description: { type: 'string', maxLength: limits.descriptionLength }
+};
+
+const idList = {
+  type: 'array',
+  maxItems: limits.bulkIds,
+  items: ref('ObjectId')
+};
+
+// GET /api/collections - List collections with item counts
+api.get('/', {
+  summary: 'List collections with item counts'
+}, collectionController.listCollections);
+
+// POST /api/collections - Create a collection
+api.post('/', {
+  summary: 'Create a collection',
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: collectionProperties
+  },
+  responses: { 201: { description: 'The new collection' } },
+  errors: { 409: 'A collection with this name already exists' }
+}, collectionController.createCollection);
+
+// PUT /api/collections/:id - Rename a collection or change its description
+api.put('/:id', {
+  summary: 'Rename a collection or change its description',
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: collectionProperties,
+    anyOf: [{ required: ['name'] }, { required: ['description'] }],
+    'x-error': 'Nothing to update',
+    'x-message': 'Provide a new name and/or description'
+  },
+  errors: { 404: 'Collection not found', 409: 'A collection with this name already exists' }
+}, collectionController.updateCollection);
+
+// DELETE /api/collections/:id - Delete a collection (its items stay in history)
+api.delete('/:id', {
+  summary: 'Delete a collection',
+  description: 'Items stay in history; only their membership is removed.',
+  params: idParams,
+  errors: { 404: 'Collection not found' }
+}, collectionController.deleteCollection);
+
+// POST /api/collections/:id/items - Add or remove history items
+api.post('/:id/items', {
+  summary: 'Add or remove history items',
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      add: idList,
+      remove: idList
+    },
+    anyOf: [
+      { properties: { add: { minItems: 1 } }, required: ['add'] },
+      { properties: { remove: { minItems: 1 } }, required: ['remove'] }
+    ],
+    'x-error': 'No items given',
+    'x-message': 'Provide history item ids to add and/or remove'
+  },
+  errors: { 404: 'Collection not found' }
+}, collectionController.updateItems);
+
+module.exports = router;
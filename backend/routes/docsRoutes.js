@@ -0,0 +1,25 @@
+const express = require('express');
+const path = require('path');
+const swaggerUiDist = require('swagger-ui-dist');
+const router = express.Router();
+const openapiService = require('../services/openapiService');
+
+const baseUrlOf = (req) => `${req.protocol}://${req.get('host')}`;
+
+// GET /api/openapi.json - OpenAPI 3.1 document generated from the route specs
+router.get('/openapi.json', (req, res) => {
+  res.status(200).json(openapiService.build({ serverUrl: baseUrlOf(req) }));
+});
+
+// GET /api/docs - Interactive API docs (Swagger UI, served from this server)
+router.get('/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/docs.html'));
+});
+
+router.get('/docs/init.js', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/docs-init.js'));
+});
+
+router.use('/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
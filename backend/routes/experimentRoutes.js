@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const experimentController = require('../controllers/experimentController');
+const systemPromptConfig = require('../config/systemPrompts');
+const limits = require('../config/limits');
+const { createApi } = require('../validation/api');
+const { ref } = require('../validation/components');
+
+// A/B tests between system prompt versions; administrators only (see ADMIN_EMAILS)
+const api = createApi(router, '/api/experiments', { tags: ['Experiments'], auth: 'admin' });
+
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: ref('ObjectId') }
+};
+
+// GET /api/experiments - List experiments
+api.get('/', {
+  summary: 'List experiments'
+}, experimentController.listExperiments);
+
+// POST /api/experiments - Start an experiment
+api.post('/', {
+  summary: 'Start an experiment',
+  description: 'Splits rewrites between system prompt versions by weight. With assignment "user" each signed-in user always gets the same variant; anonymous requests and assignment "random" are assigned per request. Only one experiment runs at a time.',
+  body: {
+    type: 'object',
+    required: ['name', 'variants'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        maxLength: limits.nameLength,
+        'x-trim': true
+      },
+      description: { type: 'string', maxLength: limits.descriptionLength },
+      assignment: { type: 'string', enum: ['user', 'random'], default: 'user' },
+      variants: {
+        type: 'array',
+        minItems: 2,
+        maxItems: systemPromptConfig.maxVariants,
+        items: {
+          type: 'object',
+          required: ['name', 'version'],
+          properties: {
+            name: {
+              type: 'string',
+              pattern: '^[a-z0-9][a-z0-9_-]{0,39}$',
+              description: 'Lowercase letters, digits, "_" and "-", e.g. "control"'
+            },
+            version: {
+              type: 'string',
+              pattern: `^(v\\d+|${systemPromptConfig.builtInVersion})$`,
+              description: 'System prompt version the variant uses'
+            },
+            weight: { type: 'integer', minimum: 1, maximum: 100, default: 1 }
+          }
+        }
+      }
+    }
+  },
+  responses: { 201: { description: 'The running experiment' } },
+  errors: { 409: 'Another experiment is running' }
+}, experimentController.createExperiment);
+
+// GET /api/experiments/:id - Get one experiment
+api.get('/:id', {
+  summary: 'Get an experiment',
+  params: idParams,
+  errors: { 404: 'Experiment not found' }
+}, experimentController.getExperiment);
+
+// POST /api/experiments/:id/stop - Stop an experiment
+api.post('/:id/stop', {
+  summary: 'Stop an experiment',
+  description: 'Rewrites go back to the active system prompt version.',
+  params: idParams,
+  errors: { 404: 'Experiment not found', 409: 'The experiment is not running' }
+}, experimentController.stopExperiment);
+
+// GET /api/experiments/:id/compare - Results per variant
+api.get('/:id/compare', {
+  summary: 'Compare experiment variants',
+  description: 'Average processing time, cost, favorite rate, rewritten/original word count ratio and rating per variant, from the rewrites saved to history during the experiment.',
+  params: idParams,
+  errors: { 404: 'Experiment not found' }
+}, experimentController.compareExperiment);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const feedbackController = require('../controllers/feedbackController');
+const feedbackConfig = require('../config/feedback');
+const limits = require('../config/limits');
+const checks = require('../validation/checks');
+const { createApi } = require('../validation/api');
+const { ref } = require('../validation/components');
+
+// Feedback on the caller's own history items, and reports built from it
+const api = createApi(router, '/api', { tags: ['Feedback'] });
+
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: ref('ObjectId') }
+};
+
+// PUT /api/history/:id/feedback - Rate a rewrite and/or submit the final edited text
+api.put('/history/:id/feedback', {
+  summary: 'Give feedback on a history item',
+  description: 'Replaces any earlier feedback. Send a rating, thumbs, reasons and/or the text you actually sent.',
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      rating: { type: ['integer', 'null'], minimum: 1, maximum: 5 },
+      thumbs: { type: ['string', 'null'], enum: [...feedbackConfig.thumbs, null] },
+      reasons: {
+        type: 'array',
+        maxItems: feedbackConfig.reasons.length,
+        items: { type: 'string', enum: feedbackConfig.reasons },
+        description: 'What was wrong with the rewrite'
+      },
+      finalText: {
+        type: 'string',
+        maxLength: limits.rewriteLength,
+        description: 'The text you sent after editing the rewrite'
+      },
+      comment: { type: 'string', maxLength: limits.descriptionLength }
+    },
+    anyOf: [
+      { properties: { rating: { type: 'integer' } }, required: ['rating'] },
+      { properties: { thumbs: { type: 'string' } }, required: ['thumbs'] },
+      { properties: { reasons: { minItems: 1 } }, required: ['reasons'] },
+      { properties: { finalText: { minLength: 1, 'x-trim': true } }, required: ['finalText'] }
+    ],
+    'x-error': 'No feedback given',
+    'x-message': 'Provide a rating, thumbs, reasons and/or finalText'
+  },
+  errors: { 404: 'History item not found' }
+}, feedbackController.setFeedback);
+
+// DELETE /api/history/:id/feedback - Remove feedback
+api.delete('/history/:id/feedback', {
+  summary: 'Remove feedback from a history item',
+  params: idParams,
+  errors: { 404: 'History item not found' }
+}, feedbackController.deleteFeedback);
+
+// GET /api/feedback/report - Feedback broken down by tone, type, model and system prompt version
+api.get('/feedback/report', {
+  summary: 'Feedback report',
+  description: 'Ratings, thumbs, reason counts, favorite rate and how often rewrites were sent unchanged, overall and per tone, type, model and system prompt version.',
+  query: {
+    type: 'object',
+    properties: {
+      scope: {
+        type: 'string',
+        enum: ['mine', 'all'],
+        default: 'mine',
+        description: 'all covers every user\'s items (administrators only)'
+      },
+      tone: ref('Tone'),
+      type: ref('Type'),
+      model: { type: 'string' },
+      from: { type: 'string', format: 'date', description: 'Start date (ISO 8601)' },
+      to: { type: 'string', format: 'date', description: 'End date (ISO 8601); a date-only value includes that whole day' }
+    }
+  },
+  checks: [checks.dateOrder],
+  errors: { 403: 'scope=all was requested by an account not listed in ADMIN_EMAILS' }
+}, feedbackController.getFeedbackReport);
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const checks = require('../validation/checks');
+const batchConfig = require('../config/batch');
+const BatchJob = require('../models/BatchJob');
+const { createApi } = require('../validation/api');
+const { ref } = require('../validation/components');
+const { enforceQuota } = require('../middleware/quota');
+
+// All job routes act on the caller's own jobs
+const api = createApi(router, '/api/jobs', { tags: ['Batch jobs'] });
+
+// Request schemas
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: ref('ObjectId') }
+};
+
+// Counts the items a retry would re-run so the quota can be checked up front
+const countRetryItems = async (req, res, next) => {
+  try {
+    const job = await BatchJob.findOne({ _id: req.params.id, userId: req.user.id }).select('items.status').lean();
+    req.retryItemCount = job ? job.items.filter(item => ['failed', 'cancelled'].includes(item.status)).length : 0;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST /api/jobs - Create a batch rewrite job
+api.post('/', {
+  summary: 'Create a batch rewrite job',
+  description: 'Items are rewritten in the background; poll GET /api/jobs/{id} for progress. Each item counts against the quota.',
+  body: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: {
+        type: 'array',
+        minItems: 1,
+        maxItems: batchConfig.maxItems,
+        items: {
+          type: 'object',
+          required: ['prompt'],
+          properties: {
+            prompt: ref('PromptText'),
+            tone: ref('Tone', { description: 'Overrides the job default' }),
+            type: ref('Type', { description: 'Overrides the job default' })
+          }
+        }
+      },
+      tone: ref('Tone'),
+      type: ref('Type'),
+      provider: ref('Provider'),
+      model: ref('Model'),
+      saveToHistory: { type: 'boolean', default: false }
+    }
+  },
+  checks: [
+    checks.catalogNameInList('tone', 'items'),
+    checks.catalogNameInList('type', 'items'),
+    checks.catalogName('tone'),
+    checks.catalogName('type'),
+    checks.providerConfigured
+  ],
+  quota: true,
+  responses: { 202: { description: 'The queued job' } }
+}, enforceQuota(req => req.body.items.length), jobController.createJob);
+
+// GET /api/jobs - List batch jobs
+api.get('/', {
+  summary: 'List batch jobs',
+  query: {
+    type: 'object',
+    properties: {
+      page: ref('Page'),
+      limit: ref('PageSize'),
+      status: { type: 'string', enum: BatchJob.schema.path('status').enumValues }
+    }
+  }
+}, jobController.listJobs);
+
+// GET /api/jobs/:id - Get job status, per-item progress and results
+api.get('/:id', {
+  summary: 'Get job status, per-item progress and results',
+  params: idParams,
+  errors: { 404: 'Job not found' }
+}, jobController.getJob);
+
+// POST /api/jobs/:id/cancel - Cancel a job
+api.post('/:id/cancel', {
+  summary: 'Cancel a job',
+  description: 'Pending items are cancelled right away; items already running finish normally.',
+  params: idParams,
+  errors: { 409: 'The job is not queued or running' }
+}, jobController.cancelJob);
+
+// POST /api/jobs/:id/retry - Retry failed and cancelled items
+api.post('/:id/retry', {
+  summary: 'Retry failed and cancelled items',
+  params: idParams,
+  quota: true,
+  errors: { 409: 'The job has nothing to retry' }
+}, countRetryItems, enforceQuota(req => req.retryItemCount), jobController.retryJob);
+
+module.exports = router;
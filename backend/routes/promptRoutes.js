@@ -1,78 +1,447 @@
 const express = require('express');
 const router = express.Router();
 const promptController = require('../controllers/promptControllers');
+const exportService = require('../services/exportService');
+const limits = require('../config/limits');
+const structuredConfig = require('../config/structuredOutput');
+const checks = require('../validation/checks');
+const { createApi } = require('../validation/api');
+const { ref } = require('../validation/components');
+const { enforceQuota } = require('../middleware/quota');
 
-// Validation middleware
-const validateRewriteRequest = (req, res, next) => {
-  const { prompt, tone, type } = req.body;
-  
-  if (!prompt || typeof prompt !== 'string') {
-    return res.status(400).json({
-      error: 'Invalid prompt',
-      message: 'Prompt must be a non-empty string'
-    });
-  }
-  
-  const validTones = ['formal', 'casual', 'friendly', 'professional', 'creative', 'concise'];
-  if (tone && !validTones.includes(tone)) {
-    return res.status(400).json({
-      error: 'Invalid tone',
-      message: `Tone must be one of: ${validTones.join(', ')}`
-    });
-  }
-  
-  const validTypes = ['email', 'message', 'explanation', 'summary', 'proposal', 'report', 'other'];
-  if (type && !validTypes.includes(type)) {
-    return res.status(400).json({
-      error: 'Invalid type',
-      message: `Type must be one of: ${validTypes.join(', ')}`
-    });
+const api = createApi(router, '/api');
+
+// Request schemas
+const rewriteProperties = {
+  prompt: ref('PromptText'),
+  tone: ref('Tone'),
+  type: ref('Type'),
+  userId: {
+    type: 'string',
+    description: '"me" (or your own id) saves the rewrite to history; requires credentials'
+  },
+  provider: ref('Provider'),
+  model: ref('Model'),
+  language: ref('Language', { description: 'Write the rewrite in this language, translating if needed' }),
+  includeDiff: { type: 'boolean', description: 'Include a word/sentence diff in the response' },
+  cache: { type: 'boolean', description: 'false bypasses the rewrite cache (as does Cache-Control: no-cache)' }
+};
+
+const rewriteBody = {
+  type: 'object',
+  required: ['prompt'],
+  properties: rewriteProperties
+};
+
+// Structured output is only offered by POST /api/rewrite
+const rewriteFormatBody = {
+  ...rewriteBody,
+  properties: {
+    ...rewriteProperties,
+    format: {
+      type: 'string',
+      enum: structuredConfig.formats,
+      default: 'plain',
+      description: '"structured" also returns a JSON object shaped for the type (email, report, summary, or paragraphs for any other type)'
+    }
   }
-  
-  next();
 };
 
-const validateUserId = (req, res, next) => {
-  const userId = req.params.userId || req.body.userId;
-  
-  if (!userId || typeof userId !== 'string' || userId.trim().length === 0) {
-    return res.status(400).json({
-      error: 'Invalid userId',
-      message: 'userId is required and must be a non-empty string'
-    });
+const variantsBody = {
+  type: 'object',
+  required: ['prompt', 'variants'],
+  properties: {
+    ...rewriteProperties,
+    variants: {
+      type: 'array',
+      minItems: 2,
+      maxItems: limits.variants,
+      description: 'One entry per candidate; each may override tone and/or temperature',
+      items: {
+        type: 'object',
+        properties: {
+          tone: ref('Tone'),
+          temperature: ref('Temperature')
+        }
+      }
+    }
   }
-  
-  next();
+};
+
+const rewriteChecks = [
+  checks.catalogName('tone'),
+  checks.catalogName('type'),
+  checks.providerConfigured,
+  checks.language('body', 'language')
+];
+
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: ref('ObjectId') }
+};
+
+const userIdParams = {
+  type: 'object',
+  required: ['userId'],
+  properties: { userId: ref('UserIdParam') }
+};
+
+const pagingQuery = {
+  page: ref('Page'),
+  limit: ref('PageSize'),
+  sortOrder: ref('SortOrder')
+};
+
+const dateRangeQuery = {
+  from: { type: 'string', format: 'date', description: 'Start date (ISO 8601)' },
+  to: { type: 'string', format: 'date', description: 'End date (ISO 8601); a date-only value includes that whole day' }
+};
+
+// Filters shared by history listing and export
+const historyFilters = {
+  type: ref('Type'),
+  tone: ref('Tone'),
+  search: {
+    type: 'string',
+    maxLength: limits.searchLength,
+    description: 'Full-text search: words, "exact phrases" and -exclusions'
+  },
+  favorites: { type: 'string', enum: ['true', 'false'], description: '"true" lists favorites only' },
+  model: { type: 'string' },
+  tag: { type: 'string', description: 'Comma-separated tags; items must carry all of them' },
+  collection: ref('ObjectId', { description: 'Only items in this collection' }),
+  language: ref('Language', { description: 'Target language of the rewrite' }),
+  sourceLanguage: ref('Language', { description: 'Detected language of the original' }),
+  ...dateRangeQuery
+};
+
+const historyChecks = [
+  checks.language('query', 'language'),
+  checks.language('query', 'sourceLanguage'),
+  checks.dateOrder
+];
+
+const tagList = {
+  type: 'array',
+  maxItems: limits.tagsPerRequest,
+  items: ref('Tag')
+};
+
+const rewriteResponse = {
+  200: { description: 'The rewrite', data: ref('RewriteResult') }
+};
+
+const rewriteErrors = {
+  422: 'The input contains personal data and the PII policy is "reject"',
+  500: 'The provider failed; the body carries an offline fallback rewrite'
 };
 
 // Main routes
+// Rewrites work anonymously; sending userId ("me" or your own id) with credentials saves to history.
+// Every history route is scoped to the authenticated caller; ":userId" accepts "me" or your own id.
 
 // POST /api/rewrite - Rewrite a prompt
-router.post('/rewrite', validateRewriteRequest, promptController.rewritePrompt);
+api.post('/rewrite', {
+  summary: 'Rewrite a prompt',
+  tags: ['Rewrite'],
+  auth: 'optional',
+  body: rewriteFormatBody,
+  checks: rewriteChecks,
+  quota: true,
+  responses: rewriteResponse,
+  errors: {
+    ...rewriteErrors,
+    500: 'The provider failed or, with format "structured", never returned valid JSON; the body carries an offline fallback rewrite'
+  }
+}, enforceQuota(), promptController.rewritePrompt);
+
+// POST /api/rewrite/stream - Rewrite a prompt, streaming tokens via Server-Sent Events
+api.post('/rewrite/stream', {
+  summary: 'Rewrite a prompt with streamed tokens',
+  description: 'Server-Sent Events: "token" events carry { text }, then one "done" event with the same data as POST /api/rewrite, or an "error" event.',
+  tags: ['Rewrite'],
+  auth: 'optional',
+  body: rewriteBody,
+  checks: rewriteChecks,
+  quota: true,
+  responses: {
+    200: { description: 'Event stream', contentType: 'text/event-stream', schema: { type: 'string' } }
+  }
+}, enforceQuota(), promptController.streamRewrite);
+
+// POST /api/rewrite/variants - Generate several candidate rewrites
+api.post('/rewrite/variants', {
+  summary: 'Generate several candidate rewrites',
+  description: 'Each variant counts against the quota. With credentials the candidates are kept as a variant set.',
+  tags: ['Rewrite'],
+  auth: 'optional',
+  body: variantsBody,
+  checks: [...rewriteChecks, checks.catalogNameInList('tone', 'variants')],
+  quota: true,
+  errors: rewriteErrors
+}, enforceQuota(req => req.body.variants.length), promptController.rewriteVariants);
+
+// POST /api/analyze - Offline quality report for a prompt (no model call, no quota)
+api.post('/analyze', {
+  summary: 'Analyze a prompt offline',
+  description: 'Readability, style findings and a 0-100 score. No model call and no quota.',
+  tags: ['Rewrite'],
+  auth: 'optional',
+  body: {
+    type: 'object',
+    required: ['prompt'],
+    properties: {
+      prompt: ref('PromptText'),
+      type: ref('Type', { description: 'email enables greeting and sign-off checks' })
+    }
+  },
+  checks: [checks.catalogName('type')]
+}, promptController.analyzePrompt);
+
+// GET /api/rewrite/variants/:id - Get a variant set with all candidates
+api.get('/rewrite/variants/:id', {
+  summary: 'Get a variant set',
+  tags: ['Rewrite'],
+  params: idParams,
+  errors: { 404: 'Variant set not found' }
+}, promptController.getVariantSet);
+
+// POST /api/rewrite/variants/:id/select - Save the chosen candidate to history
+api.post('/rewrite/variants/:id/select', {
+  summary: 'Save a chosen candidate to history',
+  tags: ['Rewrite'],
+  params: idParams,
+  body: {
+    type: 'object',
+    required: ['candidateId'],
+    properties: { candidateId: ref('ObjectId') }
+  },
+  responses: { 201: { description: 'Saved history item' } },
+  errors: { 404: 'Variant set not found', 409: 'A candidate was already selected' }
+}, promptController.selectVariant);
 
 // POST /api/history - Save to history
-router.post('/history', promptController.saveToHistory);
+api.post('/history', {
+  summary: 'Save a rewrite to history',
+  tags: ['History'],
+  body: {
+    type: 'object',
+    required: ['originalPrompt', 'rewrittenPrompt'],
+    properties: {
+      originalPrompt: ref('PromptText'),
+      rewrittenPrompt: { type: 'string', minLength: 1, maxLength: limits.rewriteLength, 'x-trim': true },
+      tone: ref('Tone'),
+      type: ref('Type'),
+      metadata: ref('RewriteMetadata')
+    }
+  },
+  checks: [checks.catalogName('tone'), checks.catalogName('type')],
+  responses: { 201: { description: 'Saved history item', data: ref('HistoryItem') } }
+}, promptController.saveToHistory);
+
+// POST /api/history/tags - Add or remove tags on several history items
+api.post('/history/tags', {
+  summary: 'Add or remove tags on several history items',
+  tags: ['Tags and collections'],
+  body: {
+    type: 'object',
+    required: ['ids'],
+    properties: {
+      ids: { type: 'array', minItems: 1, maxItems: limits.bulkIds, items: ref('ObjectId') },
+      add: tagList,
+      remove: tagList
+    },
+    anyOf: [
+      { properties: { add: { minItems: 1 } }, required: ['add'] },
+      { properties: { remove: { minItems: 1 } }, required: ['remove'] }
+    ],
+    'x-error': 'No tags given',
+    'x-message': 'Provide tags to add and/or remove'
+  }
+}, promptController.updateTags);
 
 // GET /api/history/:userId - Get user history
-router.get('/history/:userId', validateUserId, promptController.getHistory);
+api.get('/history/:userId', {
+  summary: 'List history',
+  tags: ['History'],
+  params: userIdParams,
+  query: {
+    type: 'object',
+    properties: {
+      ...pagingQuery,
+      sortBy: {
+        type: 'string',
+        enum: ['relevance', 'timestamp', 'createdAt', 'tone', 'type'],
+        description: 'Defaults to relevance when searching, otherwise timestamp'
+      },
+      ...historyFilters
+    }
+  },
+  checks: historyChecks
+}, promptController.getHistory);
+
+// GET /api/history/:userId/export - Export history (json, csv or md)
+api.get('/history/:userId/export', {
+  summary: 'Export history',
+  tags: ['History'],
+  params: userIdParams,
+  query: {
+    type: 'object',
+    properties: {
+      format: { type: 'string', enum: exportService.formats, default: 'json' },
+      sortOrder: ref('SortOrder'),
+      ...historyFilters
+    }
+  },
+  checks: historyChecks,
+  responses: {
+    200: { description: 'File download in the requested format', contentType: '*/*', schema: { type: 'string' } }
+  }
+}, promptController.exportHistory);
+
+// POST /api/history/:userId/import - Import history (json or csv)
+api.post('/history/:userId/import', {
+  summary: 'Import history',
+  description: 'Rows that duplicate an existing item (same texts, tone and type) are skipped.',
+  tags: ['History'],
+  params: userIdParams,
+  body: {
+    type: 'object',
+    required: ['data'],
+    properties: {
+      format: { type: 'string', enum: exportService.importFormats, default: 'json' },
+      data: {
+        description: 'The exported file contents: a CSV string, or a JSON string, array or { items } object',
+        type: ['string', 'array', 'object'],
+        'x-message': 'data must contain the exported file contents'
+      },
+      dryRun: { type: 'boolean', description: 'Validate and count without saving' }
+    }
+  },
+  responses: { 201: { description: 'Import summary' } }
+}, promptController.importHistory);
 
 // DELETE /api/history/:id - Delete history item
-router.delete('/history/:id', promptController.deleteHistoryItem);
+api.delete('/history/:id', {
+  summary: 'Delete a history item',
+  tags: ['History'],
+  params: idParams,
+  errors: { 404: 'History item not found' }
+}, promptController.deleteHistoryItem);
+
+// GET /api/history/:id/diff - Diff between original and rewritten text
+api.get('/history/:id/diff', {
+  summary: 'Diff original and rewritten text',
+  tags: ['History'],
+  params: idParams,
+  query: {
+    type: 'object',
+    properties: {
+      granularity: { type: 'string', enum: ['word', 'sentence', 'both'], default: 'both' }
+    }
+  },
+  errors: { 404: 'History item not found' }
+}, promptController.getHistoryDiff);
+
+// POST /api/history/:id/refine - Refine a history item into a new version
+api.post('/history/:id/refine', {
+  summary: 'Refine a history item into a new version',
+  tags: ['History'],
+  params: idParams,
+  body: {
+    type: 'object',
+    required: ['instruction'],
+    properties: {
+      instruction: { type: 'string', minLength: 1, maxLength: limits.instructionLength, 'x-trim': true },
+      provider: ref('Provider'),
+      model: ref('Model'),
+      cache: { type: 'boolean' }
+    }
+  },
+  quota: true,
+  responses: { 201: { description: 'The new version', data: ref('HistoryItem') } },
+  errors: { 404: 'History item not found', ...rewriteErrors }
+}, enforceQuota(), promptController.refineHistoryItem);
+
+// GET /api/history/:id/versions - Get the item's full version chain
+api.get('/history/:id/versions', {
+  summary: 'List the versions of a history item',
+  tags: ['History'],
+  params: idParams,
+  errors: { 404: 'History item not found' }
+}, promptController.getVersions);
+
+// POST /api/history/:id/revert - Revert to an earlier version
+api.post('/history/:id/revert', {
+  summary: 'Revert to an earlier version',
+  description: 'The old text is copied into a new version; no version is deleted.',
+  tags: ['History'],
+  params: idParams,
+  body: {
+    type: 'object',
+    required: ['versionId'],
+    properties: { versionId: ref('ObjectId') }
+  },
+  responses: { 201: { description: 'The new version', data: ref('HistoryItem') } },
+  errors: { 404: 'History item or version not found' }
+}, promptController.revertToVersion);
 
 // POST /api/history/favorite/:id - Toggle favorite
-router.post('/history/favorite/:id', promptController.toggleFavorite);
+api.post('/history/favorite/:id', {
+  summary: 'Toggle favorite',
+  tags: ['Favorites'],
+  params: idParams,
+  errors: { 404: 'History item not found' }
+}, promptController.toggleFavorite);
 
 // GET /api/favorites/:userId - Get user favorites
-router.get('/favorites/:userId', validateUserId, promptController.getFavorites);
+api.get('/favorites/:userId', {
+  summary: 'List favorites',
+  tags: ['Favorites'],
+  params: userIdParams,
+  query: {
+    type: 'object',
+    properties: {
+      ...pagingQuery,
+      sortBy: { type: 'string', enum: ['timestamp', 'createdAt', 'tone', 'type'], default: 'timestamp' }
+    }
+  }
+}, promptController.getFavorites);
+
+// GET /api/tags/:userId - List the user's tags with counts
+api.get('/tags/:userId', {
+  summary: 'List tags with item counts',
+  tags: ['Tags and collections'],
+  params: userIdParams
+}, promptController.getTags);
 
 // GET /api/stats/:userId - Get user statistics
-router.get('/stats/:userId', validateUserId, promptController.getUserStats);
+api.get('/stats/:userId', {
+  summary: 'Get usage statistics',
+  tags: ['Statistics'],
+  params: userIdParams,
+  query: {
+    type: 'object',
+    properties: dateRangeQuery
+  },
+  checks: [checks.dateOrder]
+}, promptController.getUserStats);
 
 // GET /api/info - Get API information
-router.get('/info', promptController.getInfo);
+api.get('/info', {
+  summary: 'API information, providers, languages and spend',
+  description: 'spend.user is the caller\'s own 30-day spend; spend.overall, for the whole deployment, is only returned to administrators.',
+  tags: ['Meta'],
+  auth: 'optional'
+}, promptController.getInfo);
 
 // Health check endpoint
-router.get('/health', (req, res) => {
+api.get('/health', {
+  summary: 'Health check',
+  tags: ['Meta'],
+  auth: 'none'
+}, (req, res) => {
   res.status(200).json({
     success: true,
     message: 'PromptMate API is healthy',
@@ -81,4 +450,4 @@ router.get('/health', (req, res) => {
   });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
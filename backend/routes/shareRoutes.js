@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const shareController = require('../controllers/shareController');
+const limits = require('../config/limits');
+const { createApi } = require('../validation/api');
+const { ref } = require('../validation/components');
+
+const api = createApi(router, '/api', { tags: ['Share links'] });
+
+// GET /api/shared/:token - Public read-only view of a shared rewrite (no authentication)
+api.get('/shared/:token', {
+  summary: 'View a shared rewrite',
+  description: 'Public. Returns only the texts, tone, type and dates; each view increments viewCount.',
+  auth: 'none',
+  params: {
+    type: 'object',
+    required: ['token'],
+    properties: { token: { type: 'string' } }
+  },
+  errors: { 404: 'Unknown link', 410: 'The link expired or was revoked' }
+}, shareController.viewShare);
+
+// POST /api/shares - Create a share link for a history item
+api.post('/shares', {
+  summary: 'Create a share link for a history item',
+  body: {
+    type: 'object',
+    required: ['historyId'],
+    properties: {
+      historyId: ref('ObjectId', { 'x-message': 'historyId must be the id of one of your history items' }),
+      expiresInDays: {
+        type: ['number', 'null'],
+        exclusiveMinimum: 0,
+        maximum: limits.shareExpiryDays,
+        description: 'Omit for a link that never expires'
+      }
+    }
+  },
+  responses: { 201: { description: 'The new link' } },
+  errors: { 404: 'History item not found' }
+}, shareController.createShare);
+
+// GET /api/shares - List your share links (optional ?historyId=)
+api.get('/shares', {
+  summary: 'List your share links',
+  query: {
+    type: 'object',
+    properties: { historyId: ref('ObjectId', { description: 'Only links for this history item' }) }
+  }
+}, shareController.listShares);
+
+// DELETE /api/shares/:id - Revoke a share link
+api.delete('/shares/:id', {
+  summary: 'Revoke a share link',
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: ref('ObjectId') }
+  },
+  errors: { 404: 'Share link not found' }
+}, shareController.revokeShare);
+
+module.exports = router;
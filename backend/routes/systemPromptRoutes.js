@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const systemPromptController = require('../controllers/systemPromptController');
+const systemPromptConfig = require('../config/systemPrompts');
+const limits = require('../config/limits');
+const { createApi } = require('../validation/api');
+
+// Versioned rewrite instructions; administrators only (see ADMIN_EMAILS)
+const api = createApi(router, '/api/system-prompts', { tags: ['System prompts'], auth: 'admin' });
+
+const versionParams = {
+  type: 'object',
+  required: ['versionId'],
+  properties: {
+    versionId: {
+      type: 'string',
+      pattern: `^(v\\d+|${systemPromptConfig.builtInVersion})$`,
+      description: `A stored version such as "v3", or "${systemPromptConfig.builtInVersion}"`
+    }
+  }
+};
+
+// GET /api/system-prompts - List versions
+api.get('/', {
+  summary: 'List system prompt versions',
+  description: 'Stored versions, newest first, followed by the built-in one. current is the version used outside experiments.'
+}, systemPromptController.listSystemPrompts);
+
+// GET /api/system-prompts/:versionId - Get one version
+api.get('/:versionId', {
+  summary: 'Get a system prompt version',
+  params: versionParams,
+  errors: { 404: 'System prompt not found' }
+}, systemPromptController.getSystemPrompt);
+
+// POST /api/system-prompts - Store a new version
+api.post('/', {
+  summary: 'Create a system prompt version',
+  description: 'Versions are numbered automatically and cannot be edited. The template must contain {{tone}} and {{type}}; {{language}} marks where the language line goes (otherwise it is appended).',
+  body: {
+    type: 'object',
+    required: ['template'],
+    properties: {
+      template: {
+        type: 'string',
+        minLength: 1,
+        maxLength: limits.promptLength,
+        'x-trim': true
+      },
+      description: { type: 'string', maxLength: limits.descriptionLength },
+      activate: { type: 'boolean', default: false, description: 'Use the new version for rewrites right away' }
+    }
+  },
+  responses: { 201: { description: 'The new version' } },
+  errors: { 409: 'The version was stored, but another version was activated at the same time' }
+}, systemPromptController.createSystemPrompt);
+
+// POST /api/system-prompts/:versionId/activate - Make a version current
+api.post('/:versionId/activate', {
+  summary: 'Activate a system prompt version',
+  description: 'Rewrites outside a running experiment use the active version.',
+  params: versionParams,
+  errors: { 404: 'System prompt not found', 409: 'Another version was activated at the same time' }
+}, systemPromptController.activateSystemPrompt);
+
+module.exports = router;
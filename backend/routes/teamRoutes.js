@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const teamController = require('../controllers/teamController');
+const limits = require('../config/limits');
+const { createApi } = require('../validation/api');
+const { ref } = require('../validation/components');
+
+// Teams share templates with visibility "team"; every route acts on the caller's membership
+const api = createApi(router, '/api/teams', { tags: ['Teams'] });
+
+// GET /api/teams - List the caller's teams
+api.get('/', {
+  summary: 'List your teams'
+}, teamController.listTeams);
+
+// POST /api/teams - Create a team
+api.post('/', {
+  summary: 'Create a team',
+  description: 'You become the owner and first member. Share the returned join code with your teammates.',
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        maxLength: limits.nameLength,
+        'x-trim': true,
+        'x-message': `Team name is required and must be at most ${limits.nameLength} characters`
+      }
+    }
+  },
+  responses: { 201: { description: 'The new team, with its join code' } }
+}, teamController.createTeam);
+
+// POST /api/teams/join - Join a team with its join code
+api.post('/join', {
+  summary: 'Join a team',
+  body: {
+    type: 'object',
+    required: ['joinCode'],
+    properties: {
+      joinCode: { type: 'string', minLength: 1, 'x-trim': true }
+    }
+  },
+  errors: { 404: 'No team has this join code', 409: 'The team is full' }
+}, teamController.joinTeam);
+
+// POST /api/teams/:id/leave - Leave a team
+api.post('/:id/leave', {
+  summary: 'Leave a team',
+  description: 'Your templates shared with the team become personal. The last member leaving deletes the team.',
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: ref('ObjectId') }
+  },
+  errors: { 404: 'Team not found' }
+}, teamController.leaveTeam);
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const templateController = require('../controllers/templateController');
+const Template = require('../models/Template');
+const limits = require('../config/limits');
+const structuredConfig = require('../config/structuredOutput');
+const checks = require('../validation/checks');
+const { createApi } = require('../validation/api');
+const { ref } = require('../validation/components');
+const { enforceQuota } = require('../middleware/quota');
+
+// Templates are read by everyone they are shared with but changed only by their owner
+const api = createApi(router, '/api/templates', { tags: ['Templates'] });
+
+// Request schemas
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: ref('ObjectId') }
+};
+
+const nameSchema = {
+  type: 'string',
+  minLength: 1,
+  maxLength: limits.nameLength,
+  'x-trim': true,
+  'x-message': `Template name is required and must be at most ${limits.nameLength} characters`
+};
+
+const sharingProperties = {
+  visibility: {
+    type: 'string',
+    enum: Template.visibilities,
+    description: 'personal (only you), team (members of teamId) or public (every signed-in user)'
+  },
+  teamId: ref('ObjectId', { description: 'Required with visibility "team"; a team you belong to' })
+};
+
+const templateProperties = {
+  name: nameSchema,
+  description: { type: 'string', maxLength: limits.descriptionLength },
+  body: ref('PromptText', { description: 'Text with {{variable}} placeholders' }),
+  variables: {
+    type: 'array',
+    maxItems: limits.templateVariables,
+    description: 'Optional details per placeholder; names not used in body are ignored',
+    items: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string', maxLength: limits.descriptionLength },
+        defaultValue: { type: ['string', 'null'], description: 'Used when a fill leaves the variable out' }
+      }
+    }
+  },
+  tone: ref('Tone', { description: 'Default tone when filling' }),
+  type: ref('Type', { description: 'Default type when filling' }),
+  ...sharingProperties
+};
+
+const templateChecks = [
+  checks.catalogName('tone'),
+  checks.catalogName('type')
+];
+
+// Templates
+// Placeholders look like {{customer_name}}; the variable list always follows the body.
+
+// GET /api/templates - List templates visible to the caller
+api.get('/', {
+  summary: 'List templates',
+  query: {
+    type: 'object',
+    properties: {
+      scope: {
+        type: 'string',
+        enum: ['all', 'mine', 'team', 'public'],
+        default: 'all',
+        description: 'all = yours, your teams\' and public templates'
+      },
+      type: ref('Type'),
+      tone: ref('Tone'),
+      search: { type: 'string', maxLength: limits.searchLength, description: 'Full-text search over name, description and body' },
+      page: ref('Page'),
+      limit: ref('PageSize')
+    }
+  }
+}, templateController.listTemplates);
+
+// POST /api/templates/from-history/:historyId - Turn a favorite into a template
+api.post('/from-history/:historyId', {
+  summary: 'Create a template from a favorite history item',
+  description: 'Uses the rewrite (or the original) as the body. Each entry in placeholders replaces that literal text with {{name}} and becomes the variable\'s default. Team and public templates may only use built-in or global tones and types.',
+  params: {
+    type: 'object',
+    required: ['historyId'],
+    properties: { historyId: ref('ObjectId') }
+  },
+  body: {
+    type: 'object',
+    properties: {
+      name: nameSchema,
+      description: { type: 'string', maxLength: limits.descriptionLength },
+      source: { type: 'string', enum: ['rewritten', 'original'], default: 'rewritten' },
+      placeholders: {
+        type: 'object',
+        additionalProperties: { type: 'string' },
+        description: 'Variable name -> literal text to replace, e.g. { "name": "Sam" }'
+      },
+      ...sharingProperties
+    }
+  },
+  responses: { 201: { description: 'The new template' } },
+  errors: {
+    404: 'History item not found',
+    409: 'The item is not a favorite, or a template with this name already exists'
+  }
+}, templateController.createFromHistory);
+
+// GET /api/templates/:id - Get one template
+api.get('/:id', {
+  summary: 'Get a template',
+  params: idParams,
+  errors: { 404: 'Template not found' }
+}, templateController.getTemplate);
+
+// POST /api/templates - Create a template
+api.post('/', {
+  summary: 'Create a template',
+  description: 'Team and public templates may only use built-in or global tones and types, since the people they are shared with cannot see your private ones.',
+  body: {
+    type: 'object',
+    required: ['name', 'body'],
+    properties: templateProperties
+  },
+  checks: templateChecks,
+  responses: { 201: { description: 'The new template' } },
+  errors: { 409: 'A template with this name already exists' }
+}, templateController.createTemplate);
+
+// PUT /api/templates/:id - Update a template you own
+api.put('/:id', {
+  summary: 'Update a template',
+  description: 'The tone and type must stay built-in or global while the template is shared with a team or the public.',
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: templateProperties,
+    minProperties: 1,
+    'x-error': 'Nothing to update',
+    'x-message': 'Provide at least one field to change'
+  },
+  checks: templateChecks,
+  errors: { 404: 'Template not found', 409: 'A template with this name already exists' }
+}, templateController.updateTemplate);
+
+// DELETE /api/templates/:id - Delete a template you own
+api.delete('/:id', {
+  summary: 'Delete a template',
+  params: idParams,
+  errors: { 404: 'Template not found' }
+}, templateController.deleteTemplate);
+
+// POST /api/templates/:id/fill - Fill in the variables and rewrite the result
+api.post('/:id/fill', {
+  summary: 'Fill a template and rewrite it',
+  description: 'Substitutes the values, then runs the same rewrite as POST /api/rewrite (saved to history unless save is false). The response has the same shape plus a template entry.',
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      values: {
+        type: 'object',
+        additionalProperties: { type: 'string', 'x-error': 'Invalid template value' },
+        description: 'Variable name -> value; variables with a default may be left out'
+      },
+      tone: ref('Tone', { description: 'Overrides the template\'s tone' }),
+      type: ref('Type', { description: 'Overrides the template\'s type' }),
+      provider: ref('Provider'),
+      model: ref('Model'),
+      language: ref('Language'),
+      format: { type: 'string', enum: structuredConfig.formats, default: 'plain' },
+      includeDiff: { type: 'boolean' },
+      cache: { type: 'boolean' },
+      save: { type: 'boolean', default: true, description: 'false skips saving the rewrite to history' }
+    }
+  },
+  checks: [
+    ...templateChecks,
+    checks.providerConfigured,
+    checks.language('body', 'language')
+  ],
+  quota: true,
+  responses: { 200: { description: 'The rewrite', data: ref('RewriteResult') } },
+  errors: {
+    404: 'Template not found',
+    422: 'The input contains personal data and the PII policy is "reject"',
+    500: 'The provider failed; the body carries an offline fallback rewrite'
+  }
+}, templateController.prepareFill, enforceQuota(), templateController.fillTemplate);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const usageController = require('../controllers/usageController');
+const plansConfig = require('../config/plans');
+const { createApi } = require('../validation/api');
+const { ref } = require('../validation/components');
+
+const api = createApi(router, '/api/usage', { tags: ['Usage'] });
+
+// GET /api/usage - Quota usage for the signed-in user, or for the caller's IP when anonymous
+api.get('/', {
+  summary: 'Quota usage',
+  description: 'For the signed-in user, or for the caller\'s IP address when anonymous.',
+  auth: 'optional'
+}, usageController.getUsage);
+
+// PUT /api/usage/users/:userId/plan - Move an account to another quota plan
+api.put('/users/:userId/plan', {
+  summary: 'Change a user\'s plan',
+  description: 'Takes effect with the user\'s next request; counts already used in the current periods are kept. Admin only.',
+  auth: 'admin',
+  params: {
+    type: 'object',
+    required: ['userId'],
+    properties: { userId: ref('ObjectId') }
+  },
+  body: {
+    type: 'object',
+    required: ['plan'],
+    properties: {
+      plan: { type: 'string', enum: Object.keys(plansConfig.plans) }
+    }
+  },
+  responses: { 200: { description: 'The user\'s profile with the new plan' } },
+  errors: { 404: 'User not found' }
+}, usageController.setPlan);
+
+module.exports = router;
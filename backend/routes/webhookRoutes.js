@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const checks = require('../validation/checks');
+const { createApi } = require('../validation/api');
+const { ref } = require('../validation/components');
+
+// All webhook routes act on the caller's own subscriptions
+const api = createApi(router, '/api/webhooks', { tags: ['Webhooks'] });
+
+// Request schemas
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: ref('ObjectId') }
+};
+
+const webhookProperties = {
+  url: {
+    type: 'string',
+    format: 'uri',
+    maxLength: 2000,
+    description: 'Must resolve to a public address; localhost and private networks are refused'
+  },
+  events: {
+    type: 'array',
+    minItems: 1,
+    items: ref('WebhookEvent')
+  },
+  description: { type: 'string', maxLength: 200 }
+};
+
+// GET /api/webhooks/deliveries - Delivery log, filterable by webhook, status and event
+api.get('/deliveries', {
+  summary: 'List the delivery log',
+  query: {
+    type: 'object',
+    properties: {
+      page: ref('Page'),
+      limit: ref('PageSize'),
+      webhookId: ref('ObjectId'),
+      status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+      event: ref('WebhookEvent')
+    }
+  }
+}, webhookController.listDeliveries);
+
+// POST /api/webhooks/deliveries/:id/replay - Send a logged delivery again
+api.post('/deliveries/:id/replay', {
+  summary: 'Replay a delivery',
+  description: 'Sends the payload again as a new delivery with the same event id.',
+  params: idParams,
+  responses: { 202: { description: 'The queued delivery' } },
+  errors: { 404: 'Delivery not found' }
+}, webhookController.replayDelivery);
+
+// GET /api/webhooks - List webhook subscriptions
+api.get('/', {
+  summary: 'List webhook subscriptions'
+}, webhookController.listWebhooks);
+
+// POST /api/webhooks - Create a webhook subscription
+api.post('/', {
+  summary: 'Create a webhook subscription',
+  description: 'The signing secret is returned only in this response.',
+  body: {
+    type: 'object',
+    required: ['url', 'events'],
+    properties: {
+      ...webhookProperties,
+      secret: {
+        type: 'string',
+        minLength: 16,
+        maxLength: 200,
+        description: 'Omit to have one generated'
+      },
+      apiKeyId: {
+        anyOf: [ref('ObjectId'), { const: 'current' }],
+        description: 'Only deliver events caused by this API key; "current" is the key used for this request',
+        'x-message': 'apiKeyId must be an API key id or "current"'
+      }
+    }
+  },
+  checks: [checks.publicUrl('url')],
+  responses: { 201: { description: 'The subscription and its secret' } }
+}, webhookController.createWebhook);
+
+// PUT /api/webhooks/:id - Update a webhook subscription or rotate its secret
+api.put('/:id', {
+  summary: 'Update a webhook subscription or rotate its secret',
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      ...webhookProperties,
+      active: { type: 'boolean' },
+      rotateSecret: { type: 'boolean', description: 'true returns a new secret' }
+    },
+    anyOf: ['url', 'events', 'description', 'active', 'rotateSecret'].map(name => ({ required: [name] })),
+    'x-error': 'Nothing to update',
+    'x-message': 'Provide url, events, description, active and/or rotateSecret'
+  },
+  checks: [checks.publicUrl('url')],
+  errors: { 404: 'Webhook not found' }
+}, webhookController.updateWebhook);
+
+// DELETE /api/webhooks/:id - Delete a webhook subscription
+api.delete('/:id', {
+  summary: 'Delete a webhook subscription',
+  params: idParams,
+  errors: { 404: 'Webhook not found' }
+}, webhookController.deleteWebhook);
+
+module.exports = router;
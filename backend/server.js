@@ -7,6 +7,23 @@ require('dotenv').config();
 
 // Import routes
 const promptRoutes = require('./routes/promptRoutes');
+const catalogRoutes = require('./routes/catalogRoutes');
+const authRoutes = require('./routes/authRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const usageRoutes = require('./routes/usageRoutes');
+const collectionRoutes = require('./routes/collectionRoutes');
+const shareRoutes = require('./routes/shareRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const teamRoutes = require('./routes/teamRoutes');
+const feedbackRoutes = require('./routes/feedbackRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const systemPromptRoutes = require('./routes/systemPromptRoutes');
+const experimentRoutes = require('./routes/experimentRoutes');
+const docsRoutes = require('./routes/docsRoutes');
+const batchService = require('./services/batchService');
+const webhookService = require('./services/webhookService');
+const errorHandler = require('./middleware/errorHandler');
+const { identifyCaller } = require('./middleware/auth');
 
 // Create Express app
 const app = express();
@@ -14,10 +31,16 @@ const app = express();
 // Security middleware
 app.use(helmet());
 
+// Rate limits count signed-in callers per account and everyone else per IP, so
+// users behind one NAT do not share a limit (quotas are per account too)
+const rateLimitKey = (req) => (req.user ? `user:${req.user.id}` : req.ip);
+app.use(identifyCaller);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: 100, // limit each caller to 100 requests per windowMs
+  keyGenerator: rateLimitKey,
   message: {
     error: 'Too many requests from this IP, please try again later.'
   }
@@ -27,17 +50,35 @@ app.use(limiter);
 // API rate limiting for expensive operations
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 30, // limit each IP to 30 API calls per windowMs
+  max: 30, // limit each caller to 30 API calls per windowMs
+  keyGenerator: rateLimitKey,
   message: {
     error: 'Too many API requests, please try again later.'
   }
 });
 
+// Stricter limit for login/registration to slow down credential guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 auth attempts per windowMs
+  message: {
+    error: 'Too many authentication attempts, please try again later.'
+  }
+});
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  // Let browser clients read remaining quota
+  exposedHeaders: [
+    'X-Quota-Plan',
+    'X-Quota-Daily-Limit', 'X-Quota-Daily-Remaining', 'X-Quota-Daily-Reset',
+    'X-Quota-Monthly-Limit', 'X-Quota-Monthly-Remaining', 'X-Quota-Monthly-Reset',
+    'X-Quota-Budget-Limit', 'X-Quota-Budget-Remaining',
+    'Retry-After'
+  ]
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -53,6 +94,12 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
 .then(() => {
   console.log('✅ Connected to MongoDB');
+  batchService.resumePending().catch((error) => {
+    console.error('❌ Failed to resume batch jobs:', error.message);
+  });
+  webhookService.resumePending().catch((error) => {
+    console.error('❌ Failed to resume webhook deliveries:', error.message);
+  });
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -68,32 +115,49 @@ app.get('/', (req, res) => {
   });
 });
 
+// OpenAPI document and interactive docs
+app.use('/api', docsRoutes);
+
+// Accounts, tokens and API keys
+app.use(['/api/auth/login', '/api/auth/register'], authLimiter);
+app.use('/api/auth', authRoutes);
+
+// Custom tones and types
+app.use('/api/catalog', catalogRoutes);
+
+// Collections of history items
+app.use('/api/collections', collectionRoutes);
+
+// Teams and prompt templates; filling a template runs a rewrite, so only that is API-limited
+app.use('/api/teams', teamRoutes);
+app.post('/api/templates/:id/fill', apiLimiter);
+app.use('/api/templates', templateRoutes);
+
+// Share links; the public /api/shared/:token view is outside the API limiter
+app.use('/api', shareRoutes);
+
+// Ratings and final texts for history items, and the feedback report
+app.use('/api', feedbackRoutes);
+
+// System prompt versions and A/B experiments between them (administrators only)
+app.use('/api/system-prompts', systemPromptRoutes);
+app.use('/api/experiments', experimentRoutes);
+
+// Webhook subscriptions and their delivery log
+app.use('/api/webhooks', webhookRoutes);
+
+// Per-user quota usage
+app.use('/api/usage', usageRoutes);
+
+// Batch rewrite jobs; one job counts as a single API call
+app.post('/api/jobs', apiLimiter);
+app.use('/api/jobs', jobRoutes);
+
 // Apply API rate limiting to prompt routes
 app.use('/api', apiLimiter, promptRoutes);
 
 // Global error handler
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  
-  if (err.name === 'ValidationError') {
-    return res.status(400).json({
-      error: 'Validation Error',
-      message: err.message
-    });
-  }
-  
-  if (err.name === 'CastError') {
-    return res.status(400).json({
-      error: 'Invalid ID format',
-      message: 'The provided ID is not valid'
-    });
-  }
-  
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal Server Error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-  });
-});
+app.use(errorHandler);
 
 // Handle 404
 app.use('*', (req, res) => {
@@ -0,0 +1,251 @@
+// Deterministic, local quality checks for a piece of text. Nothing here calls a model,
+// so the analysis is free and can run before (and after) every rewrite.
+
+const LONG_SENTENCE_WORDS = 30;
+const OVERUSED_MIN_COUNT = 4;
+const OVERUSED_MIN_SHARE = 0.05;
+
+// Points deducted from the score per finding
+const SEVERITY_PENALTY = { error: 6, warning: 3, info: 1 };
+
+const VAGUE_WORDS = [
+  'stuff', 'things', 'thing', 'something', 'somehow', 'somewhat', 'various', 'basically',
+  'literally', 'really', 'very', 'a lot', 'kind of', 'sort of', 'etc', 'asap', 'soon', 'at some point'
+];
+
+// Informal shorthand and the word it stands for
+const SMS_SPEAK = {
+  u: 'you', ur: 'your', r: 'are', pls: 'please', plz: 'please', thx: 'thanks', thnx: 'thanks',
+  tho: 'though', b4: 'before', gr8: 'great', '2day': 'today', '2moro': 'tomorrow', idk: "I don't know",
+  btw: 'by the way', lol: '', imo: 'in my opinion', w8: 'wait', msg: 'message', cuz: 'because', bc: 'because'
+};
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'is', 'are', 'was',
+  'were', 'be', 'it', 'this', 'that', 'i', 'you', 'we', 'they', 'he', 'she', 'my', 'your', 'our', 'me',
+  'as', 'by', 'from', 'have', 'has', 'had', 'not', 'will', 'would', 'can', 'could', 'do', 'if', 'so'
+]);
+
+const IRREGULAR_PARTICIPLES = [
+  'done', 'made', 'given', 'taken', 'seen', 'written', 'sent', 'known', 'shown', 'told', 'found',
+  'kept', 'held', 'built', 'paid', 'sold', 'left', 'brought', 'thought', 'bought', 'caught', 'taught',
+  'chosen', 'driven', 'broken', 'spoken', 'forgotten', 'hidden', 'begun', 'run', 'put', 'set', 'read'
+];
+
+const PASSIVE_PATTERN = new RegExp(
+  `\\b(?:am|is|are|was|were|be|been|being)\\s+(?:\\w+ly\\s+)?(?:\\w+ed|${IRREGULAR_PARTICIPLES.join('|')})\\b`,
+  'gi'
+);
+const GREETING_PATTERN = /^\s*(?:subject:[^\n]*\n+\s*)?(?:hi|hello|hey|dear|good (?:morning|afternoon|evening)|greetings)\b/i;
+const SIGN_OFF_PATTERN = /\b(?:regards|best|sincerely|thanks|thank you|cheers|yours|respectfully)\b[^\n]*(?:\n[^\n]*){0,2}\s*$/i;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const round = (value, digits = 1) => parseFloat(value.toFixed(digits));
+
+class AnalyzerService {
+  // Words with their offsets
+  tokenize(text) {
+    return [...text.matchAll(/[A-Za-z0-9']+/g)].map(match => ({
+      word: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+  }
+
+  // Sentences with their offsets; line breaks end a sentence too
+  splitSentences(text) {
+    return [...text.matchAll(/[^.!?\n]+(?:[.!?]+|\n|$)/g)]
+      .map(match => {
+        const leading = match[0].length - match[0].trimStart().length;
+        const sentence = match[0].trim();
+        return { text: sentence, start: match.index + leading, end: match.index + leading + sentence.length };
+      })
+      .filter(sentence => /[A-Za-z0-9]/.test(sentence.text));
+  }
+
+  // Vowel-group heuristic; good enough for readability formulas
+  countSyllables(word) {
+    const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (letters.length === 0) return 0;
+    if (letters.length <= 3) return 1;
+
+    const groups = letters
+      .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+      .replace(/^y/, '')
+      .match(/[aeiouy]{1,2}/g);
+    return groups ? groups.length : 1;
+  }
+
+  readability(words, sentences) {
+    const wordCount = words.length;
+    const sentenceCount = Math.max(sentences.length, 1);
+    const syllables = words.reduce((sum, token) => sum + this.countSyllables(token.word), 0);
+
+    if (wordCount === 0) {
+      return { words: 0, sentences: 0, syllables: 0, averageSentenceLength: 0, fleschReadingEase: null, fleschKincaidGrade: null };
+    }
+
+    const wordsPerSentence = wordCount / sentenceCount;
+    const syllablesPerWord = syllables / wordCount;
+
+    return {
+      words: wordCount,
+      sentences: sentences.length,
+      syllables,
+      averageSentenceLength: round(wordsPerSentence),
+      fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+      fleschKincaidGrade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59)
+    };
+  }
+
+  finding(text, rule, severity, start, end, message, suggestion) {
+    return {
+      rule,
+      severity,
+      message,
+      start,
+      end,
+      excerpt: text.slice(start, end),
+      ...(suggestion !== undefined && { suggestion })
+    };
+  }
+
+  checkSentenceLength(text, sentences) {
+    return sentences
+      .map(sentence => ({ ...sentence, words: this.tokenize(sentence.text).length }))
+      .filter(sentence => sentence.words > LONG_SENTENCE_WORDS)
+      .map(sentence => this.finding(text, 'long-sentence', 'warning', sentence.start, sentence.end,
+        `Sentence has ${sentence.words} words; consider splitting it (over ${LONG_SENTENCE_WORDS} is hard to follow)`));
+  }
+
+  checkPassiveVoice(text) {
+    return [...text.matchAll(PASSIVE_PATTERN)].map(match => this.finding(
+      text, 'passive-voice', 'info', match.index, match.index + match[0].length,
+      'Passive voice; an active sentence is usually clearer'
+    ));
+  }
+
+  checkEmailStructure(text) {
+    const findings = [];
+    if (!GREETING_PATTERN.test(text)) {
+      findings.push(this.finding(text, 'missing-greeting', 'warning', 0, 0, 'Email has no greeting such as "Hi" or "Dear"'));
+    }
+    if (!SIGN_OFF_PATTERN.test(text)) {
+      findings.push(this.finding(text, 'missing-sign-off', 'warning', text.length, text.length, 'Email has no sign-off such as "Best regards"'));
+    }
+    return findings;
+  }
+
+  checkVagueWording(text) {
+    const pattern = new RegExp(`\\b(?:${VAGUE_WORDS.map(escapeRegex).join('|')})\\b`, 'gi');
+    return [...text.matchAll(pattern)].map(match => this.finding(
+      text, 'vague-wording', 'info', match.index, match.index + match[0].length,
+      `"${match[0]}" is vague; say specifically what you mean`
+    ));
+  }
+
+  checkRepeatedWords(text, words) {
+    const findings = [];
+
+    // Accidental doubles such as "the the"
+    for (let i = 1; i < words.length; i++) {
+      const previous = words[i - 1];
+      const current = words[i];
+      const between = text.slice(previous.end, current.start);
+      if (current.word.toLowerCase() === previous.word.toLowerCase() && /^\s+$/.test(between)) {
+        findings.push(this.finding(text, 'repeated-word', 'error', previous.start, current.end,
+          `"${current.word}" is repeated`, current.word));
+      }
+    }
+
+    // Content words leaned on too heavily; reported once, at the first use
+    const counts = new Map();
+    for (const token of words) {
+      const key = token.word.toLowerCase();
+      if (key.length < 3 || STOP_WORDS.has(key)) continue;
+      if (!counts.has(key)) counts.set(key, { first: token, count: 0 });
+      counts.get(key).count += 1;
+    }
+    for (const [word, { first, count }] of counts) {
+      if (count >= OVERUSED_MIN_COUNT && count / words.length >= OVERUSED_MIN_SHARE) {
+        findings.push(this.finding(text, 'overused-word', 'info', first.start, first.end,
+          `"${word}" is used ${count} times; consider varying the wording`));
+      }
+    }
+
+    return findings;
+  }
+
+  // Same shorthand getMockResponse cleans up, plus common chat abbreviations
+  checkSmsSpeak(text, words) {
+    const findings = [];
+
+    for (const token of words) {
+      if (token.word === 'i') {
+        findings.push(this.finding(text, 'sms-speak', 'error', token.start, token.end, 'Capitalize "I"', 'I'));
+        continue;
+      }
+      const key = token.word.toLowerCase();
+      if (Object.prototype.hasOwnProperty.call(SMS_SPEAK, key)) {
+        const replacement = SMS_SPEAK[key];
+        findings.push(this.finding(text, 'sms-speak', 'error', token.start, token.end,
+          replacement ? `"${token.word}" is text-message shorthand for "${replacement}"` : `"${token.word}" is text-message shorthand`,
+          replacement));
+      }
+    }
+
+    return findings;
+  }
+
+  // Returns { score, readability, findings, summary }. score is 0-100; findings are
+  // sorted by position and carry character offsets (start/end) into the given text.
+  analyze(text, { type } = {}) {
+    const words = this.tokenize(text);
+    const sentences = this.splitSentences(text);
+    const readability = this.readability(words, sentences);
+
+    const findings = [
+      ...this.checkSentenceLength(text, sentences),
+      ...this.checkPassiveVoice(text),
+      ...(type === 'email' ? this.checkEmailStructure(text) : []),
+      ...this.checkVagueWording(text),
+      ...this.checkRepeatedWords(text, words),
+      ...this.checkSmsSpeak(text, words)
+    ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const summary = { error: 0, warning: 0, info: 0, byRule: {} };
+    let penalty = 0;
+    for (const finding of findings) {
+      summary[finding.severity] += 1;
+      summary.byRule[finding.rule] = (summary.byRule[finding.rule] || 0) + 1;
+      penalty += SEVERITY_PENALTY[finding.severity];
+    }
+
+    // Hard-to-read text loses up to 15 more points
+    if (readability.fleschReadingEase !== null && readability.fleschReadingEase < 50) {
+      penalty += Math.min(15, Math.round((50 - readability.fleschReadingEase) / 3));
+    }
+
+    return {
+      score: Math.max(0, 100 - penalty),
+      readability,
+      findings,
+      summary
+    };
+  }
+
+  // Analysis of an original and its rewrite, with the score change between them
+  compare(original, rewritten, options = {}) {
+    const before = this.analyze(original, options);
+    const after = this.analyze(rewritten, options);
+
+    return {
+      original: before,
+      rewritten: after,
+      scoreChange: after.score - before.score
+    };
+  }
+}
+
+module.exports = new AnalyzerService();
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Prompt = require('../models/Prompt');
+const VariantSet = require('../models/VariantSet');
+const CatalogEntry = require('../models/CatalogEntry');
+const authConfig = require('../config/auth');
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Errors carry an HTTP status so controllers can pass them straight to the error handler
+const authError = (status, message) => Object.assign(new Error(message), { status });
+
+class AuthService {
+  async register({ email, password, name }) {
+    const existing = await User.findOne({ email: email.trim().toLowerCase() });
+    if (existing) {
+      throw authError(409, 'An account with this email already exists');
+    }
+
+    const passwordHash = await bcrypt.hash(password, authConfig.bcryptRounds);
+    const user = await User.create({ email, name, passwordHash });
+
+    return { user, token: this.issueToken(user) };
+  }
+
+  async login({ email, password }) {
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+passwordHash');
+
+    if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+      throw authError(401, 'Invalid email or password');
+    }
+
+    return { user, token: this.issueToken(user) };
+  }
+
+  issueToken(user) {
+    return jwt.sign({ sub: user._id.toString(), email: user.email }, authConfig.jwtSecret, {
+      expiresIn: authConfig.tokenExpiresIn
+    });
+  }
+
+  // Returns the request identity for a bearer token, or null if invalid/expired
+  verifyToken(token) {
+    try {
+      const payload = jwt.verify(token, authConfig.jwtSecret);
+      return { id: payload.sub, email: payload.email, authMethod: 'token' };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Returns the plaintext key exactly once; only its hash is stored
+  async createApiKey(userId, name) {
+    const user = await User.findById(userId).select('+apiKeys');
+    if (!user) {
+      throw authError(404, 'User not found');
+    }
+
+    if (user.apiKeys.length >= authConfig.maxApiKeysPerUser) {
+      throw authError(400, `A user can have at most ${authConfig.maxApiKeysPerUser} API keys`);
+    }
+
+    const key = `${authConfig.apiKeyPrefix}${crypto.randomBytes(24).toString('base64url')}`;
+    user.apiKeys.push({ name, prefix: key.slice(0, 10), keyHash: hashApiKey(key) });
+    await user.save();
+
+    const apiKey = user.apiKeys[user.apiKeys.length - 1];
+    return { key, apiKey: this.describeApiKey(apiKey) };
+  }
+
+  async verifyApiKey(key) {
+    if (!key || !key.startsWith(authConfig.apiKeyPrefix)) return null;
+
+    const keyHash = hashApiKey(key);
+    const user = await User.findOne({ 'apiKeys.keyHash': keyHash }).select('+apiKeys');
+    if (!user) return null;
+
+    const apiKey = user.apiKeys.find(candidate => candidate.keyHash === keyHash);
+    await User.updateOne(
+      { _id: user._id, 'apiKeys._id': apiKey._id },
+      { $set: { 'apiKeys.$.lastUsedAt': new Date() } }
+    );
+
+    return { id: user._id.toString(), email: user.email, authMethod: 'apiKey', apiKeyId: apiKey._id.toString() };
+  }
+
+  async listApiKeys(userId) {
+    const user = await User.findById(userId).select('+apiKeys');
+    return user ? user.apiKeys.map(apiKey => this.describeApiKey(apiKey)) : [];
+  }
+
+  async revokeApiKey(userId, keyId) {
+    const result = await User.updateOne(
+      { _id: userId, 'apiKeys._id': keyId },
+      { $pull: { apiKeys: { _id: keyId } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Before accounts existed, clients chose a free-form userId. Moves the history, variant
+  // sets and catalog entries saved under that id to the account with this email.
+  // Catalog entries named like one the account already has are left where they are.
+  async claimLegacyData(legacyUserId, email) {
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user) {
+      throw authError(404, 'No account has this email');
+    }
+    if (mongoose.isObjectIdOrHexString(legacyUserId) && await User.exists({ _id: legacyUserId })) {
+      throw authError(409, 'This userId belongs to an account, not to history saved before accounts');
+    }
+
+    const userId = user._id.toString();
+    const [history, variantSets] = await Promise.all([
+      Prompt.updateMany({ userId: legacyUserId }, { $set: { userId } }),
+      VariantSet.updateMany({ userId: legacyUserId }, { $set: { userId } })
+    ]);
+
+    let catalogEntries = 0;
+    const skipped = [];
+    for (const entry of await CatalogEntry.find({ ownerId: legacyUserId }).lean()) {
+      try {
+        await CatalogEntry.updateOne({ _id: entry._id }, { $set: { ownerId: userId } });
+        catalogEntries++;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        skipped.push(`${entry.kind} "${entry.name}"`);
+      }
+    }
+
+    return {
+      userId,
+      moved: { history: history.modifiedCount, variantSets: variantSets.modifiedCount, catalogEntries },
+      skipped
+    };
+  }
+
+  describeApiKey(apiKey) {
+    return {
+      id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      createdAt: apiKey.createdAt,
+      lastUsedAt: apiKey.lastUsedAt
+    };
+  }
+}
+
+module.exports = new AuthService();
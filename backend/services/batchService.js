@@ -0,0 +1,215 @@
+const BatchJob = require('../models/BatchJob');
+const Prompt = require('../models/Prompt');
+const geminiService = require('./geminiService');
+const webhookService = require('./webhookService');
+const batchConfig = require('../config/batch');
+
+// Runs batch jobs one at a time from an in-process FIFO queue. Items of the
+// running job are rewritten by a fixed pool of workers, so at most
+// batchConfig.concurrency model calls are in flight. All progress is written
+// to MongoDB, which lets jobs resume after a restart.
+class BatchService {
+  constructor() {
+    this.queue = [];
+    this.processing = false;
+  }
+
+  enqueue(jobId) {
+    const id = jobId.toString();
+    if (!this.queue.includes(id)) {
+      this.queue.push(id);
+    }
+    this.drain();
+  }
+
+  // Re-queue jobs that were queued or interrupted mid-run
+  async resumePending() {
+    const jobs = await BatchJob.find({ status: { $in: ['queued', 'running'] } })
+      .sort({ createdAt: 1 })
+      .select('_id')
+      .lean();
+
+    if (jobs.length > 0) {
+      console.log(`📦 Resuming ${jobs.length} batch job(s)`);
+    }
+    jobs.forEach(job => this.enqueue(job._id));
+  }
+
+  async drain() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const jobId = this.queue.shift();
+        try {
+          await this.runJob(jobId);
+        } catch (error) {
+          console.error(`❌ Batch job ${jobId} crashed:`, error.message);
+          await BatchJob.updateOne(
+            { _id: jobId, status: 'running' },
+            { $set: { status: 'failed', completedAt: new Date() } }
+          ).catch(() => {});
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async runJob(jobId) {
+    const job = await BatchJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['queued', 'running'] } },
+      { $set: { status: 'running', startedAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    if (!job) return;
+
+    // 'running' items were interrupted by a restart and are picked up again
+    const items = job.items.filter(item => item.status === 'pending' || item.status === 'running');
+    console.log(`📦 Running batch job ${jobId}: ${items.length} item(s)`);
+
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const item = items[next++];
+        if (await this.isCancelled(jobId)) return;
+        // One item's crash must not stop this worker while the others keep going
+        try {
+          await this.runItem(job, item);
+        } catch (error) {
+          console.error(`❌ Batch item ${item._id} of job ${jobId} crashed:`, error.message);
+          await this.failItem(job, item, error.message).catch(() => {});
+        }
+      }
+    };
+
+    const workers = Math.min(batchConfig.concurrency, items.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    await this.finalize(jobId);
+  }
+
+  async runItem(job, item) {
+    const target = { _id: job._id, 'items._id': item._id };
+
+    await BatchJob.updateOne(target, {
+      $set: { 'items.$.status': 'running', 'items.$.startedAt': new Date() },
+      $inc: { 'items.$.attempts': 1 }
+    });
+
+    const result = await geminiService.rewritePrompt(item.prompt, item.tone, item.type, {
+      provider: job.options.provider,
+      model: job.options.model,
+      userId: job.userId
+    });
+
+    if (!result.success) {
+      await this.failItem(job, item, result.details ? `${result.error}: ${result.details}` : result.error);
+      return;
+    }
+
+    const update = {
+      'items.$.status': 'succeeded',
+      'items.$.rewrittenPrompt': result.rewrittenPrompt,
+      'items.$.metadata': result.metadata,
+      'items.$.error': null,
+      'items.$.completedAt': new Date()
+    };
+
+    if (job.options.saveToHistory) {
+      try {
+        const savedItem = await new Prompt({
+          userId: job.userId,
+          originalPrompt: item.prompt,
+          rewrittenPrompt: result.rewrittenPrompt,
+          tone: item.tone,
+          type: item.type,
+          sourceLanguage: result.metadata.sourceLanguage,
+          targetLanguage: result.metadata.targetLanguage,
+          metadata: result.metadata
+        }).save();
+        update['items.$.historyId'] = savedItem._id;
+        webhookService.emit('history.created', { userId: job.userId, apiKeyId: job.apiKeyId }, webhookService.historyEventData(savedItem));
+      } catch (saveError) {
+        console.warn('Failed to save batch item to history:', saveError.message);
+      }
+    }
+
+    await BatchJob.updateOne(target, { $set: update });
+  }
+
+  async failItem(job, item, error) {
+    await BatchJob.updateOne({ _id: job._id, 'items._id': item._id }, {
+      $set: {
+        'items.$.status': 'failed',
+        'items.$.error': error,
+        'items.$.completedAt': new Date()
+      }
+    });
+  }
+
+  async isCancelled(jobId) {
+    const job = await BatchJob.findById(jobId).select('status').lean();
+    return !job || job.status === 'cancelled';
+  }
+
+  async finalize(jobId) {
+    const job = await BatchJob.findById(jobId).lean();
+    if (!job || job.status !== 'running') return;
+
+    const progress = BatchJob.progressOf(job);
+    const status = progress.succeeded === 0 && progress.failed > 0 ? 'failed' : 'completed';
+
+    await BatchJob.updateOne(
+      { _id: jobId, status: 'running' },
+      { $set: { status, completedAt: new Date() } }
+    );
+    console.log(`📦 Batch job ${jobId} ${status}: ${progress.succeeded} succeeded, ${progress.failed} failed`);
+  }
+
+  // Pending items are cancelled right away; items already running finish normally
+  async cancel(jobId, userId) {
+    const job = await BatchJob.findOneAndUpdate(
+      { _id: jobId, userId, status: { $in: ['queued', 'running'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          completedAt: new Date(),
+          'items.$[item].status': 'cancelled'
+        }
+      },
+      { new: true, arrayFilters: [{ 'item.status': 'pending' }] }
+    );
+
+    this.queue = this.queue.filter(id => id !== jobId.toString());
+    return job;
+  }
+
+  // Puts failed and cancelled items back to pending and queues the job again
+  async retry(jobId, userId) {
+    const job = await BatchJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        userId,
+        status: { $in: ['completed', 'failed', 'cancelled'] },
+        'items.status': { $in: ['failed', 'cancelled'] }
+      },
+      {
+        $set: {
+          status: 'queued',
+          completedAt: null,
+          'items.$[item].status': 'pending',
+          'items.$[item].error': null
+        }
+      },
+      { new: true, arrayFilters: [{ 'item.status': { $in: ['failed', 'cancelled'] } }] }
+    );
+
+    if (job) this.enqueue(job._id);
+    return job;
+  }
+}
+
+module.exports = new BatchService();
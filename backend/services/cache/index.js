@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const cacheConfig = require('../../config/cache');
+const MemoryStore = require('./memoryStore');
+const MongoStore = require('./mongoStore');
+
+// Caches successful rewrites. The key covers everything that shapes the output:
+// provider, model, temperature and the fully built prompt (which already holds
+// the normalized input text and the tone/type instructions).
+class RewriteCache {
+  constructor(config) {
+    this.config = config;
+    this.store = config.store === 'mongo' ? new MongoStore(config) : new MemoryStore(config);
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  get enabled() {
+    return this.config.enabled;
+  }
+
+  normalize(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  keyFor({ provider, model, temperature, tone, type, prompt }) {
+    const material = JSON.stringify([provider, model, temperature ?? null, tone, type, this.normalize(prompt)]);
+    return crypto.createHash('sha256').update(material).digest('hex');
+  }
+
+  // Cache failures never break a rewrite; they just count as a miss
+  async get(key) {
+    if (!this.enabled) return null;
+
+    try {
+      const value = await this.store.get(key);
+      this.stats[value ? 'hits' : 'misses'] += 1;
+      return value;
+    } catch (error) {
+      console.warn('⚠️ Rewrite cache read failed:', error.message);
+      this.stats.misses += 1;
+      return null;
+    }
+  }
+
+  async set(key, value) {
+    if (!this.enabled) return;
+
+    try {
+      await this.store.set(key, value, this.config.ttlSeconds);
+    } catch (error) {
+      console.warn('⚠️ Rewrite cache write failed:', error.message);
+    }
+  }
+
+  async getStats() {
+    return {
+      enabled: this.enabled,
+      store: this.config.store,
+      ttlSeconds: this.config.ttlSeconds,
+      maxEntries: this.config.maxEntries,
+      size: this.enabled ? await this.store.size().catch(() => null) : 0,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new RewriteCache(cacheConfig);
@@ -0,0 +1,34 @@
+// In-process LRU store with per-entry expiry. Map keeps insertion order,
+// so re-inserting on read moves an entry to the "most recent" end.
+class MemoryStore {
+  constructor({ maxEntries }) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return null;
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,34 @@
+const CachedRewrite = require('../../models/CachedRewrite');
+
+// Shared store for multi-instance deployments. Expiry is handled by the
+// TTL index; the size bound is enforced by trimming the oldest entries.
+class MongoStore {
+  constructor({ maxEntries }) {
+    this.maxEntries = maxEntries;
+  }
+
+  async get(key) {
+    const entry = await CachedRewrite.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    await CachedRewrite.updateOne(
+      { key },
+      { $set: { value, expiresAt: new Date(Date.now() + ttlSeconds * 1000) } },
+      { upsert: true }
+    );
+
+    const overflow = (await CachedRewrite.estimatedDocumentCount()) - this.maxEntries;
+    if (overflow > 0) {
+      const oldest = await CachedRewrite.find().sort({ updatedAt: 1 }).limit(overflow).select('_id').lean();
+      await CachedRewrite.deleteMany({ _id: { $in: oldest.map(entry => entry._id) } });
+    }
+  }
+
+  async size() {
+    return CachedRewrite.estimatedDocumentCount();
+  }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,87 @@
+const CatalogEntry = require('../models/CatalogEntry');
+const builtInStyles = require('../config/builtInStyles');
+
+const BUILT_IN = {
+  tone: builtInStyles.tones,
+  type: builtInStyles.types
+};
+
+// Single source of truth for tones and document types: built-ins plus
+// custom catalog entries that are global or owned by the caller.
+class CatalogService {
+  isBuiltIn(kind, name) {
+    return Object.prototype.hasOwnProperty.call(BUILT_IN[kind], name);
+  }
+
+  visibilityQuery(kind, userId) {
+    const query = { kind, $or: [{ visibility: 'global' }] };
+    if (userId) query.$or.push({ ownerId: userId });
+    return query;
+  }
+
+  // Returns { name, instruction, builtIn, ... } or null when the caller cannot see it
+  async resolve(kind, name, userId) {
+    if (!name) return null;
+
+    if (this.isBuiltIn(kind, name)) {
+      return { kind, name, instruction: BUILT_IN[kind][name], builtIn: true, visibility: 'global' };
+    }
+
+    // A global entry added after a user's own entry of the same name does not replace it
+    const entries = await CatalogEntry.find({ ...this.visibilityQuery(kind, userId), name }).lean();
+    const entry = entries.find(candidate => candidate.ownerId === userId) || entries[0];
+    return entry ? { ...entry, builtIn: false } : null;
+  }
+
+  async exists(kind, name, userId) {
+    return !!(await this.resolve(kind, name, userId));
+  }
+
+  // Built-in and global names are visible to everyone, e.g. whoever fills a shared template
+  async isShared(kind, name) {
+    if (this.isBuiltIn(kind, name)) return true;
+    return !!(await CatalogEntry.exists({ kind, name, visibility: 'global' }));
+  }
+
+  async getInstruction(kind, name, userId, fallback) {
+    const entry = await this.resolve(kind, name, userId);
+    return entry ? entry.instruction : BUILT_IN[kind][fallback];
+  }
+
+  async list(kind, userId) {
+    const builtIns = Object.entries(BUILT_IN[kind]).map(([name, instruction]) => ({
+      kind,
+      name,
+      instruction,
+      builtIn: true,
+      visibility: 'global'
+    }));
+
+    const custom = (await CatalogEntry.find(this.visibilityQuery(kind, userId))
+      .sort({ name: 1 })
+      .lean())
+      // Same precedence as resolve: the caller's own entry hides a global one of the same name
+      .filter((entry, index, entries) => entry.ownerId === userId ||
+        !entries.some(other => other.name === entry.name && other.ownerId === userId));
+
+    return [...builtIns, ...custom.map(entry => ({ ...entry, builtIn: false }))];
+  }
+
+  async listNames(kind, userId) {
+    return (await this.list(kind, userId)).map(entry => entry.name);
+  }
+
+  // Returns an error body naming the valid choices, or null when the name is usable
+  async checkName(kind, name, userId) {
+    if (typeof name === 'string' && await this.exists(kind, name, userId)) return null;
+
+    const label = kind === 'tone' ? 'Tone' : 'Type';
+    const names = await this.listNames(kind, userId);
+    return {
+      error: `Invalid ${kind}`,
+      message: `${label} must be one of: ${names.join(', ')}`
+    };
+  }
+}
+
+module.exports = new CatalogService();
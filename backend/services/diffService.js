@@ -0,0 +1,131 @@
+// Word- and sentence-level diff between an original text and its rewrite.
+// Uses a plain LCS table over tokens after trimming the common prefix/suffix,
+// which is plenty for the 5000/10000 character limits on prompts.
+class DiffService {
+  tokenizeWords(text) {
+    return text.match(/\S+/g) || [];
+  }
+
+  tokenizeSentences(text) {
+    return text
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+  }
+
+  // Returns [{ type: 'equal' | 'delete' | 'insert', tokens: [] }]
+  diffTokens(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length;
+    const m = midB.length;
+
+    // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+
+    const ops = a.slice(0, start).map(token => ['equal', token]);
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        ops.push(['equal', midA[i]]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+        ops.push(['delete', midA[i++]]);
+      } else {
+        ops.push(['insert', midB[j++]]);
+      }
+    }
+    while (i < n) ops.push(['delete', midA[i++]]);
+    while (j < m) ops.push(['insert', midB[j++]]);
+    a.slice(endA).forEach(token => ops.push(['equal', token]));
+
+    // Merge runs of the same operation into segments
+    return ops.reduce((segments, [type, token]) => {
+      const last = segments[segments.length - 1];
+      if (last && last.type === type) {
+        last.tokens.push(token);
+      } else {
+        segments.push({ type, tokens: [token] });
+      }
+      return segments;
+    }, []);
+  }
+
+  summarize(segments, unit) {
+    const counts = { equal: 0, insert: 0, delete: 0 };
+    segments.forEach(segment => { counts[segment.type] += segment.tokens.length; });
+
+    const originalCount = counts.equal + counts.delete;
+    const rewrittenCount = counts.equal + counts.insert;
+    const total = originalCount + rewrittenCount;
+
+    return {
+      unit,
+      original: originalCount,
+      rewritten: rewrittenCount,
+      unchanged: counts.equal,
+      inserted: counts.insert,
+      deleted: counts.delete,
+      // Share of tokens kept, 1 = identical (Dice coefficient)
+      similarity: total ? parseFloat(((2 * counts.equal) / total).toFixed(3)) : 1
+    };
+  }
+
+  diffWords(original, rewritten) {
+    const segments = this.diffTokens(this.tokenizeWords(original), this.tokenizeWords(rewritten));
+    return {
+      segments: segments.map(segment => ({ type: segment.type, text: segment.tokens.join(' ') })),
+      summary: this.summarize(segments, 'word')
+    };
+  }
+
+  diffSentences(original, rewritten) {
+    const segments = this.diffTokens(this.tokenizeSentences(original), this.tokenizeSentences(rewritten));
+    return {
+      segments: segments.map(segment => ({ type: segment.type, sentences: segment.tokens })),
+      summary: this.summarize(segments, 'sentence')
+    };
+  }
+
+  // Numbers are the cheapest signal that facts changed rather than wording
+  findNumberChanges(original, rewritten) {
+    const numbers = text => new Set(text.match(/\d+(?:[.,:]\d+)*/g) || []);
+    const before = numbers(original);
+    const after = numbers(rewritten);
+
+    return {
+      addedNumbers: [...after].filter(value => !before.has(value)),
+      removedNumbers: [...before].filter(value => !after.has(value))
+    };
+  }
+
+  // granularity: 'word', 'sentence' or 'both'
+  diff(original, rewritten, granularity = 'both') {
+    const result = {};
+    if (granularity !== 'sentence') result.words = this.diffWords(original, rewritten);
+    if (granularity !== 'word') result.sentences = this.diffSentences(original, rewritten);
+    result.factCheck = this.findNumberChanges(original, rewritten);
+    return result;
+  }
+}
+
+module.exports = new DiffService();
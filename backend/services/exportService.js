@@ -0,0 +1,151 @@
+// Serializers and parsers for history export/import.
+// Export writes record by record so large histories can be streamed.
+const CSV_COLUMNS = ['timestamp', 'tone', 'type', 'isFavorite', 'originalPrompt', 'rewrittenPrompt', 'provider', 'model'];
+
+const FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  md: { contentType: 'text/markdown', extension: 'md' }
+};
+
+class ExportService {
+  get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  get importFormats() {
+    return ['json', 'csv'];
+  }
+
+  contentType(format) {
+    return `${FORMATS[format].contentType}; charset=utf-8`;
+  }
+
+  filename(format) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `promptmate-history-${date}.${FORMATS[format].extension}`;
+  }
+
+  // Portable subset of a Prompt document; ids and owner are deliberately left out
+  toRecord(item) {
+    return {
+      timestamp: item.timestamp,
+      tone: item.tone,
+      type: item.type,
+      isFavorite: !!item.isFavorite,
+      originalPrompt: item.originalPrompt,
+      rewrittenPrompt: item.rewrittenPrompt,
+      ...(item.structured && { structured: item.structured }),
+      ...(item.feedback && { feedback: item.feedback }),
+      metadata: item.metadata || {}
+    };
+  }
+
+  header(format) {
+    if (format === 'json') {
+      return `{"version":1,"exportedAt":${JSON.stringify(new Date().toISOString())},"items":[\n`;
+    }
+    if (format === 'csv') {
+      return `${CSV_COLUMNS.join(',')}\r\n`;
+    }
+    return `# PromptMate History Export\n\nExported ${new Date().toISOString()}\n`;
+  }
+
+  formatItem(format, item, index) {
+    const record = this.toRecord(item);
+
+    if (format === 'json') {
+      return `${index > 0 ? ',\n' : ''}${JSON.stringify(record)}`;
+    }
+
+    if (format === 'csv') {
+      const row = {
+        ...record,
+        timestamp: record.timestamp ? new Date(record.timestamp).toISOString() : '',
+        provider: record.metadata.provider || '',
+        model: record.metadata.model || ''
+      };
+      return `${CSV_COLUMNS.map(column => this.escapeCsv(row[column])).join(',')}\r\n`;
+    }
+
+    const quote = text => text.split('\n').map(line => `> ${line}`).join('\n');
+    const title = `${index + 1}. ${record.type} · ${record.tone}${record.isFavorite ? ' · ⭐' : ''}`;
+    const date = record.timestamp ? new Date(record.timestamp).toISOString() : 'unknown date';
+    return `\n## ${title}\n\n_${date}_\n\n**Original**\n\n${quote(record.originalPrompt)}\n\n**Rewritten**\n\n${quote(record.rewrittenPrompt)}\n`;
+  }
+
+  footer(format) {
+    return format === 'json' ? '\n]}\n' : '';
+  }
+
+  escapeCsv(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // RFC 4180 parser: quoted fields may contain commas, quotes ("") and newlines
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [headerRow = [], ...dataRows] = rows.filter(cells => cells.some(cell => cell !== ''));
+    return dataRows.map(cells => headerRow.reduce((record, column, index) => {
+      record[column.trim()] = cells[index];
+      return record;
+    }, {}));
+  }
+
+  // Returns an array of plain records, or throws with a message for the client
+  parseImport(format, data) {
+    if (format === 'csv') {
+      if (typeof data !== 'string') throw new Error('CSV imports must send data as a string');
+      return this.parseCsv(data).map(record => ({
+        ...record,
+        isFavorite: record.isFavorite === 'true',
+        metadata: { provider: record.provider || undefined, model: record.model || undefined }
+      }));
+    }
+
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    const items = Array.isArray(parsed) ? parsed : parsed && parsed.items;
+    if (!Array.isArray(items)) throw new Error('JSON imports must be an array or an object with an "items" array');
+    return items;
+  }
+}
+
+module.exports = new ExportService();
@@ -1,180 +1,465 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmConfig = require('../config/llm');
+const structuredConfig = require('../config/structuredOutput');
+const providerRegistry = require('./providers');
+const catalogService = require('./catalogService');
+const rewriteCache = require('./cache');
+const usageService = require('./usageService');
+const languageService = require('./languageService');
+const redactionService = require('./redactionService');
+const structuredOutputService = require('./structuredOutputService');
+const systemPromptService = require('./systemPromptService');
 
+// Builds rewrite prompts and runs them against the configured LLM provider.
+// Provider selection lives in services/providers; this service stays provider-agnostic.
 class GeminiService {
-  constructor() {
-    this.initializeService();
-    
-    this.toneInstructions = {
-      formal: 'Use formal, professional language with proper structure and respectful tone. Avoid contractions and casual expressions.',
-      casual: 'Use relaxed, conversational language that feels natural and approachable. Contractions are fine.',
-      friendly: 'Use warm, welcoming language that creates connection. Be personable and engaging.',
-      professional: 'Use clear, business-appropriate language that is polished but not overly formal.',
-      creative: 'Use imaginative, engaging language with vivid descriptions and creative expressions.',
-      concise: 'Use brief, direct language that gets to the point quickly while maintaining clarity.'
-    };
+  resolveProvider(name) {
+    return name ? providerRegistry.get(name) : providerRegistry.getDefault();
+  }
+
+  // Tone and type instructions come from the catalog, so custom entries visible to userId work too.
+  // With a refinement ({ previousRewrite, instruction }) the model revises its earlier output instead.
+  // With a language code the rewrite is written (translated if needed) in that language.
+  // keepPlaceholders asks the model to leave redaction placeholders untouched.
+  // format "structured" asks for a JSON object shaped for the type (see config/structuredOutput.js).
+  // systemPrompt ({ template } from systemPromptService.resolve) defaults to the built-in instructions.
+  async buildPrompt(originalPrompt, tone, type, { userId, refinement, language, keepPlaceholders, format, systemPrompt = systemPromptService.builtIn } = {}) {
+    const toneInstruction = await catalogService.getInstruction('tone', tone, userId, 'professional');
+    const typeInstruction = await catalogService.getInstruction('type', type, userId, 'other');
+    const languageLine = language
+      ? `\n- LANGUAGE: Write the result in ${languageService.nameOf(language)}, translating the original text if it is in another language`
+      : '';
     
-    this.typeInstructions = {
-      email: 'Structure as a proper email with clear subject line suggestions and appropriate formatting.',
-      message: 'Format as a clear, direct message suitable for instant messaging or brief communication.',
-      explanation: 'Provide clear, logical explanation with good flow and easy-to-understand language.',
-      summary: 'Create a concise summary that captures the key points effectively.',
-      proposal: 'Structure as a professional proposal with clear objectives and compelling arguments.',
-      report: 'Format as a structured report with clear sections and professional presentation.',
-      other: 'Improve clarity, structure, and overall effectiveness of the content.'
-    };
+    const instructions = [
+      systemPromptService.render(systemPrompt.template, { tone: toneInstruction, type: typeInstruction, language: languageLine }),
+      keepPlaceholders && '- Keep placeholders in square brackets such as [NAME_1] or [EMAIL_1] exactly as written',
+      format === 'structured' && `\n${structuredOutputService.instructions(type)}`
+    ].filter(Boolean).join('\n');
+
+    if (refinement) {
+      return `${instructions}
+
+You already rewrote the original text once. Revise your previous rewrite according to the follow-up instruction, keeping the specifications and rules above. Return only the revised text.
+
+Original text:
+"${originalPrompt}"
+
+Previous rewrite:
+"${refinement.previousRewrite}"
+
+Follow-up instruction: ${refinement.instruction}`;
+    }
+
+    return `${instructions}\n\nPlease rewrite the following text:\n\n"${originalPrompt}"`;
   }
 
-  initializeService() {
+  // options: { provider, model, temperature, userId, bypassCache, refinement, language, format } - all optional,
+  // defaults come from config/llm.js. With format "structured" the result also carries `structured`,
+  // and rewrittenPrompt is its plain-text rendering. Real (not mock) results record the system prompt
+  // version in metadata, plus the experiment and variant while an experiment runs (not for cache hits).
+  async rewritePrompt(originalPrompt, tone = 'professional', type = 'other', options = {}) {
+    const startTime = Date.now();
+    const provider = this.resolveProvider(options.provider);
+    const model = options.model || provider.defaultModel;
+    const languages = this.resolveLanguages(originalPrompt, options.language);
+    
+    // Only redacted text (input, refinement) is sent to the model or the mock
+    const guarded = this.protectInput(originalPrompt, options.refinement);
+    if (guarded.rejected) return this.rejectInput(guarded);
+    const { input, refinement } = guarded;
+    const finish = (result) => this.restoreOutput(result, guarded);
+    
+    const mockResponse = () => this.withStructure(this.withLanguages(refinement
+      ? this.getMockRefinement(input, refinement, tone, type, startTime, provider.name)
+      : this.getMockResponse(input, tone, type, startTime, provider.name), languages), type, options.format);
+    
     try {
-      if (!process.env.GEMINI_API_KEY) {
-        console.warn('⚠️ GEMINI_API_KEY not found in environment variables');
-        this.genAI = null;
-        return;
+      // If the provider is not configured, return mock response
+      if (!provider.isConfigured()) {
+        console.log(`⚠️ Using mock response - ${provider.name} API not available`);
+        return finish(mockResponse());
       }
 
-      // Validate API key format
-      if (!process.env.GEMINI_API_KEY.startsWith('AIza')) {
-        console.warn('⚠️ GEMINI_API_KEY format appears invalid (should start with "AIza")');
-        this.genAI = null;
-        return;
+      const systemPrompt = await systemPromptService.resolve(options.userId);
+      const fullPrompt = await this.buildPrompt(input, tone, type, {
+        ...options,
+        refinement,
+        keepPlaceholders: guarded.redacted,
+        systemPrompt
+      });
+      const cacheKey = rewriteCache.keyFor({ provider: provider.name, model, temperature: options.temperature, tone, type, prompt: fullPrompt });
+      
+      if (!options.bypassCache) {
+        const cached = await rewriteCache.get(cacheKey);
+        if (cached) {
+          console.log('⚡ Serving rewrite from cache');
+          return finish(this.withSystemPrompt(this.fromCache(cached, originalPrompt, startTime), systemPrompt));
+        }
       }
 
-      console.log('🔑 Initializing Gemini AI with API key');
-      this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      
-      try {
-        this.model = this.genAI.getGenerativeModel({ 
-          model: 'gemini-1.5-flash',
-          generationConfig: {
-            temperature: 0.7,
-            topP: 0.8,
-            topK: 40,
-            maxOutputTokens: 2048,
-          },
-        });
-        console.log('✅ Gemini model initialized successfully');
-      } catch (modelError) {
-        console.error('❌ Failed to initialize Gemini model:', modelError.message);
-        this.genAI = null;
+      console.log(`🤖 Sending request to ${provider.name} API (${model})...`);
+      
+      const callOptions = { model, temperature: options.temperature };
+      const result = options.format === 'structured'
+        ? await this.generateStructured(provider, fullPrompt, type, callOptions)
+        : await this.generate(provider, fullPrompt, callOptions);
+      
+      console.log(`✅ Successfully received response from ${provider.name} API`);
+      
+      const rewrite = this.withSystemPrompt(this.withLanguages(
+        this.buildResult(originalPrompt, result.text, tone, type, startTime, provider.name, result.model || model, options.temperature, result.tokens),
+        languages
+      ), systemPrompt);
+      if (result.structured) {
+        rewrite.format = 'structured';
+        rewrite.structured = result.structured.data;
+        rewrite.metadata.structured = { attempts: result.structured.attempts, repaired: result.structured.repaired };
       }
+      this.recordUsage(rewrite, options.userId);
+      // The cache keeps the placeholder version; values are restored per request
+      await rewriteCache.set(cacheKey, rewrite);
+      return finish(rewrite);
+      
     } catch (error) {
-      console.error('❌ Failed to initialize Gemini service:', error.message);
-      this.genAI = null;
+      console.error(`❌ ${provider.name} API Error:`, error);
+      // Malformed structured output is the model's answer, not a provider outage
+      if (!error.malformedOutput) provider.recordFailure(error);
+      
+      return finish({
+        success: false,
+        error: this.describeError(error),
+        details: error.message,
+        fallback: mockResponse()
+      });
     }
   }
 
-  async testConnection() {
-    if (!this.genAI || !this.model) {
-      return { success: false, error: 'Service not initialized' };
-    }
-
-    try {
-      console.log('🧪 Testing Gemini API connection...');
-      const result = await this.model.generateContent('Hello, this is a test.');
-      const response = await result.response;
-      const text = response.text();
-      console.log('✅ Gemini API connection successful');
-      return { success: true, response: text };
-    } catch (error) {
-      console.error('❌ Gemini API connection test failed:', error.message);
-      return { success: false, error: error.message };
-    }
+  // Revises an earlier rewrite with a follow-up instruction ("shorter", "mention the deadline", ...)
+  async refinePrompt(originalPrompt, previousRewrite, instruction, tone = 'professional', type = 'other', options = {}) {
+    return this.rewritePrompt(originalPrompt, tone, type, {
+      ...options,
+      refinement: { previousRewrite, instruction }
+    });
   }
 
-  async rewritePrompt(originalPrompt, tone = 'professional', type = 'other') {
+  // Same contract as rewritePrompt, but calls onToken(text) for every chunk as it arrives.
+  // options.signal aborts the stream (e.g. when the client disconnects).
+  async streamRewrite(originalPrompt, tone = 'professional', type = 'other', options = {}, onToken = () => {}) {
     const startTime = Date.now();
+    const provider = this.resolveProvider(options.provider);
+    const model = options.model || provider.defaultModel;
+    const languages = this.resolveLanguages(originalPrompt, options.language);
+    
+    const guarded = this.protectInput(originalPrompt);
+    if (guarded.rejected) return this.rejectInput(guarded);
+    const { input } = guarded;
+    const finish = (result) => this.restoreOutput(result, guarded);
+    // Placeholders are restored on the fly, holding back chunks that end mid-placeholder
+    const restorer = guarded.redacted ? guarded.session.createStreamRestorer(onToken) : null;
+    const emit = restorer ? restorer.write : onToken;
+    const flush = () => restorer && restorer.end();
+    
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    
+    if (options.signal) {
+      if (options.signal.aborted) abort();
+      options.signal.addEventListener('abort', abort);
+    }
+    const timeoutId = setTimeout(abort, llmConfig.requestTimeoutMs);
     
     try {
-      // If Gemini API is not available, return mock response
-      if (!this.genAI || !this.model) {
-        console.log('⚠️ Using mock response - Gemini API not available');
-        return this.getMockResponse(originalPrompt, tone, type, startTime);
+      if (!provider.isConfigured()) {
+        console.log(`⚠️ Streaming mock response - ${provider.name} API not available`);
+        const mock = this.withLanguages(this.getMockResponse(input, tone, type, startTime, provider.name), languages);
+        for (const word of mock.rewrittenPrompt.split(/(?<=\s)/)) {
+          if (controller.signal.aborted) break;
+          emit(word);
+        }
+        flush();
+        return finish(mock);
       }
-
-      // Test connection first
-      const connectionTest = await this.testConnection();
-      if (!connectionTest.success) {
-        console.error('❌ Connection test failed, using mock response');
-        return {
-          success: false,
-          error: 'Failed to connect to Gemini API',
-          details: connectionTest.error,
-          fallback: this.getMockResponse(originalPrompt, tone, type, startTime)
-        };
+      
+      const systemPrompt = await systemPromptService.resolve(options.userId);
+      const fullPrompt = await this.buildPrompt(input, tone, type, {
+        userId: options.userId,
+        language: options.language,
+        keepPlaceholders: guarded.redacted,
+        systemPrompt
+      });
+      const cacheKey = rewriteCache.keyFor({ provider: provider.name, model, temperature: options.temperature, tone, type, prompt: fullPrompt });
+      
+      if (!options.bypassCache) {
+        const cached = await rewriteCache.get(cacheKey);
+        if (cached) {
+          console.log('⚡ Serving streamed rewrite from cache');
+          emit(cached.rewrittenPrompt);
+          flush();
+          return finish(this.withSystemPrompt(this.fromCache(cached, originalPrompt, startTime), systemPrompt));
+        }
       }
-
-      const toneInstruction = this.toneInstructions[tone] || this.toneInstructions.professional;
-      const typeInstruction = this.typeInstructions[type] || this.typeInstructions.other;
       
-      const systemPrompt = `You are PromptMate, an AI assistant that specializes in rewriting and improving text.
-
-Your task is to rewrite the given text according to these specifications:
-- TONE: ${toneInstruction}
-- TYPE: ${typeInstruction}
-
-Rules:
-1. Maintain the original meaning and intent
-2. Improve clarity, structure, and flow
-3. Fix any grammar or spelling issues
-4. Make it more engaging and effective
-5. Keep it concise but comprehensive
-6. Don't add information that wasn't in the original
-
-Please rewrite the following text:`;
-
-      console.log('🤖 Sending request to Gemini API...');
+      console.log(`🤖 Streaming request to ${provider.name} API (${model})...`);
       
-      // Add timeout
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Request timeout after 30 seconds')), 30000);
+      let rewrittenText = '';
+      let usage = null;
+      const stream = provider.stream(fullPrompt, {
+        model,
+        temperature: options.temperature,
+        signal: controller.signal,
+        onUsage: reported => { usage = reported; }
       });
-
-      const generatePromise = this.model.generateContent(`${systemPrompt}\n\n"${originalPrompt}"`);
+      for await (const text of stream) {
+        if (controller.signal.aborted) break;
+        rewrittenText += text;
+        emit(text);
+      }
       
-      const result = await Promise.race([generatePromise, timeoutPromise]);
-      const response = await result.response;
-      const rewrittenText = response.text();
+      if (controller.signal.aborted) {
+        const reason = options.signal && options.signal.aborted ? 'Stream aborted by client' : 'Request timeout';
+        throw new Error(reason);
+      }
       
-      const processingTime = Date.now() - startTime;
+      flush();
+      provider.recordSuccess();
+      console.log(`✅ Finished streaming response from ${provider.name} API`);
       
-      console.log('✅ Successfully received response from Gemini API');
-      
-      return {
-        success: true,
-        rewrittenPrompt: rewrittenText.trim(),
-        metadata: {
-          processingTime,
-          model: 'gemini-1.5-flash',
-          tone,
-          type,
-          originalLength: originalPrompt.length,
-          rewrittenLength: rewrittenText.length,
-          apiCost: this.calculateCost(originalPrompt, rewrittenText)
-        }
-      };
+      const tokens = usageService.normalize(usage, fullPrompt, rewrittenText);
+      const rewrite = this.withSystemPrompt(this.withLanguages(
+        this.buildResult(originalPrompt, rewrittenText, tone, type, startTime, provider.name, model, options.temperature, tokens),
+        languages
+      ), systemPrompt);
+      this.recordUsage(rewrite, options.userId);
+      await rewriteCache.set(cacheKey, rewrite);
+      return finish(rewrite);
       
     } catch (error) {
-      console.error('❌ Gemini API Error:', error);
-      
-      let errorMessage = 'Failed to rewrite prompt';
-      if (error.message.includes('fetch failed')) {
-        errorMessage = 'Network connection failed - check your internet connection';
-      } else if (error.message.includes('timeout')) {
-        errorMessage = 'Request timed out - please try again';
-      } else if (error.message.includes('API key')) {
-        errorMessage = 'API key is invalid or expired';
+      if (error.name === 'AbortError') {
+        error = new Error(options.signal && options.signal.aborted ? 'Stream aborted by client' : 'Request timeout');
       }
+      console.error(`❌ ${provider.name} streaming error:`, error.message);
       
-      return {
+      const aborted = !!(options.signal && options.signal.aborted);
+      if (!aborted) provider.recordFailure(error);
+      return finish({
         success: false,
-        error: errorMessage,
+        aborted,
+        error: this.describeError(error),
         details: error.message,
-        fallback: this.getMockResponse(originalPrompt, tone, type, startTime)
+        ...(!aborted && { fallback: this.withLanguages(this.getMockResponse(input, tone, type, startTime, provider.name), languages) })
+      });
+    } finally {
+      clearTimeout(timeoutId);
+      if (options.signal) options.signal.removeEventListener('abort', abort);
+    }
+  }
+
+  // One model call with the configured timeout. Returns { text, model, tokens }.
+  async generate(provider, prompt, options) {
+    const timeoutSeconds = Math.round(llmConfig.requestTimeoutMs / 1000);
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error(`Request timeout after ${timeoutSeconds} seconds`)), llmConfig.requestTimeoutMs);
+    });
+    
+    const result = await Promise.race([provider.generate(prompt, options), timeoutPromise]).finally(() => clearTimeout(timeoutId));
+    provider.recordSuccess();
+    
+    return { text: result.text, model: result.model, tokens: usageService.normalize(result.usage, prompt, result.text) };
+  }
+  
+  // Asks for JSON in the type's shape. Output that is almost right is repaired locally;
+  // otherwise the model is shown its errors and asked again, up to the configured retries.
+  // Tokens add up over all attempts. Throws (error.malformedOutput) when nothing matches.
+  async generateStructured(provider, fullPrompt, type, options) {
+    const tokens = { input: 0, output: 0, total: 0, estimated: false };
+    let prompt = fullPrompt;
+    let result;
+    let parsed;
+    
+    for (let attempt = 1; attempt <= structuredConfig.retries + 1; attempt++) {
+      result = await this.generate(provider, prompt, { ...options, json: true });
+      ['input', 'output', 'total'].forEach(key => { tokens[key] += result.tokens[key]; });
+      tokens.estimated = tokens.estimated || result.tokens.estimated;
+      
+      parsed = structuredOutputService.parse(result.text, type);
+      if (parsed.data && parsed.errors.length === 0) {
+        return {
+          text: structuredOutputService.render(type, parsed.data),
+          model: result.model,
+          tokens,
+          structured: { data: parsed.data, attempts: attempt, repaired: parsed.repaired }
+        };
+      }
+      
+      console.warn(`⚠️ Structured output did not match (attempt ${attempt}): ${parsed.errors[0].message}`);
+      prompt = structuredOutputService.repairPrompt(fullPrompt, result.text, parsed.errors);
+    }
+    
+    const error = new Error(`Malformed structured output: ${parsed.errors.map(entry => entry.message).join('; ')}`);
+    error.malformedOutput = true;
+    throw error;
+  }
+
+  // Mock and fallback rewrites get their structure from the text
+  withStructure(result, type, format) {
+    if (format !== 'structured') return result;
+    
+    const structured = structuredOutputService.fromText(type, result.rewrittenPrompt);
+    const rewrittenPrompt = structuredOutputService.render(type, structured);
+    return {
+      ...result,
+      rewrittenPrompt,
+      format: 'structured',
+      structured,
+      metadata: { ...result.metadata, rewrittenLength: rewrittenPrompt.length, structured: { attempts: 0, repaired: false } }
+    };
+  }
+
+  // Applies the deployment's PII policy to everything that would reach the model.
+  // Returns { input, refinement, session, redacted } or, under "reject", { rejected, categories }.
+  protectInput(originalPrompt, refinement) {
+    const policy = redactionService.policy;
+    
+    if (policy === 'reject') {
+      const categories = redactionService.findCategories(
+        originalPrompt,
+        refinement && refinement.previousRewrite,
+        refinement && refinement.instruction
+      );
+      if (categories.length > 0) return { rejected: true, categories };
+    }
+    
+    if (policy !== 'redact') {
+      return { input: originalPrompt, refinement, session: null, redacted: false };
+    }
+    
+    const session = redactionService.createSession();
+    return {
+      input: session.redact(originalPrompt),
+      refinement: refinement && {
+        previousRewrite: session.redact(refinement.previousRewrite),
+        instruction: session.redact(refinement.instruction)
+      },
+      session,
+      redacted: session.size > 0
+    };
+  }
+  
+  rejectInput(guarded) {
+    return {
+      success: false,
+      rejected: true,
+      error: 'Input contains personal data or secrets',
+      details: `Found: ${guarded.categories.join(', ')}. This server does not send such data to the model.`,
+      pii: { policy: 'reject', categories: guarded.categories }
+    };
+  }
+  
+  // Puts redacted values back into the rewrite (and any fallback) and reports
+  // metadata.pii: { policy, categories, unrestored? }
+  restoreOutput(result, guarded) {
+    const { session } = guarded;
+    const restore = (rewrite) => {
+      const pii = { policy: redactionService.policy, categories: session ? session.categories() : {} };
+      if (!guarded.redacted) {
+        return { ...rewrite, metadata: { ...rewrite.metadata, pii } };
+      }
+      
+      const unrestored = session.missingFrom(rewrite.rewrittenPrompt);
+      if (unrestored.length > 0) pii.unrestored = unrestored;
+      return {
+        ...rewrite,
+        rewrittenPrompt: session.restore(rewrite.rewrittenPrompt),
+        ...(rewrite.structured && { structured: redactionService.mapStrings(rewrite.structured, text => session.restore(text)) }),
+        metadata: { ...rewrite.metadata, pii }
       };
+    };
+    
+    if (result.success) return restore(result);
+    return result.fallback ? { ...result, fallback: restore(result.fallback) } : result;
+  }
+
+  // Source language is detected from the input; the target defaults to it
+  resolveLanguages(originalPrompt, language) {
+    const sourceLanguage = languageService.detect(originalPrompt).code;
+    return { sourceLanguage, targetLanguage: language || sourceLanguage };
+  }
+
+  withLanguages(result, languages) {
+    return { ...result, metadata: { ...result.metadata, ...languages } };
+  }
+
+  // The cache key covers the full prompt, so a cached rewrite came from the same instructions.
+  // Cache hits are left out of experiments: their zero cost and time would skew the comparison.
+  withSystemPrompt(result, systemPrompt) {
+    const experiment = result.metadata.cached ? null : systemPrompt.experiment;
+    return {
+      ...result,
+      metadata: {
+        ...result.metadata,
+        systemPromptVersion: systemPrompt.version,
+        experimentId: experiment ? experiment.id : null,
+        experimentVariant: experiment ? experiment.variant : null
+      }
+    };
+  }
+
+  // A cache hit costs nothing and takes no model time
+  fromCache(cached, originalPrompt, startTime) {
+    return {
+      ...cached,
+      metadata: {
+        ...cached.metadata,
+        processingTime: Date.now() - startTime,
+        originalLength: originalPrompt.length,
+        tokens: { input: 0, output: 0, total: 0, estimated: false },
+        cost: usageService.zeroCost(),
+        apiCost: 0,
+        cached: true
+      }
+    };
+  }
+
+  // tokens come from usageService.normalize, covering the full prompt sent to the model
+  buildResult(originalPrompt, rewrittenText, tone, type, startTime, providerName, model, temperature, tokens) {
+    const cost = this.calculateCost(model, tokens);
+    
+    return {
+      success: true,
+      rewrittenPrompt: rewrittenText.trim(),
+      metadata: {
+        processingTime: Date.now() - startTime,
+        provider: providerName,
+        model,
+        ...(temperature !== undefined && { temperature }),
+        tone,
+        type,
+        originalLength: originalPrompt.length,
+        rewrittenLength: rewrittenText.length,
+        tokens,
+        cost,
+        apiCost: cost.total,
+        cached: false
+      }
+    };
+  }
+
+  describeError(error) {
+    if (error.message.includes('fetch failed')) {
+      return 'Network connection failed - check your internet connection';
+    } else if (error.message.includes('timeout')) {
+      return 'Request timed out - please try again';
+    } else if (error.message.includes('API key')) {
+      return 'API key is invalid or expired';
+    } else if (error.message.includes('aborted by client')) {
+      return 'Request cancelled';
+    } else if (error.malformedOutput) {
+      return 'The model did not return valid structured output';
     }
+    return 'Failed to rewrite prompt';
   }
 
-  getMockResponse(originalPrompt, tone, type, startTime) {
+  getMockResponse(originalPrompt, tone, type, startTime, providerName = 'gemini') {
     console.log('🎭 Generating mock response...');
     const processingTime = Date.now() - startTime;
     
@@ -210,33 +495,71 @@ Please rewrite the following text:`;
       rewrittenPrompt: mockRewritten,
       metadata: {
         processingTime,
-        model: 'mock-gemini',
+        provider: 'mock',
+        model: `mock-${providerName}`,
         tone,
         type,
         originalLength: originalPrompt.length,
         rewrittenLength: mockRewritten.length,
+        tokens: usageService.normalize(null, originalPrompt, mockRewritten),
+        cost: usageService.zeroCost(),
         apiCost: 0,
-        note: 'This is a mock response. Please configure a valid GEMINI_API_KEY for actual AI rewriting.'
+        note: 'This is a mock response. Please configure a valid API key for the selected provider for actual AI rewriting.'
       }
     };
   }
 
-  calculateCost(originalText, rewrittenText) {
-    const totalChars = originalText.length + rewrittenText.length;
-    const estimatedCost = (totalChars / 1000) * 0.0005;
-    return parseFloat(estimatedCost.toFixed(6));
+  getMockRefinement(originalPrompt, refinement, tone, type, startTime, providerName = 'gemini') {
+    console.log('🎭 Generating mock refinement...');
+    
+    return {
+      success: true,
+      rewrittenPrompt: refinement.previousRewrite,
+      metadata: {
+        processingTime: Date.now() - startTime,
+        provider: 'mock',
+        model: `mock-${providerName}`,
+        tone,
+        type,
+        originalLength: originalPrompt.length,
+        rewrittenLength: refinement.previousRewrite.length,
+        tokens: usageService.normalize(null, originalPrompt, refinement.previousRewrite),
+        cost: usageService.zeroCost(),
+        apiCost: 0,
+        note: 'This is a mock response; the previous rewrite is returned unchanged. Please configure a valid API key for the selected provider for actual AI refinement.'
+      }
+    };
+  }
+
+  // Priced per input and output token from config/pricing.js
+  calculateCost(model, tokens) {
+    return usageService.costOf(model, tokens);
+  }
+
+  recordUsage(rewrite, userId) {
+    const { provider, model, tokens, cost } = rewrite.metadata;
+    usageService.record({ userId, provider, model, tokens, cost });
   }
 
-  async getModelInfo() {
-    const connectionTest = this.genAI ? await this.testConnection() : { success: false };
+  // userId widens the tone/type lists with that user's private catalog entries.
+  // Availability comes from passively tracked health, so this makes no model calls.
+  async getModelInfo(userId) {
+    const provider = providerRegistry.getDefault();
+    const health = provider.getHealth();
     
     return {
-      model: 'gemini-1.5-flash',
-      available: !!this.genAI && connectionTest.success,
-      connectionStatus: connectionTest.success ? 'connected' : 'disconnected',
-      supportedTones: Object.keys(this.toneInstructions),
-      supportedTypes: Object.keys(this.typeInstructions),
-      lastError: connectionTest.success ? null : connectionTest.error
+      provider: provider.name,
+      model: provider.defaultModel,
+      available: provider.isConfigured() && health.status !== 'down',
+      connectionStatus: health.status,
+      health,
+      providers: providerRegistry.list(),
+      cache: await rewriteCache.getStats(),
+      pricing: usageService.getPriceTable(),
+      supportedTones: await catalogService.listNames('tone', userId),
+      supportedTypes: await catalogService.listNames('type', userId),
+      supportedLanguages: languageService.list(),
+      lastError: health.lastError
     };
   }
 }
@@ -0,0 +1,82 @@
+const languages = require('../config/languages');
+
+// Languages with their own script are recognized by character ranges.
+// Japanese is checked before Chinese because Japanese text mixes kana with Han characters.
+const SCRIPTS = [
+  ['ja', /[぀-ヿ]/g],
+  ['ko', /[가-힯ᄀ-ᇿ]/g],
+  ['zh', /[一-鿿]/g],
+  ['ru', /[Ѐ-ӿ]/g],
+  ['ar', /[؀-ۿ]/g],
+  ['hi', /[ऀ-ॿ]/g]
+];
+
+// Latin-script languages are told apart by their most common short words
+const STOP_WORDS = {
+  en: ['the', 'and', 'is', 'are', 'you', 'to', 'of', 'with', 'for', 'this', 'that', 'have', 'please', 'can', 'need', 'will', 'my'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'sie', 'mit', 'für', 'ein', 'eine', 'bitte', 'auf', 'wir', 'zu', 'es'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'vous', 'je', 'nous', 'pour', 'avec', 'une', 'des', 'pas', 'merci', 'que', 'dans', 'du'],
+  es: ['el', 'los', 'las', 'y', 'es', 'usted', 'yo', 'para', 'con', 'una', 'por', 'que', 'no', 'gracias', 'necesito', 'del', 'muy'],
+  it: ['il', 'gli', 'e', 'è', 'sono', 'per', 'con', 'una', 'che', 'non', 'grazie', 'della', 'ho', 'mi', 'questo', 'di', 'ci'],
+  pt: ['o', 'os', 'as', 'e', 'é', 'você', 'eu', 'para', 'com', 'uma', 'que', 'não', 'obrigado', 'preciso', 'do', 'da', 'em'],
+  nl: ['de', 'het', 'een', 'en', 'is', 'niet', 'ik', 'je', 'met', 'voor', 'van', 'dat', 'wij', 'graag', 'op', 'bedankt', 'zijn'],
+  pl: ['i', 'w', 'nie', 'się', 'jest', 'na', 'że', 'z', 'do', 'to', 'proszę', 'dziękuję', 'jak', 'mam', 'czy', 'dla', 'od'],
+  sv: ['och', 'att', 'det', 'är', 'som', 'en', 'på', 'för', 'med', 'jag', 'inte', 'tack', 'vi', 'har', 'till', 'av', 'den'],
+  tr: ['ve', 'bir', 'bu', 'için', 'ile', 'değil', 'ben', 'sen', 'çok', 'teşekkürler', 'lütfen', 'var', 'da', 'de', 'mi', 'ne', 'gibi']
+};
+
+// Detection and validation of rewrite languages
+class LanguageService {
+  isSupported(code) {
+    return Object.prototype.hasOwnProperty.call(languages, code);
+  }
+
+  // Accepts a code ("de") or an English name ("German"); returns the code or null
+  normalize(value) {
+    if (typeof value !== 'string') return null;
+    const input = value.trim().toLowerCase();
+    if (this.isSupported(input)) return input;
+
+    const match = Object.entries(languages).find(([, name]) => name.toLowerCase() === input);
+    return match ? match[0] : null;
+  }
+
+  nameOf(code) {
+    return languages[code] || null;
+  }
+
+  list() {
+    return Object.entries(languages).map(([code, name]) => ({ code, name }));
+  }
+
+  // Best guess at the language of text: { code, confidence } with confidence 0-1.
+  // code is null when the text gives nothing to go on.
+  detect(text = '') {
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    if (letters === 0) return { code: null, confidence: 0 };
+
+    for (const [code, pattern] of SCRIPTS) {
+      const count = (text.match(pattern) || []).length;
+      // Any kana marks Japanese; other scripts need to make up a real share of the letters
+      if (count > 0 && (code === 'ja' || count / letters >= 0.3)) {
+        return { code, confidence: parseFloat(Math.min(1, count / letters + 0.3).toFixed(2)) };
+      }
+    }
+
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    const scores = Object.entries(STOP_WORDS).map(([code, stopWords]) => ({
+      code,
+      hits: words.filter(word => stopWords.includes(word)).length
+    })).sort((a, b) => b.hits - a.hits);
+
+    const [best, runnerUp] = scores;
+    if (best.hits === 0) return { code: null, confidence: 0 };
+
+    // Confidence grows with the margin over the runner-up and with text length
+    const margin = (best.hits - runnerUp.hits) / best.hits;
+    const coverage = Math.min(1, best.hits / 3);
+    return { code: best.code, confidence: parseFloat((0.5 * margin + 0.5 * coverage).toFixed(2)) };
+  }
+}
+
+module.exports = new LanguageService();
@@ -0,0 +1,93 @@
+const dns = require('dns');
+const net = require('net');
+const webhookConfig = require('../config/webhooks');
+
+// Addresses outbound requests must never reach: this host, private networks and
+// cloud metadata endpoints (169.254.169.254 and fd00:ec2::254 fall in link-local / ULA)
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this network"
+  ['10.0.0.0', 8], // RFC 1918
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // RFC 1918
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // RFC 1918
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4 addresses embedded in IPv6 (::ffff:10.0.0.1, 64:ff9b::a00:1) are checked as IPv4
+const embeddedIpv4 = (address) => {
+  const dotted = /^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) return dotted[1];
+
+  const hex = /^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (!hex) return null;
+  const high = parseInt(hex[1], 16);
+  const low = parseInt(hex[2], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+// Keeps server-side requests to user-supplied URLs (webhooks) on the public internet
+class NetworkGuard {
+  get enabled() {
+    return !webhookConfig.allowPrivateNetworks;
+  }
+
+  isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    if (family === 6) {
+      const ipv4 = embeddedIpv4(address);
+      if (ipv4) return this.isPublicAddress(ipv4);
+    }
+    return !blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  // Resolves the URL's host and returns a message when it is not a public address, else null
+  async checkUrl(url) {
+    if (!this.enabled) return null;
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+      } catch (error) {
+        return `${hostname} could not be resolved`;
+      }
+    }
+
+    const blocked = addresses.find(address => !this.isPublicAddress(address));
+    return blocked ? `${hostname} resolves to a private or reserved address (${blocked})` : null;
+  }
+
+  // dns.lookup replacement for http.request: the connection goes to the address checked
+  // here, so a host that re-resolves to an internal address (DNS rebinding) is refused
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error || !this.enabled) return callback(error, address, family);
+
+      const entries = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = entries.find(entry => !this.isPublicAddress(entry.address));
+      if (blocked) {
+        return callback(new Error(`${hostname} resolves to a private or reserved address (${blocked.address})`));
+      }
+      callback(null, address, family);
+    });
+  }
+}
+
+module.exports = new NetworkGuard();
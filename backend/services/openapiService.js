@@ -0,0 +1,178 @@
+const { routes } = require('../validation/api');
+const { schemas, ref } = require('../validation/components');
+const packageInfo = require('../package.json');
+
+const TAG_DESCRIPTIONS = {
+  Rewrite: 'Rewrite, stream, compare variants and analyze prompts',
+  History: 'Saved rewrites, versions, export and import',
+  Favorites: 'Favorite history items',
+  'Tags and collections': 'Organize history items',
+  'Share links': 'Read-only public links to history items',
+  Statistics: 'Usage statistics',
+  Feedback: 'Ratings of rewrites and the feedback report',
+  'Batch jobs': 'Background rewrites of many prompts',
+  Catalog: 'Built-in and custom tones and types',
+  Templates: 'Reusable prompts with {{variable}} placeholders',
+  Teams: 'Groups that share team templates',
+  Webhooks: 'Event subscriptions and the delivery log',
+  Usage: 'Quota usage',
+  'System prompts': 'Versioned rewrite instructions (administrators)',
+  Experiments: 'A/B tests between system prompt versions (administrators)',
+  Authentication: 'Accounts, tokens and API keys',
+  Meta: 'Server information'
+};
+
+const SECURITY = {
+  required: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+  admin: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+  // The empty requirement marks credentials as optional
+  optional: [{ bearerAuth: [] }, { apiKeyHeader: [] }, {}],
+  none: []
+};
+
+const QUOTA_HEADERS = {
+  'X-Quota-Plan': { schema: { type: 'string' }, description: 'Plan the limits come from' },
+  'X-Quota-Daily-Remaining': { schema: { type: 'integer' }, description: 'Rewrites left today' },
+  'X-Quota-Monthly-Remaining': { schema: { type: 'integer' }, description: 'Rewrites left this month' }
+};
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const errorResponse = (description, schemaName = 'Error') => ({
+  description,
+  content: jsonContent(ref(schemaName))
+});
+
+// "/api/history/:id" -> "/api/history/{id}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Builds an OpenAPI 3.1 document from the route specs declared with validation/api.js
+class OpenApiService {
+  parameters(location, schema) {
+    if (!schema) return [];
+
+    const required = schema.required || [];
+    return Object.entries(schema.properties || {}).map(([name, property]) => ({
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      ...(property.description && { description: property.description }),
+      schema: property
+    }));
+  }
+
+  successResponse(status, { description = 'Success', data, contentType, schema } = {}) {
+    if (contentType) {
+      return { description, content: { [contentType]: { schema } } };
+    }
+
+    return {
+      description,
+      content: jsonContent({
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', const: true },
+          data: data || { type: 'object' },
+          message: { type: 'string' }
+        }
+      })
+    };
+  }
+
+  responses(spec) {
+    const responses = {};
+
+    for (const [status, response] of Object.entries(spec.responses || { 200: {} })) {
+      responses[status] = this.successResponse(status, response);
+    }
+
+    if (spec.params || spec.query || spec.body || spec.checks) {
+      responses[400] = errorResponse('Invalid request', 'ValidationError');
+    }
+    if (spec.auth !== 'none') {
+      responses[401] = errorResponse(spec.auth === 'optional' ? 'Invalid credentials' : 'Missing or invalid credentials');
+    }
+    if (spec.auth === 'admin') {
+      responses[403] = errorResponse('The account is not listed in ADMIN_EMAILS');
+    }
+    for (const [status, description] of Object.entries(spec.errors || {})) {
+      responses[status] = errorResponse(description);
+    }
+    if (spec.quota) {
+      responses[429] = {
+        ...errorResponse('Quota exceeded; see Retry-After'),
+        headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the quota resets' } }
+      };
+      Object.entries(responses)
+        .filter(([status]) => status < 300)
+        .forEach(([, response]) => { response.headers = QUOTA_HEADERS; });
+    }
+
+    return responses;
+  }
+
+  operation(method, path, spec, handler, usedIds) {
+    // Controller method names make readable operation ids for generated clients
+    let operationId = (handler && handler.name) || `${method}${path.replace(/\W+(\w)?/g, (match, letter) => (letter || '').toUpperCase())}`;
+    while (usedIds.has(operationId)) operationId += '_';
+    usedIds.add(operationId);
+
+    return {
+      operationId,
+      summary: spec.summary,
+      ...(spec.description && { description: spec.description }),
+      tags: spec.tags,
+      security: SECURITY[spec.auth],
+      parameters: [
+        ...this.parameters('path', spec.params),
+        ...this.parameters('query', spec.query)
+      ],
+      ...(spec.body && {
+        requestBody: { required: true, content: jsonContent(spec.body) }
+      }),
+      responses: this.responses(spec)
+    };
+  }
+
+  build({ serverUrl } = {}) {
+    const paths = {};
+    const usedIds = new Set();
+    const usedTags = new Set();
+
+    for (const { method, path, spec, handler } of routes) {
+      const openApiPath = toOpenApiPath(path);
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][method] = this.operation(method, openApiPath, spec, handler, usedIds);
+      spec.tags.forEach(tag => usedTags.add(tag));
+    }
+
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: 'PromptMate API',
+        version: packageInfo.version,
+        description: packageInfo.description
+      },
+      ...(serverUrl && { servers: [{ url: serverUrl }] }),
+      tags: [...usedTags].map(name => ({ name, ...(TAG_DESCRIPTIONS[name] && { description: TAG_DESCRIPTIONS[name] }) })),
+      paths,
+      components: {
+        schemas,
+        securitySchemes: {
+          bearerAuth: {
+            type: 'http',
+            scheme: 'bearer',
+            description: 'A login token, or an API key sent as a bearer token'
+          },
+          apiKeyHeader: {
+            type: 'apiKey',
+            in: 'header',
+            name: 'X-API-Key'
+          }
+        }
+      }
+    };
+  }
+}
+
+module.exports = new OpenApiService();
@@ -0,0 +1,74 @@
+// Common interface every LLM provider implements.
+// Subclasses override isConfigured() and generate().
+class BaseProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.defaultModel = config.model;
+    this.health = {
+      lastSuccessAt: null,
+      lastErrorAt: null,
+      lastError: null,
+      consecutiveFailures: 0
+    };
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  // Returns { text, model, usage } for a single prompt. usage is
+  // { inputTokens, outputTokens } as reported by the provider, or null when unknown.
+  // options.json asks for a JSON object when the provider has a native JSON mode.
+  async generate(prompt, options = {}) {
+    throw new Error(`Provider "${this.name}" does not implement generate()`);
+  }
+
+  // Yields text chunks as they arrive. Providers without native streaming
+  // fall back to a single chunk holding the whole completion.
+  // Reported token usage is passed to options.onUsage once the stream ends.
+  async *stream(prompt, options = {}) {
+    const result = await this.generate(prompt, options);
+    if (result.usage && options.onUsage) options.onUsage(result.usage);
+    yield result.text;
+  }
+
+  // Health is tracked passively from real calls instead of probe requests
+  recordSuccess() {
+    this.health.lastSuccessAt = new Date();
+    this.health.consecutiveFailures = 0;
+  }
+
+  recordFailure(error) {
+    this.health.lastErrorAt = new Date();
+    this.health.lastError = error.message;
+    this.health.consecutiveFailures += 1;
+  }
+
+  getHealth() {
+    const { lastSuccessAt, consecutiveFailures } = this.health;
+    let status = 'unknown';
+    if (!this.isConfigured()) {
+      status = 'unconfigured';
+    } else if (consecutiveFailures >= 3) {
+      status = 'down';
+    } else if (consecutiveFailures > 0) {
+      status = 'degraded';
+    } else if (lastSuccessAt) {
+      status = 'healthy';
+    }
+
+    return { status, ...this.health };
+  }
+
+  getInfo() {
+    return {
+      name: this.name,
+      defaultModel: this.defaultModel,
+      configured: this.isConfigured(),
+      health: this.getHealth().status
+    };
+  }
+}
+
+module.exports = BaseProvider;
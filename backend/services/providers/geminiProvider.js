@@ -0,0 +1,90 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseProvider = require('./baseProvider');
+
+// usageMetadata is only present on newer API responses
+const toUsage = (response) => {
+  const usage = response.usageMetadata;
+  if (!usage) return null;
+  return { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 };
+};
+
+class GeminiProvider extends BaseProvider {
+  constructor(config, generation = {}) {
+    super('gemini', config);
+    this.generation = generation;
+    this.models = new Map();
+    this.initializeService();
+  }
+
+  initializeService() {
+    try {
+      if (!this.config.apiKey) {
+        console.warn('⚠️ GEMINI_API_KEY not found in environment variables');
+        this.genAI = null;
+        return;
+      }
+
+      // Validate API key format
+      if (!this.config.apiKey.startsWith('AIza')) {
+        console.warn('⚠️ GEMINI_API_KEY format appears invalid (should start with "AIza")');
+        this.genAI = null;
+        return;
+      }
+
+      console.log('🔑 Initializing Gemini AI with API key');
+      this.genAI = new GoogleGenerativeAI(this.config.apiKey);
+      this.getModel(this.defaultModel);
+      console.log('✅ Gemini model initialized successfully');
+    } catch (error) {
+      console.error('❌ Failed to initialize Gemini service:', error.message);
+      this.genAI = null;
+    }
+  }
+
+  isConfigured() {
+    return !!this.genAI;
+  }
+
+  // One model handle per (model, temperature, JSON mode) combination
+  getModel(modelName, temperature = this.generation.temperature, json = false) {
+    const key = `${modelName}:${temperature}:${json}`;
+    if (!this.models.has(key)) {
+      this.models.set(key, this.genAI.getGenerativeModel({
+        model: modelName,
+        generationConfig: {
+          temperature,
+          topP: this.generation.topP,
+          topK: this.generation.topK,
+          maxOutputTokens: this.generation.maxOutputTokens,
+          ...(json && { responseMimeType: 'application/json' })
+        }
+      }));
+    }
+    return this.models.get(key);
+  }
+
+  async generate(prompt, options = {}) {
+    const modelName = options.model || this.defaultModel;
+    const result = await this.getModel(modelName, options.temperature, options.json).generateContent(prompt);
+    const response = await result.response;
+
+    return { text: response.text(), model: modelName, usage: toUsage(response) };
+  }
+
+  async *stream(prompt, options = {}) {
+    const modelName = options.model || this.defaultModel;
+    const result = await this.getModel(modelName, options.temperature).generateContentStream(prompt);
+
+    for await (const chunk of result.stream) {
+      if (options.signal && options.signal.aborted) return;
+      const text = chunk.text();
+      if (text) yield text;
+    }
+
+    // The aggregated response carries the final usage counts
+    const usage = toUsage(await result.response);
+    if (usage && options.onUsage) options.onUsage(usage);
+  }
+}
+
+module.exports = GeminiProvider;
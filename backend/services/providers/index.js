@@ -0,0 +1,51 @@
+const config = require('../../config/llm');
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const OllamaProvider = require('./ollamaProvider');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.defaultName = config.defaultProvider;
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  getDefault() {
+    return this.get(this.defaultName) || this.get('gemini');
+  }
+
+  names() {
+    return Array.from(this.providers.keys());
+  }
+
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      ...provider.getInfo(),
+      isDefault: provider === this.getDefault()
+    }));
+  }
+}
+
+const registry = new ProviderRegistry();
+
+registry.register(new GeminiProvider(config.providers.gemini, config.generation));
+registry.register(new OpenAIProvider(config.providers.openai, config.generation));
+registry.register(new OllamaProvider(config.providers.ollama, config.generation));
+
+if (!registry.has(config.defaultProvider)) {
+  console.warn(`⚠️ Unknown LLM_PROVIDER "${config.defaultProvider}", falling back to gemini`);
+}
+
+module.exports = registry;
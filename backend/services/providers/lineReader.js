@@ -0,0 +1,19 @@
+// Splits a fetch() response body into text lines as bytes arrive.
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      yield line.replace(/\r$/, '');
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+module.exports = { readLines };
@@ -0,0 +1,80 @@
+const BaseProvider = require('./baseProvider');
+const { readLines } = require('./lineReader');
+
+// Final responses count prompt and completion tokens as prompt_eval_count / eval_count
+const toUsage = (body) => body.eval_count !== undefined
+  ? { inputTokens: body.prompt_eval_count || 0, outputTokens: body.eval_count }
+  : null;
+
+// Local Ollama-style server exposing /api/generate
+class OllamaProvider extends BaseProvider {
+  constructor(config, generation = {}) {
+    super('ollama', config);
+    this.generation = generation;
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  async request(prompt, options, stream) {
+    const model = options.model || this.defaultModel;
+
+    const response = await fetch(`${this.baseUrl}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        prompt,
+        stream,
+        ...(options.json && { format: 'json' }),
+        options: {
+          temperature: options.temperature ?? this.generation.temperature,
+          top_p: this.generation.topP,
+          top_k: this.generation.topK,
+          num_predict: this.generation.maxOutputTokens
+        }
+      }),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(`Ollama API error (${response.status}): ${body.error || response.statusText}`);
+    }
+
+    return response;
+  }
+
+  async generate(prompt, options = {}) {
+    const response = await this.request(prompt, options, false);
+    const body = await response.json();
+
+    return {
+      text: body.response || '',
+      model: body.model || options.model || this.defaultModel,
+      usage: toUsage(body)
+    };
+  }
+
+  // Streaming responses are newline-delimited JSON objects
+  async *stream(prompt, options = {}) {
+    const response = await this.request(prompt, options, true);
+
+    for await (const line of readLines(response.body)) {
+      if (!line.trim()) continue;
+
+      const chunk = JSON.parse(line);
+      if (chunk.error) throw new Error(`Ollama API error: ${chunk.error}`);
+      if (chunk.response) yield chunk.response;
+      if (chunk.done) {
+        const usage = toUsage(chunk);
+        if (usage && options.onUsage) options.onUsage(usage);
+        return;
+      }
+    }
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,81 @@
+const BaseProvider = require('./baseProvider');
+const { readLines } = require('./lineReader');
+
+const toUsage = (usage) => usage
+  ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 }
+  : null;
+
+// Works against any OpenAI-compatible chat completions endpoint
+class OpenAIProvider extends BaseProvider {
+  constructor(config, generation = {}) {
+    super('openai', config);
+    this.generation = generation;
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+  }
+
+  isConfigured() {
+    return !!(this.config.apiKey && this.baseUrl);
+  }
+
+  async request(prompt, options, stream) {
+    const model = options.model || this.defaultModel;
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.config.apiKey}`
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: options.temperature ?? this.generation.temperature,
+        top_p: this.generation.topP,
+        max_tokens: this.generation.maxOutputTokens,
+        stream,
+        ...(options.json && { response_format: { type: 'json_object' } }),
+        // Ask for a final usage chunk when streaming
+        ...(stream && { stream_options: { include_usage: true } })
+      }),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const message = (body.error && body.error.message) || response.statusText;
+      throw new Error(`OpenAI API error (${response.status}): ${message}`);
+    }
+
+    return response;
+  }
+
+  async generate(prompt, options = {}) {
+    const response = await this.request(prompt, options, false);
+    const body = await response.json();
+
+    const choice = body.choices && body.choices[0];
+    return {
+      text: (choice && choice.message && choice.message.content) || '',
+      model: body.model || options.model || this.defaultModel,
+      usage: toUsage(body.usage)
+    };
+  }
+
+  // Chat completions stream as SSE: "data: {json}" lines ending with "data: [DONE]"
+  async *stream(prompt, options = {}) {
+    const response = await this.request(prompt, options, true);
+
+    for await (const line of readLines(response.body)) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      if (chunk.usage && options.onUsage) options.onUsage(toUsage(chunk.usage));
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+      if (delta && delta.content) yield delta.content;
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
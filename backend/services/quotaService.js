@@ -0,0 +1,149 @@
+const plansConfig = require('../config/plans');
+const QuotaCounter = require('../models/QuotaCounter');
+const User = require('../models/User');
+const usageService = require('./usageService');
+
+// Current UTC day and month, with the moment each one resets
+const currentPeriods = (now = new Date()) => {
+  const [year, month, day] = [now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()];
+  const monthStart = new Date(Date.UTC(year, month, 1));
+  
+  return {
+    daily: { key: `day:${now.toISOString().slice(0, 10)}`, resetsAt: new Date(Date.UTC(year, month, day + 1)) },
+    monthly: { key: `month:${now.toISOString().slice(0, 7)}`, resetsAt: new Date(Date.UTC(year, month + 1, 1)), startsAt: monthStart }
+  };
+};
+
+const remainingOf = (limit, used) => limit === null ? null : Math.max(limit - used, 0);
+
+// Per-identity rewrite counts and spend budgets, checked against the caller's plan
+class QuotaService {
+  get enabled() {
+    return plansConfig.enabled;
+  }
+
+  // Signed-in callers are counted per account, anonymous callers per IP
+  identityOf(req) {
+    return req.user
+      ? { key: `user:${req.user.id}`, userId: req.user.id }
+      : { key: `ip:${req.ip}`, userId: null };
+  }
+
+  async planFor(identity) {
+    let name = plansConfig.anonymousPlan;
+    if (identity.userId) {
+      const user = await User.findById(identity.userId).select('plan').lean();
+      name = (user && user.plan) || plansConfig.defaultPlan;
+    }
+    if (!plansConfig.plans[name]) name = plansConfig.defaultPlan;
+    
+    return { name, limits: plansConfig.plans[name] };
+  }
+
+  async getCount(identity, period) {
+    const counter = await QuotaCounter.findOne({ identity: identity.key, period: period.key }).select('count').lean();
+    return counter ? counter.count : 0;
+  }
+
+  // Spend is only tracked for accounts (see usageService)
+  async getMonthlySpend(identity, periods) {
+    if (!identity.userId) return 0;
+    return usageService.getTotalCost({ userId: identity.userId, timestamp: { $gte: periods.monthly.startsAt } });
+  }
+
+  async increment(identity, period, amount) {
+    const update = {
+      $inc: { count: amount },
+      $setOnInsert: { expiresAt: period.resetsAt }
+    };
+    const filter = { identity: identity.key, period: period.key };
+    
+    try {
+      return await QuotaCounter.findOneAndUpdate(filter, update, { upsert: true, new: true }).lean();
+    } catch (error) {
+      // Two first requests of a period can race on the upsert; the loser retries as an update
+      if (error.code !== 11000) throw error;
+      return QuotaCounter.findOneAndUpdate(filter, update, { new: true }).lean();
+    }
+  }
+
+  describe(plan, used, periods) {
+    const { dailyRewrites, monthlyRewrites, monthlyBudget } = plan.limits;
+    
+    return {
+      plan: plan.name,
+      limits: { dailyRewrites, monthlyRewrites, monthlyBudget },
+      used,
+      remaining: {
+        dailyRewrites: remainingOf(dailyRewrites, used.dailyRewrites),
+        monthlyRewrites: remainingOf(monthlyRewrites, used.monthlyRewrites),
+        monthlyBudget: monthlyBudget === null ? null : parseFloat(Math.max(monthlyBudget - used.monthlySpend, 0).toFixed(8))
+      },
+      resets: {
+        daily: periods.daily.resetsAt,
+        monthly: periods.monthly.resetsAt
+      }
+    };
+  }
+
+  // Current usage against the identity's plan, without counting anything
+  async getStatus(identity) {
+    const periods = currentPeriods();
+    const [plan, dailyRewrites, monthlyRewrites, monthlySpend] = await Promise.all([
+      this.planFor(identity),
+      this.getCount(identity, periods.daily),
+      this.getCount(identity, periods.monthly),
+      this.getMonthlySpend(identity, periods)
+    ]);
+    
+    return this.describe(plan, { dailyRewrites, monthlyRewrites, monthlySpend }, periods);
+  }
+
+  // Counts `amount` rewrites against the identity. Returns { allowed, exceeded, status };
+  // when a limit would be exceeded nothing is counted and exceeded names the limit.
+  async reserve(identity, amount = 1) {
+    const periods = currentPeriods();
+    const [plan, monthlySpend] = await Promise.all([
+      this.planFor(identity),
+      this.getMonthlySpend(identity, periods)
+    ]);
+    const { limits } = plan;
+    
+    if (limits.monthlyBudget !== null && monthlySpend >= limits.monthlyBudget) {
+      const status = await this.getStatus(identity);
+      return { allowed: false, exceeded: 'monthlyBudget', status };
+    }
+    
+    const [daily, monthly] = await Promise.all([
+      this.increment(identity, periods.daily, amount),
+      this.increment(identity, periods.monthly, amount)
+    ]);
+    const used = { dailyRewrites: daily.count, monthlyRewrites: monthly.count, monthlySpend };
+    
+    const exceeded = (limits.dailyRewrites !== null && used.dailyRewrites > limits.dailyRewrites && 'dailyRewrites') ||
+      (limits.monthlyRewrites !== null && used.monthlyRewrites > limits.monthlyRewrites && 'monthlyRewrites');
+    if (exceeded) {
+      await Promise.all([
+        this.increment(identity, periods.daily, -amount),
+        this.increment(identity, periods.monthly, -amount)
+      ]);
+      used.dailyRewrites -= amount;
+      used.monthlyRewrites -= amount;
+      return { allowed: false, exceeded, status: this.describe(plan, used, periods) };
+    }
+    
+    return { allowed: true, status: this.describe(plan, used, periods) };
+  }
+
+  // Gives back reserved rewrites that did not run. Counters never go below zero, e.g. when
+  // the day rolled over between reserving and releasing.
+  async release(identity, amount = 1) {
+    const periods = currentPeriods();
+    await Promise.all([periods.daily, periods.monthly].map(period => QuotaCounter.updateOne(
+      { identity: identity.key, period: period.key, count: { $gte: amount } },
+      { $inc: { count: -amount } }
+    )));
+  }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,286 @@
+const privacyConfig = require('../config/privacy');
+
+// Detectors run in priority order; when matches overlap the earlier category wins.
+// Patterns with a capture group redact only that group (e.g. the name after "Dear").
+// Name detection is heuristic: it looks for names after greetings, titles and sign-offs.
+// Capitalized ordinary words ("I am Not sure", "Hi All") are never taken for names.
+const NOT_NAMES = new Set([
+  'a', 'about', 'actually', 'afraid', 'all', 'also', 'always', 'an', 'and', 'at', 'available', 'away', 'back',
+  'busy', 'colleagues', 'currently', 'customer', 'definitely', 'done', 'everyone', 'excited', 'folks', 'for',
+  'friends', 'from', 'glad', 'going', 'guys', 'happy', 'here', 'hiring', 'hoping', 'in', 'interested', 'just',
+  'looking', 'madam', 'manager', 'new', 'no', 'not', 'now', 'on', 'out', 'pleased', 'ready', 'really', 'reaching',
+  'sir', 'so', 'sorry', 'still', 'support', 'sure', 'team', 'thankful', 'that', 'the', 'there', 'this', 'to',
+  'trying', 'unable', 'very', 'with', 'working', 'writing'
+]);
+
+const isName = (value) => !value.split(/\s+/).some(word => NOT_NAMES.has(word.toLowerCase()));
+
+// Lists and ranges of years (1800-2099): "2023 2024 2025", "1999-2004"
+const YEAR_LIST = /^(?:18|19|20)\d{2}(?:[\s,/.-]+(?:18|19|20)\d{2})+$/;
+
+const DETECTORS = [
+  {
+    category: 'secret',
+    patterns: [
+      /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g,
+      /\bsk-[A-Za-z0-9_-]{16,}\b/g,
+      /\bAIza[0-9A-Za-z_-]{35}\b/g,
+      /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,
+      /\bAKIA[0-9A-Z]{16}\b/g,
+      /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g,
+      /\bpm_[A-Za-z0-9_-]{20,}/g,
+      /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+      /\b(?:api[_-]?key|secret|token|password|passwd|pwd)\s*[:=]\s*["']?([^\s"']{6,})/gid
+    ]
+  },
+  {
+    category: 'email',
+    patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g]
+  },
+  {
+    category: 'iban',
+    patterns: [/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g],
+    verify: value => isValidIban(value)
+  },
+  {
+    category: 'card',
+    patterns: [/\b\d(?:[ -]?\d){12,18}\b/g],
+    verify: value => passesLuhn(value)
+  },
+  {
+    category: 'ip',
+    patterns: [/\b(?:25[0-5]|2[0-4]\d|1?\d?\d)(?:\.(?:25[0-5]|2[0-4]\d|1?\d?\d)){3}\b/g]
+  },
+  {
+    category: 'phone',
+    patterns: [/(?<![\w+])\+?\(?\d[\d\s().-]{5,}\d(?!\w)/g],
+    // Needs 7-15 digits and either a "+", separators or at least 10 digits, so plain
+    // order numbers, dates and lists of years stay untouched
+    verify: value => {
+      const digits = value.replace(/\D/g, '');
+      if (digits.length < 7 || digits.length > 15) return false;
+      if (/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$|^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/.test(value.trim())) return false;
+      if (YEAR_LIST.test(value.trim())) return false;
+      return value.startsWith('+') || /[\s().-]/.test(value) || digits.length >= 10;
+    }
+  },
+  {
+    category: 'address',
+    patterns: [
+      /\b\d{1,5}\s+(?:[A-Z][a-z]+\s){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace)\b/g,
+      /\b[A-ZÄÖÜ][a-zäöüß]+(?:straße|strasse|weg|gasse|platz|allee|ring)\s+\d{1,4}[a-z]?\b/g
+    ]
+  },
+  {
+    category: 'name',
+    patterns: [
+      /\b(?:Mr|Mrs|Ms|Miss|Dr|Prof|Herr|Frau)\.?\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/gd,
+      /\b(?:Dear|Hi|Hello|Hey)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/gd,
+      /\b(?:[Mm]y name is)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/gd,
+      // "I am" is followed by far more adjectives than names, so only full names count
+      /\b(?:I am|I'm)\s+([A-Z][a-z]+\s+[A-Z][a-z]+)\b/gd,
+      /\b(?:Regards|Best|Sincerely|Thanks|Thank you|Cheers|Yours)\b[^\n]*\n\s*([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)\s*$/gdm
+    ],
+    verify: isName
+  }
+];
+
+const PLACEHOLDER_PATTERN = /\[([A-Z]+)_(\d+)\]/g;
+
+function isValidIban(value) {
+  const iban = value.replace(/\s/g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const digits = rearranged.replace(/[A-Z]/g, letter => (letter.charCodeAt(0) - 55).toString());
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Placeholders for one request (or one stored item). The same value always maps to
+// the same placeholder, so "[EMAIL_1]" in the original and the rewrite mean the same thing.
+class RedactionSession {
+  constructor(service) {
+    this.service = service;
+    this.byValue = new Map();
+    this.byPlaceholder = new Map();
+    this.counters = {};
+  }
+
+  placeholderFor(category, value) {
+    const key = `${category}:${value}`;
+    if (!this.byValue.has(key)) {
+      this.counters[category] = (this.counters[category] || 0) + 1;
+      const placeholder = `[${category.toUpperCase()}_${this.counters[category]}]`;
+      this.byValue.set(key, placeholder);
+      this.byPlaceholder.set(placeholder, value);
+    }
+    return this.byValue.get(key);
+  }
+
+  redact(text) {
+    if (!text) return text;
+
+    let result = '';
+    let cursor = 0;
+    for (const match of this.service.detect(text)) {
+      result += text.slice(cursor, match.start) + this.placeholderFor(match.category, match.value);
+      cursor = match.end;
+    }
+    return result + text.slice(cursor);
+  }
+
+  restore(text) {
+    if (!text || this.byPlaceholder.size === 0) return text;
+    return text.replace(PLACEHOLDER_PATTERN, placeholder =>
+      this.byPlaceholder.has(placeholder) ? this.byPlaceholder.get(placeholder) : placeholder);
+  }
+
+  // Restores placeholders in streamed chunks. A chunk ending inside a possible
+  // placeholder ("... [EMA") is held back until the rest arrives.
+  createStreamRestorer(onText) {
+    let pending = '';
+
+    return {
+      write: (chunk) => {
+        pending += chunk;
+        const open = pending.lastIndexOf('[');
+        const holdFrom = open !== -1 && !pending.includes(']', open) && pending.length - open <= 24 ? open : pending.length;
+        const ready = pending.slice(0, holdFrom);
+        pending = pending.slice(holdFrom);
+        if (ready) onText(this.restore(ready));
+      },
+      end: () => {
+        if (pending) onText(this.restore(pending));
+        pending = '';
+      }
+    };
+  }
+
+  get size() {
+    return this.byPlaceholder.size;
+  }
+
+  // { email: 2, phone: 1 } - number of distinct values per category
+  categories() {
+    return { ...this.counters };
+  }
+
+  // Placeholders the model dropped or mangled, so their values could not be put back
+  missingFrom(text) {
+    return [...this.byPlaceholder.keys()].filter(placeholder => !text.includes(placeholder));
+  }
+}
+
+// Finds personal data and secrets in text and applies the deployment's PII policy
+class RedactionService {
+  get policy() {
+    return privacyConfig.piiPolicy;
+  }
+
+  // Non-overlapping [{ category, start, end, value }] sorted by position
+  detect(text) {
+    const candidates = [];
+
+    DETECTORS.forEach((detector, priority) => {
+      for (const pattern of detector.patterns) {
+        for (const match of text.matchAll(pattern)) {
+          const [start, end] = match.indices && match.indices[1]
+            ? match.indices[1]
+            : [match.index, match.index + match[0].length];
+          const value = text.slice(start, end);
+          if (detector.verify && !detector.verify(value)) continue;
+          candidates.push({ category: detector.category, start, end, value, priority });
+        }
+      }
+    });
+
+    const accepted = [];
+    candidates
+      .sort((a, b) => a.priority - b.priority || a.start - b.start)
+      .forEach(candidate => {
+        const overlaps = accepted.some(other => candidate.start < other.end && other.start < candidate.end);
+        if (!overlaps) accepted.push(candidate);
+      });
+
+    return accepted
+      .sort((a, b) => a.start - b.start)
+      .map(({ category, start, end, value }) => ({ category, start, end, value }));
+  }
+
+  // Distinct categories present in any of the texts
+  findCategories(...texts) {
+    const categories = new Set();
+    for (const text of texts) {
+      if (!text) continue;
+      this.detect(text).forEach(match => categories.add(match.category));
+    }
+    return [...categories];
+  }
+
+  createSession() {
+    return new RedactionSession(this);
+  }
+
+  // Applies fn to every string inside a value, e.g. a structured rewrite
+  mapStrings(value, fn) {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(item => this.mapStrings(item, fn));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.mapStrings(item, fn)]));
+    }
+    return value;
+  }
+
+  // Applies the policy to texts that leave the server and are kept elsewhere, such as
+  // webhook payloads in the delivery log. Under "redact" and "reject" every string is
+  // replaced with placeholders (one session, so values match across fields).
+  redactValues(values) {
+    if (this.policy === 'off') return values;
+
+    const session = this.createSession();
+    return this.mapStrings(values, text => session.redact(text));
+  }
+
+  // Applies the policy to text a document is about to store (used from pre('validate')
+  // hooks). One session covers all paths, so the same value gets the same placeholder.
+  // Paths may hold plain objects; every string inside them is covered.
+  applyToDocument(doc, paths) {
+    if (this.policy === 'off') return;
+
+    const changed = paths.filter(path => doc.isModified(path) && doc.get(path));
+    if (changed.length === 0) return;
+
+    if (this.policy === 'reject') {
+      const texts = [];
+      changed.forEach(path => this.mapStrings(doc.get(path), text => texts.push(text)));
+      const categories = this.findCategories(...texts);
+      if (categories.length > 0) {
+        doc.invalidate(changed[0], `Text contains personal data or secrets (${categories.join(', ')})`);
+      }
+      return;
+    }
+
+    const session = this.createSession();
+    changed.forEach(path => doc.set(path, this.mapStrings(doc.get(path), text => session.redact(text))));
+  }
+}
+
+module.exports = new RedactionService();
@@ -0,0 +1,87 @@
+// Helpers for history full-text search. Matching and ranking are done by the
+// MongoDB text index; this only parses the query the same way MongoDB does
+// ("exact phrase", -excluded, plain terms) to build highlighted snippets.
+const SNIPPET_CONTEXT = 60;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class SearchService {
+  parseQuery(search) {
+    const parsed = { terms: [], phrases: [], excluded: [] };
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(search)) !== null) {
+      if (match[2] !== undefined) {
+        (match[1] ? parsed.excluded : parsed.phrases).push(match[2].trim());
+      } else if (match[3]) {
+        parsed.excluded.push(match[4]);
+      } else {
+        parsed.terms.push(match[4]);
+      }
+    }
+
+    return parsed;
+  }
+
+  // Word-prefix matches so "meeting" also lights up "meetings", roughly like the index's stemming
+  findMatches(text, parsed) {
+    const patterns = [
+      ...parsed.phrases.map(phrase => escapeRegex(phrase).replace(/\s+/g, '\\s+')),
+      ...parsed.terms.map(term => `\\b${escapeRegex(term)}\\w*`)
+    ].filter(Boolean);
+
+    if (!patterns.length) return [];
+
+    const regex = new RegExp(patterns.join('|'), 'gi');
+    const matches = [];
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+    return matches;
+  }
+
+  // Returns { snippet, matches: [{ start, end }] } with offsets relative to the snippet, or null
+  highlight(text, parsed) {
+    if (!text) return null;
+
+    const matches = this.findMatches(text, parsed);
+    if (!matches.length) return null;
+
+    let start = Math.max(0, matches[0].start - SNIPPET_CONTEXT);
+    let end = Math.min(text.length, matches[0].end + SNIPPET_CONTEXT);
+
+    // Snap to word boundaries
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < matches[0].start) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > matches[0].end) end = space;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    return {
+      snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+      matches: matches
+        .filter(match => match.start >= start && match.end <= end)
+        .map(match => ({ start: match.start - start + prefix.length, end: match.end - start + prefix.length }))
+    };
+  }
+
+  highlightItem(item, parsed) {
+    return ['originalPrompt', 'rewrittenPrompt']
+      .map(field => ({ field, ...this.highlight(item[field], parsed) }))
+      .filter(highlight => highlight.snippet);
+  }
+}
+
+module.exports = new SearchService();
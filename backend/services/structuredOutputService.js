@@ -0,0 +1,192 @@
+const structuredConfig = require('../config/structuredOutput');
+const SchemaValidator = require('../validation/schema');
+const { schemas } = require('../validation/components');
+
+const validator = new SchemaValidator(schemas);
+
+// Models like to wrap JSON in code fences or add a sentence around it
+const extractJson = (text) => {
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  return start === -1 || end < start ? null : unfenced.slice(start, end + 1);
+};
+
+// Common near-misses: smart quotes and trailing commas
+const repairJson = (json) => json
+  .replace(/[“”]/g, '"')
+  .replace(/,\s*([}\]])/g, '$1');
+
+const splitLines = (text) => text
+  .split(/\n+/)
+  .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+  .filter(Boolean);
+
+const sentencesOf = (text) => (text.match(/[^.!?]+[.!?]*/g) || [text]).map(sentence => sentence.trim()).filter(Boolean);
+
+const truncateWords = (text, words) => {
+  const parts = text.split(/\s+/);
+  return parts.length > words ? `${parts.slice(0, words).join(' ')}...` : text;
+};
+
+// Parses, repairs and validates structured rewrites and renders them back to plain text
+class StructuredOutputService {
+  shapeName(type) {
+    return structuredConfig.shapes[type] ? type : structuredConfig.defaultShape;
+  }
+
+  shapeFor(type) {
+    return structuredConfig.shapes[this.shapeName(type)];
+  }
+
+  // Appended to the rewrite prompt when format is "structured"
+  instructions(type) {
+    return `Output format:
+Return only a JSON object, without code fences or any other text, with exactly this shape:
+${JSON.stringify(this.shapeFor(type).example, null, 2)}
+Keep the keys exactly as shown. Every string must be non-empty; use \\n for line breaks inside strings.`;
+  }
+
+  // Follow-up prompt asking the model to fix its own output
+  repairPrompt(fullPrompt, output, errors) {
+    return `${fullPrompt}
+
+Your previous answer did not match the required JSON format:
+${errors.map(error => `- ${error.message}`).join('\n')}
+
+Previous answer:
+${output}
+
+Return only the corrected JSON object.`;
+  }
+
+  // Returns { data, errors, repaired }. data is null when the text holds no usable JSON;
+  // repaired is true when the JSON or its shape had to be fixed locally.
+  parse(text, type) {
+    const json = extractJson(text || '');
+    if (!json) {
+      return { data: null, errors: [{ path: '', message: 'output does not contain a JSON object' }], repaired: false };
+    }
+
+    let data;
+    let repaired = false;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      try {
+        data = JSON.parse(repairJson(json));
+        repaired = true;
+      } catch (repairError) {
+        return { data: null, errors: [{ path: '', message: `output is not valid JSON (${error.message})` }], repaired: false };
+      }
+    }
+
+    const coerced = this.coerce(this.schemaFor(type), data);
+    repaired = repaired || coerced.changed;
+
+    return { data: coerced.value, errors: this.validate(type, coerced.value), repaired };
+  }
+
+  schemaFor(type) {
+    return validator.resolve({ $ref: `#/components/schemas/${this.shapeFor(type).schema}` });
+  }
+
+  // [{ path, message }] for data that does not match the type's shape
+  validate(type, data) {
+    return validator.validate(this.schemaFor(type), data, { path: 'structured' });
+  }
+
+  // Fits almost-right values to the schema: a string where a list is expected becomes
+  // one entry per line, a list where a string is expected is joined, strings are
+  // trimmed and unknown keys are dropped. Anything else is left for validation to report.
+  coerce(schema, value) {
+    let changed = false;
+    const fit = (node, input) => {
+      const resolved = validator.resolve(node);
+      const types = [].concat(resolved.type || []);
+
+      if (types.includes('array') && typeof input === 'string') {
+        changed = true;
+        return splitLines(input).map(item => fit(resolved.items || {}, item));
+      }
+      if (types.includes('array') && Array.isArray(input)) {
+        return input.map(item => fit(resolved.items || {}, item));
+      }
+      if (types.includes('string') && Array.isArray(input) && input.every(item => typeof item === 'string')) {
+        changed = true;
+        return input.join('\n\n').trim();
+      }
+      if (typeof input === 'string') {
+        if (input !== input.trim()) changed = true;
+        return input.trim();
+      }
+      if (types.includes('object') && input && typeof input === 'object' && !Array.isArray(input)) {
+        const properties = resolved.properties || {};
+        const output = {};
+        for (const [key, item] of Object.entries(input)) {
+          if (!properties[key]) {
+            changed = true;
+            continue;
+          }
+          output[key] = fit(properties[key], item);
+        }
+        return output;
+      }
+      return input;
+    };
+
+    return { value: fit(schema, value), changed };
+  }
+
+  // Plain-text version stored as rewrittenPrompt, so search, diff and analysis keep working
+  render(type, data) {
+    switch (this.shapeName(type)) {
+      case 'email':
+        return [`Subject: ${data.subjectOptions[0]}`, data.greeting, data.body, data.signOff].join('\n\n');
+      case 'report':
+        return [
+          data.title,
+          data.summary,
+          ...data.sections.map(section => `${section.heading}\n${section.content}`)
+        ].filter(Boolean).join('\n\n');
+      case 'summary':
+        return [data.title, data.bullets.map(bullet => `- ${bullet}`).join('\n')].filter(Boolean).join('\n\n');
+      default:
+        return [data.title, ...data.paragraphs].filter(Boolean).join('\n\n');
+    }
+  }
+
+  // Best-effort structure for text that was not produced as JSON (mock responses)
+  fromText(type, text) {
+    const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+
+    switch (this.shapeName(type)) {
+      case 'email': {
+        const subjectIndex = paragraphs.findIndex(paragraph => /^subject:/i.test(paragraph));
+        const subject = subjectIndex === -1 ? null : paragraphs.splice(subjectIndex, 1)[0].replace(/^subject:\s*/i, '');
+        const greeting = paragraphs.length > 1 && /^(dear|hi|hello|hey)\b/i.test(paragraphs[0]) ? paragraphs.shift() : 'Hello,';
+        const signOff = paragraphs.length > 1 && /^(best|kind|warm)?\s*regards|^(thanks|thank you|sincerely|cheers)\b/i.test(paragraphs[paragraphs.length - 1])
+          ? paragraphs.pop()
+          : 'Best regards';
+        const body = paragraphs.join('\n\n') || text.trim();
+        return {
+          subjectOptions: [subject || truncateWords(sentencesOf(body)[0], 8)],
+          greeting,
+          body,
+          signOff
+        };
+      }
+      case 'report':
+        return {
+          title: truncateWords(sentencesOf(text)[0], 8),
+          sections: [{ heading: 'Overview', content: text.trim() }]
+        };
+      case 'summary':
+        return { bullets: sentencesOf(text) };
+      default:
+        return { paragraphs: paragraphs.length > 0 ? paragraphs : [text.trim()] };
+    }
+  }
+}
+
+module.exports = new StructuredOutputService();
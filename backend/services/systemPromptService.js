@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const SystemPrompt = require('../models/SystemPrompt');
+const Experiment = require('../models/Experiment');
+const systemPromptConfig = require('../config/systemPrompts');
+const templateService = require('./templateService');
+
+const BUILT_IN = {
+  version: systemPromptConfig.builtInVersion,
+  template: systemPromptConfig.builtInTemplate,
+  builtIn: true
+};
+
+// Same user, same experiment -> same point in [0, 1)
+const hashFraction = (key) => parseInt(crypto.createHash('sha256').update(key).digest('hex').slice(0, 8), 16) / 0x100000000;
+
+// Picks the rewrite instructions for each request: the built-in template, the active
+// stored version, or - while an experiment runs - one of the experiment's variants.
+// The active version and running experiment are cached for config.cacheTtlMs.
+class SystemPromptService {
+  constructor() {
+    this.state = null;
+    this.loadedAt = 0;
+  }
+
+  // Call after activating a version or starting/stopping an experiment
+  invalidate() {
+    this.state = null;
+  }
+
+  // Problems with a template's placeholders; empty when it can be used
+  validateTemplate(template) {
+    const variables = templateService.extractVariables(template);
+    const problems = systemPromptConfig.requiredVariables
+      .filter(name => !variables.includes(name))
+      .map(name => `template must contain {{${name}}}`);
+    const unknown = variables.filter(name => !systemPromptConfig.allowedVariables.includes(name));
+    if (unknown.length > 0) {
+      problems.push(`unknown placeholders: ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+    }
+    return problems;
+  }
+
+  // { version, template, builtIn } for "builtin-2" or "v3"; null when unknown
+  async getVersion(versionId) {
+    if (versionId === BUILT_IN.version) return BUILT_IN;
+
+    const version = SystemPrompt.parseVersionId(versionId);
+    if (!version) return null;
+    const stored = await SystemPrompt.findOne({ version }).lean();
+    return stored ? { version: versionId, template: stored.template, builtIn: false } : null;
+  }
+
+  async load() {
+    if (this.state && Date.now() - this.loadedAt < systemPromptConfig.cacheTtlMs) return this.state;
+
+    const [active, experiment] = await Promise.all([
+      SystemPrompt.findOne({ active: true }).lean(),
+      Experiment.findOne({ status: 'running' }).lean()
+    ]);
+
+    const templates = new Map();
+    if (experiment) {
+      for (const variant of experiment.variants) {
+        const resolved = await this.getVersion(variant.version);
+        if (resolved) templates.set(variant.version, resolved.template);
+      }
+    }
+
+    this.state = {
+      current: active ? { version: `v${active.version}`, template: active.template, builtIn: false } : BUILT_IN,
+      experiment,
+      templates
+    };
+    this.loadedAt = Date.now();
+    return this.state;
+  }
+
+  // By user when possible, so one person sees consistent output; otherwise at random
+  assignVariant(experiment, userId) {
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const fraction = experiment.assignment === 'user' && userId
+      ? hashFraction(`${experiment._id}:${userId}`)
+      : Math.random();
+
+    let point = fraction * totalWeight;
+    for (const variant of experiment.variants) {
+      point -= variant.weight;
+      if (point < 0) return variant;
+    }
+    return experiment.variants[experiment.variants.length - 1];
+  }
+
+  // Returns { version, template, experiment? } where experiment is { id, variant }.
+  // Falls back to the built-in template when the database cannot be read.
+  async resolve(userId) {
+    let state;
+    try {
+      state = await this.load();
+    } catch (error) {
+      console.warn('⚠️ Failed to load system prompts, using the built-in one:', error.message);
+      return BUILT_IN;
+    }
+
+    if (!state.experiment) return state.current;
+
+    const variant = this.assignVariant(state.experiment, userId);
+    const template = state.templates.get(variant.version);
+    if (!template) return state.current;
+
+    return {
+      version: variant.version,
+      template,
+      builtIn: variant.version === BUILT_IN.version,
+      experiment: { id: state.experiment._id, variant: variant.name }
+    };
+  }
+
+  // values: { tone, type, language } - already expanded into instruction text.
+  // Templates without {{language}} still get the language line, after the rest.
+  render(template, values) {
+    const text = template.replace(/\{\{\s*(tone|type|language)\s*\}\}/g, (match, name) => values[name] || '');
+    return values.language && !templateService.extractVariables(template).includes('language')
+      ? `${text}${values.language}`
+      : text;
+  }
+
+  get builtIn() {
+    return BUILT_IN;
+  }
+}
+
+module.exports = new SystemPromptService();
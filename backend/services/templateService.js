@@ -0,0 +1,64 @@
+// Template placeholders: {{name}}, optionally with spaces inside the braces.
+// Names start with a letter and may contain letters, digits, "_", "-" and ".".
+const PLACEHOLDER = /\{\{\s*([A-Za-z][\w.-]*)\s*\}\}/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Fills templates and turns literal text into placeholders
+class TemplateService {
+  // Distinct placeholder names in order of first use
+  extractVariables(body) {
+    return [...new Set([...body.matchAll(PLACEHOLDER)].map(match => match[1]))];
+  }
+
+  // Substitutes values (falling back to each variable's default).
+  // Returns { text, missing, unused }: missing lists variables without a value,
+  // unused lists given values the template has no placeholder for.
+  fill(body, variables, values = {}) {
+    const known = new Map(variables.map(variable => [variable.name, variable]));
+    const resolved = {};
+    const missing = [];
+
+    for (const variable of variables) {
+      const value = values[variable.name] !== undefined ? values[variable.name] : variable.defaultValue;
+      if (value === null || value === undefined || String(value).trim() === '') {
+        missing.push(variable.name);
+      } else {
+        resolved[variable.name] = String(value);
+      }
+    }
+
+    return {
+      text: missing.length > 0 ? null : body.replace(PLACEHOLDER, (match, name) => resolved[name]),
+      missing,
+      unused: Object.keys(values).filter(name => !known.has(name))
+    };
+  }
+
+  // Replaces each literal value in text with its {{name}} placeholder, longest values
+  // first so "Sam Lee" wins over "Sam". Returns the text and the names actually used.
+  templatize(text, placeholders = {}) {
+    const used = [];
+    let body = text;
+
+    Object.entries(placeholders)
+      .filter(([, value]) => value.trim() !== '')
+      .sort(([, a], [, b]) => b.length - a.length)
+      .forEach(([name, value]) => {
+        const pattern = new RegExp(escapeRegExp(value.trim()), 'g');
+        let found = false;
+        // Placeholders inserted for earlier values are left alone
+        body = body.split(/(\{\{[^}]*\}\})/).map(part => (part.startsWith('{{')
+          ? part
+          : part.replace(pattern, () => {
+            found = true;
+            return `{{${name}}}`;
+          }))).join('');
+        if (found) used.push(name);
+      });
+
+    return { body, used };
+  }
+}
+
+module.exports = new TemplateService();
@@ -0,0 +1,85 @@
+const pricing = require('../config/pricing');
+const UsageRecord = require('../models/UsageRecord');
+
+// Rough token estimate for providers that report no usage (about four characters per token)
+const CHARS_PER_TOKEN = 4;
+
+const round = (value) => parseFloat(value.toFixed(8));
+
+// Token counting, pricing and spend recording for model calls
+class UsageService {
+  estimateTokens(text) {
+    return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+  }
+
+  // Providers report { inputTokens, outputTokens } when they can; otherwise both
+  // sides are estimated from the full prompt (system prompt included) and the completion.
+  normalize(usage, promptText, completionText) {
+    const reported = usage && Number.isFinite(usage.inputTokens) && Number.isFinite(usage.outputTokens);
+    const input = reported ? usage.inputTokens : this.estimateTokens(promptText);
+    const output = reported ? usage.outputTokens : this.estimateTokens(completionText);
+
+    return { input, output, total: input + output, estimated: !reported };
+  }
+
+  // Longest matching prefix wins so dated releases and tags ("llama3:8b") share their family's price
+  priceFor(model = '') {
+    const match = Object.keys(pricing.models)
+      .filter(name => model === name || model.startsWith(`${name}-`) || model.startsWith(`${name}:`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match
+      ? { ...pricing.models[match], priced: true }
+      : { ...pricing.fallback, priced: false };
+  }
+
+  // Per-request cost breakdown for normalized token counts
+  costOf(model, tokens) {
+    const price = this.priceFor(model);
+    const input = round(tokens.input * price.input / pricing.perTokens);
+    const output = round(tokens.output * price.output / pricing.perTokens);
+
+    return { input, output, total: round(input + output), currency: pricing.currency, priced: price.priced };
+  }
+
+  // Cache hits and mock responses make no model call
+  zeroCost() {
+    return { input: 0, output: 0, total: 0, currency: pricing.currency, priced: true };
+  }
+
+  // Recording never blocks or fails a rewrite
+  record({ userId, provider, model, tokens, cost }) {
+    UsageRecord.create({
+      userId: userId || null,
+      provider,
+      model,
+      inputTokens: tokens.input,
+      outputTokens: tokens.output,
+      estimated: tokens.estimated,
+      cost: { input: cost.input, output: cost.output, total: cost.total }
+    }).catch(error => console.warn('⚠️ Failed to record usage:', error.message));
+  }
+
+  getSpend(match = {}) {
+    return UsageRecord.getSpend(match);
+  }
+
+  async getTotalCost(match = {}) {
+    const [result] = await UsageRecord.aggregate([
+      { $match: match },
+      { $group: { _id: null, cost: { $sum: '$cost.total' } } }
+    ]);
+    return result ? result.cost : 0;
+  }
+
+  getPriceTable() {
+    return {
+      currency: pricing.currency,
+      perTokens: pricing.perTokens,
+      models: pricing.models,
+      fallback: pricing.fallback
+    };
+  }
+}
+
+module.exports = new UsageService();
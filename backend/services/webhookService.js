@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookConfig = require('../config/webhooks');
+const networkGuard = require('./networkGuard');
+
+// POSTs body to url and resolves with the response status; the response body is
+// discarded. The host is checked again here, against the address actually connected to.
+const post = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  // IP literals skip the lookup below
+  if (net.isIP(hostname) && networkGuard.enabled && !networkGuard.isPublicAddress(hostname)) {
+    return reject(new Error(`${hostname} is a private or reserved address`));
+  }
+
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: (...args) => networkGuard.lookup(...args)
+  }, (response) => {
+    clearTimeout(timeoutId);
+    response.resume();
+    resolve(response.statusCode);
+  });
+
+  const timeoutId = setTimeout(() => {
+    request.destroy(Object.assign(new Error('Request timed out'), { name: 'TimeoutError' }));
+  }, webhookConfig.timeoutMs);
+
+  request.on('error', (error) => {
+    clearTimeout(timeoutId);
+    reject(error);
+  });
+  request.end(body);
+});
+
+// Sends events to subscribed endpoints. Every delivery is logged in MongoDB before
+// it is attempted; failed attempts are retried with exponential backoff and pending
+// deliveries are picked up again after a restart. At most webhookConfig.concurrency
+// requests are in flight.
+class WebhookService {
+  constructor() {
+    this.queue = [];
+    this.active = 0;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  // "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+  sign(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  // Webhook view of a history item
+  historyEventData(item) {
+    return {
+      id: item._id,
+      originalPrompt: item.originalPrompt,
+      rewrittenPrompt: item.rewrittenPrompt,
+      tone: item.tone,
+      type: item.type,
+      isFavorite: item.isFavorite,
+      tags: item.tags,
+      version: item.version,
+      sourceLanguage: item.sourceLanguage,
+      targetLanguage: item.targetLanguage,
+      timestamp: item.timestamp
+    };
+  }
+
+  retryDelay(attempts) {
+    return Math.min(webhookConfig.baseDelayMs * 2 ** (attempts - 1), webhookConfig.maxDelayMs);
+  }
+
+  // Queues a delivery for every matching subscription. actor is { userId, apiKeyId }.
+  // Fire-and-forget: failures are logged and never affect the request that emitted the event.
+  emit(event, actor, data) {
+    if (!actor || !actor.userId) return;
+
+    this.createDeliveries(event, actor, data).catch((error) => {
+      console.warn(`Failed to queue ${event} webhooks:`, error.message);
+    });
+  }
+
+  async createDeliveries(event, { userId, apiKeyId }, data) {
+    const subscriptions = await WebhookSubscription.find({
+      userId,
+      active: true,
+      events: event,
+      apiKeyId: { $in: apiKeyId ? [null, apiKeyId] : [null] }
+    }).select('_id').lean();
+
+    if (subscriptions.length === 0) return;
+
+    const eventId = `evt_${crypto.randomUUID()}`;
+    const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+
+    const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+      subscriptionId: subscription._id,
+      userId,
+      event,
+      eventId,
+      payload
+    })));
+
+    deliveries.forEach(delivery => this.enqueue(delivery._id));
+  }
+
+  // Sends an earlier delivery's payload again as a new delivery
+  async replay(deliveryId, userId) {
+    const original = await WebhookDelivery.findOne({ _id: deliveryId, userId }).lean();
+    if (!original) return null;
+
+    const delivery = await WebhookDelivery.create({
+      subscriptionId: original.subscriptionId,
+      userId,
+      event: original.event,
+      eventId: original.eventId,
+      payload: original.payload,
+      replayOf: original._id
+    });
+
+    this.enqueue(delivery._id);
+    return delivery;
+  }
+
+  // Re-schedule deliveries that were waiting or in flight when the server stopped
+  async resumePending() {
+    const deliveries = await WebhookDelivery.find({ status: 'pending' })
+      .select('_id nextAttemptAt')
+      .lean();
+
+    if (deliveries.length > 0) {
+      console.log(`🪝 Resuming ${deliveries.length} webhook deliver${deliveries.length === 1 ? 'y' : 'ies'}`);
+    }
+    deliveries.forEach(delivery => this.schedule(delivery._id, delivery.nextAttemptAt));
+  }
+
+  schedule(deliveryId, at) {
+    const delay = Math.max(0, new Date(at).getTime() - Date.now());
+    if (delay === 0) return this.enqueue(deliveryId);
+
+    // Timers must not keep the process alive on shutdown
+    setTimeout(() => this.enqueue(deliveryId), delay).unref();
+  }
+
+  enqueue(deliveryId) {
+    this.queue.push(deliveryId.toString());
+    this.pump();
+  }
+
+  pump() {
+    while (this.active < webhookConfig.concurrency && this.queue.length > 0) {
+      const deliveryId = this.queue.shift();
+      this.active++;
+      this.attempt(deliveryId)
+        .catch((error) => {
+          console.error(`❌ Webhook delivery ${deliveryId} crashed:`, error.message);
+        })
+        .finally(() => {
+          this.active--;
+          this.pump();
+        });
+    }
+  }
+
+  async attempt(deliveryId) {
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, status: 'pending' });
+    if (!delivery) return;
+
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+    if (!subscription || !subscription.active) {
+      delivery.status = 'failed';
+      delivery.error = 'Subscription was deleted or disabled';
+      delivery.completedAt = new Date();
+      await delivery.save();
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date();
+
+    try {
+      // Redirects are not followed; a 3xx counts as a failed attempt
+      const status = await post(subscription.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PromptMate-Webhooks/1.0',
+        'X-PromptMate-Event': delivery.event,
+        'X-PromptMate-Delivery': delivery._id.toString(),
+        [webhookConfig.signatureHeader]: this.sign(subscription.secret, timestamp, body)
+      }, body);
+
+      delivery.responseStatus = status;
+      delivery.error = status >= 200 && status < 300 ? undefined : `Endpoint responded with HTTP ${status}`;
+    } catch (error) {
+      delivery.responseStatus = undefined;
+      delivery.error = error.name === 'TimeoutError'
+        ? `No response within ${webhookConfig.timeoutMs}ms`
+        : error.message;
+    }
+
+    delivery.durationMs = Date.now() - startTime;
+
+    if (!delivery.error) {
+      delivery.status = 'succeeded';
+      delivery.completedAt = new Date();
+    } else if (delivery.attempts >= webhookConfig.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.completedAt = new Date();
+      console.warn(`🪝 Webhook ${delivery.event} to ${subscription.url} failed after ${delivery.attempts} attempts: ${delivery.error}`);
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + this.retryDelay(delivery.attempts));
+    }
+
+    await delivery.save();
+
+    if (delivery.status === 'pending') {
+      this.schedule(delivery._id, delivery.nextAttemptAt);
+    }
+  }
+}
+
+module.exports = new WebhookService();
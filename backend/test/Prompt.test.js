@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Prompt = require('../models/Prompt');
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// findOne(...).sort().select().lean() resolving to each of latestVersions in turn
+const stubLatest = (t, latestVersions) => {
+  const queries = [];
+  t.mock.method(Prompt, 'findOne', (query) => {
+    queries.push(query);
+    const version = latestVersions[queries.length - 1];
+    return { sort: () => ({ select: () => ({ lean: async () => (version ? { version } : null) }) }) };
+  });
+  return queries;
+};
+
+const item = () => new Prompt({
+  userId: 'u1',
+  originalPrompt: 'draft',
+  rewrittenPrompt: 'rewrite',
+  rootId: new mongoose.Types.ObjectId(),
+  version: 2
+});
+
+test('version numbers are unique within a refinement chain', () => {
+  const index = Prompt.schema.indexes().find(([fields]) => fields.rootId === 1 && fields.version === 1);
+  assert.ok(index);
+  assert.equal(index[1].unique, true);
+});
+
+test('saveNextVersion looks up the chain within the owner\'s items', async (t) => {
+  const parent = item();
+  const queries = stubLatest(t, [4]);
+  t.mock.method(Prompt.prototype, 'save', async function() { return this; });
+
+  const saved = await parent.saveNextVersion({ rewrittenPrompt: 'refined' });
+  assert.equal(saved.version, 5);
+  assert.equal(String(saved.rootId), String(parent.rootId));
+  assert.equal(queries[0].userId, 'u1');
+});
+
+test('saveNextVersion retries with the next number when another version took it', async (t) => {
+  const queries = stubLatest(t, [4, 5]);
+  let saves = 0;
+  t.mock.method(Prompt.prototype, 'save', async function() {
+    saves++;
+    if (saves === 1) throw duplicateKey();
+    return this;
+  });
+
+  const saved = await item().saveNextVersion({ rewrittenPrompt: 'refined' });
+  assert.equal(saved.version, 6);
+  assert.equal(queries.length, 2);
+});
+
+test('saveNextVersion gives up after three duplicate keys', async (t) => {
+  stubLatest(t, [4, 5, 6]);
+  t.mock.method(Prompt.prototype, 'save', async () => { throw duplicateKey(); });
+
+  await assert.rejects(item().saveNextVersion({}), { code: 11000 });
+});
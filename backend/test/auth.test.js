@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const authService = require('../services/authService');
+const { identifyCaller, authenticate } = require('../middleware/auth');
+
+const request = (headers = {}) => ({ get: name => headers[name.toLowerCase()] });
+
+const run = async (middleware, req) => {
+  const result = { next: false };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  await middleware(req, res, error => { result.next = true; result.error = error; });
+  return result;
+};
+
+test('identifyCaller sets req.user for valid credentials', async () => {
+  const user = new User({ email: 'ada@example.com', passwordHash: 'x' });
+  const req = request({ authorization: `Bearer ${authService.issueToken(user)}` });
+  assert.equal((await run(identifyCaller, req)).next, true);
+  assert.equal(req.user.id, user._id.toString());
+});
+
+test('identifyCaller lets anonymous and invalid credentials through for route auth to judge', async () => {
+  const anonymous = request();
+  assert.equal((await run(identifyCaller, anonymous)).next, true);
+  assert.equal(anonymous.user, undefined);
+
+  const invalid = request({ authorization: 'Bearer not-a-token' });
+  assert.equal((await run(identifyCaller, invalid)).next, true);
+  assert.equal(invalid.user, undefined);
+  const result = await run(authenticate, invalid);
+  assert.equal(result.status, 401);
+});
+
+test('authenticate does not verify an identified caller again', async (t) => {
+  const verify = t.mock.method(authService, 'verifyApiKey', async () => null);
+  const req = { ...request({ 'x-api-key': 'pm_abc' }), user: { id: 'u1', authMethod: 'apiKey' } };
+  assert.equal((await run(authenticate, req)).next, true);
+  assert.equal(verify.mock.callCount(), 0);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Prompt = require('../models/Prompt');
+const VariantSet = require('../models/VariantSet');
+const CatalogEntry = require('../models/CatalogEntry');
+const authService = require('../services/authService');
+
+const account = new User({ email: 'ada@example.com', passwordHash: 'x' });
+
+const stubAccount = (t) => {
+  t.mock.method(User, 'findOne', async ({ email }) => (email === account.email ? account : null));
+  t.mock.method(User, 'exists', async ({ _id }) => (_id === account._id.toString() ? { _id } : null));
+};
+
+test('claimLegacyData moves legacy history, variant sets and catalog entries', async (t) => {
+  stubAccount(t);
+  const prompts = t.mock.method(Prompt, 'updateMany', async () => ({ modifiedCount: 12 }));
+  t.mock.method(VariantSet, 'updateMany', async () => ({ modifiedCount: 2 }));
+  t.mock.method(CatalogEntry, 'find', () => ({
+    lean: async () => [{ _id: 'c1', kind: 'tone', name: 'house' }, { _id: 'c2', kind: 'type', name: 'memo' }]
+  }));
+  t.mock.method(CatalogEntry, 'updateOne', async ({ _id }) => {
+    if (_id === 'c2') throw Object.assign(new Error('E11000'), { code: 11000 });
+    return { modifiedCount: 1 };
+  });
+
+  const result = await authService.claimLegacyData('user123', ' Ada@Example.com ');
+  assert.deepEqual(prompts.mock.calls[0].arguments, [{ userId: 'user123' }, { $set: { userId: account._id.toString() } }]);
+  assert.deepEqual(result, {
+    userId: account._id.toString(),
+    moved: { history: 12, variantSets: 2, catalogEntries: 1 },
+    skipped: ['type "memo"']
+  });
+});
+
+test('claimLegacyData refuses unknown emails and ids that belong to an account', async (t) => {
+  stubAccount(t);
+  const prompts = t.mock.method(Prompt, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+  await assert.rejects(authService.claimLegacyData('user123', 'nobody@example.com'), { status: 404 });
+  await assert.rejects(authService.claimLegacyData(account._id.toString(), account.email), { status: 409 });
+  assert.equal(prompts.mock.callCount(), 0);
+});
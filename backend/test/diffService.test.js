@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const diffService = require('../services/diffService');
+
+// Rebuilds either side of a diff from its segments
+const side = (segments, skip) => segments.filter(segment => segment.type !== skip).flatMap(segment => segment.tokens);
+
+test('diffTokens finds the longest common subsequence between changes', () => {
+  const a = ['please', 'send', 'the', 'report', 'today'];
+  const b = ['kindly', 'send', 'the', 'final', 'report', 'today'];
+  assert.deepEqual(diffService.diffTokens(a, b), [
+    { type: 'delete', tokens: ['please'] },
+    { type: 'insert', tokens: ['kindly'] },
+    { type: 'equal', tokens: ['send', 'the'] },
+    { type: 'insert', tokens: ['final'] },
+    { type: 'equal', tokens: ['report', 'today'] }
+  ]);
+});
+
+test('diffTokens segments always rebuild both inputs', () => {
+  const pairs = [
+    [[], []],
+    [['a'], []],
+    [[], ['b']],
+    [['a', 'b', 'c', 'a', 'b'], ['b', 'a', 'c', 'b', 'a']],
+    [['x', 'y', 'x', 'y'], ['y', 'x', 'y', 'x', 'y']]
+  ];
+  for (const [a, b] of pairs) {
+    const segments = diffService.diffTokens(a, b);
+    assert.deepEqual(side(segments, 'insert'), a);
+    assert.deepEqual(side(segments, 'delete'), b);
+  }
+});
+
+test('diffWords summarizes counts and the Dice similarity', () => {
+  const { segments, summary } = diffService.diffWords('Send the report now', 'Please send the report now');
+  assert.deepEqual(segments, [
+    { type: 'delete', text: 'Send' },
+    { type: 'insert', text: 'Please send' },
+    { type: 'equal', text: 'the report now' }
+  ]);
+  assert.deepEqual(summary, { unit: 'word', original: 4, rewritten: 5, unchanged: 3, inserted: 2, deleted: 1, similarity: 0.667 });
+  assert.equal(diffService.diffWords('', '').summary.similarity, 1);
+});
+
+test('diffSentences splits on sentence ends and line breaks', () => {
+  const { segments, summary } = diffService.diffSentences('Hi team. The build   failed!\nFix it?', 'Hi team. The build passed!\nFix it?');
+  assert.deepEqual(segments, [
+    { type: 'equal', sentences: ['Hi team.'] },
+    { type: 'delete', sentences: ['The build failed!'] },
+    { type: 'insert', sentences: ['The build passed!'] },
+    { type: 'equal', sentences: ['Fix it?'] }
+  ]);
+  assert.equal(summary.unit, 'sentence');
+});
+
+test('findNumberChanges reports numbers added or dropped by the rewrite', () => {
+  assert.deepEqual(diffService.findNumberChanges('Meet at 10:30 on 3 May, budget 1,500', 'Meet at 11:00 on 3 May, budget 1,500'), {
+    addedNumbers: ['11:00'],
+    removedNumbers: ['10:30']
+  });
+});
+
+test('diff honours the granularity', () => {
+  assert.deepEqual(Object.keys(diffService.diff('a b', 'a c', 'word')), ['words', 'factCheck']);
+  assert.deepEqual(Object.keys(diffService.diff('a b', 'a c', 'sentence')), ['sentences', 'factCheck']);
+  assert.deepEqual(Object.keys(diffService.diff('a b', 'a c')), ['words', 'sentences', 'factCheck']);
+});
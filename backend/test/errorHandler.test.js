@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const errorHandler = require('../middleware/errorHandler');
+
+// Runs the handler against a fake response and returns the status and JSON body
+const handle = (t, err) => {
+  t.mock.method(console, 'error', () => {});
+  const result = {};
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  errorHandler(err, {}, res, () => {});
+  return result;
+};
+
+test('unexpected errors keep the error message as `error`', (t) => {
+  const result = handle(t, new Error('Gemini request failed'));
+  assert.equal(result.status, 500);
+  assert.equal(result.body.error, 'Gemini request failed');
+  assert.equal(result.body.message, 'Gemini request failed');
+});
+
+test('errors with a status keep their status and message', (t) => {
+  const err = Object.assign(new Error('Unexpected token } in JSON'), { status: 400 });
+  const result = handle(t, err);
+  assert.equal(result.status, 400);
+  assert.equal(result.body.error, 'Unexpected token } in JSON');
+});
+
+test('errors without a message fall back to generic values', (t) => {
+  const result = handle(t, {});
+  assert.deepEqual(result, {
+    status: 500,
+    body: { error: 'Internal Server Error', message: 'Something went wrong' }
+  });
+});
+
+test('Mongoose validation and cast errors keep their titles', (t) => {
+  const validation = handle(t, {
+    name: 'ValidationError',
+    message: 'Prompt validation failed',
+    errors: { tone: { path: 'tone', message: 'Unknown tone' } }
+  });
+  assert.deepEqual(validation, {
+    status: 400,
+    body: {
+      error: 'Validation Error',
+      message: 'Prompt validation failed',
+      details: [{ in: 'body', field: 'tone', message: 'Unknown tone' }]
+    }
+  });
+  assert.deepEqual(handle(t, { name: 'CastError', message: 'Cast to ObjectId failed' }).body, {
+    error: 'Invalid ID format',
+    message: 'The provided ID is not valid'
+  });
+});
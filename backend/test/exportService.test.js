@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const exportService = require('../services/exportService');
+
+const item = {
+  _id: '507f1f77bcf86cd799439011',
+  userId: 'u1',
+  timestamp: new Date('2025-01-31T09:30:00.000Z'),
+  tone: 'formal',
+  type: 'email',
+  isFavorite: true,
+  originalPrompt: 'hey, can u "quickly" check\nthe numbers',
+  rewrittenPrompt: 'Could you please check the numbers?',
+  metadata: { provider: 'gemini', model: 'gemini-1.5-flash', apiCost: 0.0001 }
+};
+
+test('parseCsv handles quoted commas, doubled quotes, newlines and CRLF', () => {
+  const csv = 'name,note\r\n"Lee, Sam","said ""hi""\nthen left"\r\nAda,\r\n\r\n';
+  assert.deepEqual(exportService.parseCsv(csv), [
+    { name: 'Lee, Sam', note: 'said "hi"\nthen left' },
+    { name: 'Ada', note: '' }
+  ]);
+});
+
+test('parseCsv reads a last row without a line break and ignores blank lines', () => {
+  assert.deepEqual(exportService.parseCsv('\n a ,b\n\n1,2'), [{ a: '1', b: '2' }]);
+  assert.deepEqual(exportService.parseCsv(''), []);
+});
+
+test('CSV export rows import back as the same records', () => {
+  const csv = exportService.header('csv') + exportService.formatItem('csv', item, 0);
+  const [record] = exportService.parseImport('csv', csv);
+  assert.equal(record.timestamp, '2025-01-31T09:30:00.000Z');
+  assert.equal(record.originalPrompt, item.originalPrompt);
+  assert.equal(record.rewrittenPrompt, item.rewrittenPrompt);
+  assert.equal(record.isFavorite, true);
+  assert.deepEqual(record.metadata, { provider: 'gemini', model: 'gemini-1.5-flash' });
+});
+
+test('JSON exports leave out ids and owner and import back', () => {
+  const json = exportService.header('json') + exportService.formatItem('json', item, 0) +
+    exportService.formatItem('json', { ...item, isFavorite: false }, 1) + exportService.footer('json');
+  const items = exportService.parseImport('json', json);
+  assert.equal(items.length, 2);
+  assert.equal(items[0]._id, undefined);
+  assert.equal(items[0].userId, undefined);
+  assert.equal(items[1].isFavorite, false);
+  assert.deepEqual(exportService.parseImport('json', [{ tone: 'formal' }]), [{ tone: 'formal' }]);
+});
+
+test('parseImport rejects data it cannot read', () => {
+  assert.throws(() => exportService.parseImport('csv', [{}]), /CSV imports must send data as a string/);
+  assert.throws(() => exportService.parseImport('json', { items: 'nope' }), /array or an object with an "items" array/);
+  assert.throws(() => exportService.parseImport('json', '{not json'), SyntaxError);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const geminiService = require('../services/geminiService');
+
+const systemPrompt = {
+  version: 'v2',
+  template: '{{tone}} {{type}}',
+  experiment: { id: '65a0c3f1e4b0a1b2c3d4e5f6', variant: 'shorter' }
+};
+
+test('fresh rewrites record the experiment variant', () => {
+  const result = geminiService.withSystemPrompt({ rewrittenPrompt: 'x', metadata: { processingTime: 900 } }, systemPrompt);
+  assert.equal(result.metadata.systemPromptVersion, 'v2');
+  assert.equal(result.metadata.experimentId, systemPrompt.experiment.id);
+  assert.equal(result.metadata.experimentVariant, 'shorter');
+});
+
+test('cache hits keep the version but are left out of the experiment', () => {
+  // The cached entry still carries the experiment of the request that produced it
+  const cached = {
+    rewrittenPrompt: 'x',
+    metadata: { processingTime: 900, experimentId: systemPrompt.experiment.id, experimentVariant: 'shorter' }
+  };
+  const result = geminiService.withSystemPrompt(geminiService.fromCache(cached, 'original', Date.now()), systemPrompt);
+  assert.equal(result.metadata.cached, true);
+  assert.equal(result.metadata.systemPromptVersion, 'v2');
+  assert.equal(result.metadata.experimentId, null);
+  assert.equal(result.metadata.experimentVariant, null);
+});
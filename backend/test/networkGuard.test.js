@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const networkGuard = require('../services/networkGuard');
+
+test('isPublicAddress refuses loopback, private, link-local and reserved addresses', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+    '::1', '::', 'fe80::1', 'fc00::1', 'fd00:ec2::254', 'ff02::1',
+    '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '64:ff9b::10.0.0.1'
+  ]) {
+    assert.equal(networkGuard.isPublicAddress(address), false, address);
+  }
+});
+
+test('isPublicAddress accepts public addresses', () => {
+  for (const address of ['8.8.8.8', '172.32.0.1', '93.184.216.34', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(networkGuard.isPublicAddress(address), true, address);
+  }
+});
+
+test('isPublicAddress refuses values that are not IP addresses', () => {
+  assert.equal(networkGuard.isPublicAddress('example.com'), false);
+});
+
+test('checkUrl refuses literal private hosts', async () => {
+  assert.match(await networkGuard.checkUrl('http://127.0.0.1:27017/'), /private or reserved/);
+  assert.match(await networkGuard.checkUrl('http://169.254.169.254/latest/meta-data/'), /private or reserved/);
+  assert.match(await networkGuard.checkUrl('http://[::1]:8080/hook'), /private or reserved/);
+});
+
+test('checkUrl refuses names that resolve to loopback', async () => {
+  assert.match(await networkGuard.checkUrl('http://localhost:3000/'), /private or reserved/);
+});
+
+test('checkUrl accepts a public literal address', async () => {
+  assert.equal(await networkGuard.checkUrl('https://8.8.8.8/hook'), null);
+});
+
+test('lookup fails for names that resolve to private addresses', async () => {
+  await assert.rejects(
+    new Promise((resolve, reject) => networkGuard.lookup('localhost', { all: true }, error => (error ? reject(error) : resolve()))),
+    /private or reserved/
+  );
+});
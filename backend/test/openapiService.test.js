@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const openapiService = require('../services/openapiService');
+
+// Declaring the routes registers them with validation/api.js
+fs.readdirSync(path.join(__dirname, '../routes')).forEach(file => require(`../routes/${file}`));
+
+test('documented paths match the URLs clients call', () => {
+  const paths = Object.keys(openapiService.build().paths);
+  assert.ok(paths.includes('/api/jobs'));
+  assert.ok(paths.includes('/api/templates'));
+  assert.deepEqual(paths.filter(documented => documented.endsWith('/')), []);
+});
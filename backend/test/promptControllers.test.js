@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Prompt = require('../models/Prompt');
+const CatalogEntry = require('../models/CatalogEntry');
+const geminiService = require('../services/geminiService');
+const usageService = require('../services/usageService');
+const webhookService = require('../services/webhookService');
+const promptController = require('../controllers/promptControllers');
+
+const call = async (handler, req) => {
+  const result = {};
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  await handler(req, res, error => { result.error = error; });
+  return result;
+};
+
+// getInfo with the database stubbed; returns the aggregate pipelines and spend queries it ran
+const stubInfo = (t) => {
+  const pipelines = [];
+  const spendQueries = [];
+  t.mock.method(geminiService, 'getModelInfo', async () => ({}));
+  t.mock.method(Prompt, 'countDocuments', async () => 3);
+  t.mock.method(Prompt, 'aggregate', async (pipeline) => {
+    pipelines.push(pipeline);
+    return [];
+  });
+  t.mock.method(CatalogEntry, 'find', (query) => ({
+    sort: () => ({ lean: async () => (query.$or.length === 1 ? [{ kind: query.kind, name: 'house', visibility: 'global' }] : []) })
+  }));
+  t.mock.method(usageService, 'getSpend', async (match) => {
+    spendQueries.push(match);
+    return { total: {}, byModel: [], byDay: [] };
+  });
+  return { pipelines, spendQueries };
+};
+
+test('getInfo lists popular tones and types by built-in and global names only', async (t) => {
+  const { pipelines } = stubInfo(t);
+  const result = await call(promptController.getInfo, {});
+  assert.equal(result.status, 200);
+
+  const [tones, types] = pipelines.map(pipeline => pipeline[0].$match);
+  assert.ok(tones.tone.$in.includes('formal'));
+  assert.ok(tones.tone.$in.includes('house'));
+  assert.ok(types.type.$in.includes('email'));
+  assert.equal(tones.tone.$in.length, new Set(tones.tone.$in).size);
+});
+
+test('getInfo shows the deployment spend only to administrators', async (t) => {
+  const authConfig = require('../config/auth');
+  const { adminEmails } = authConfig;
+  authConfig.adminEmails = ['admin@example.com'];
+  t.after(() => { authConfig.adminEmails = adminEmails; });
+
+  const { spendQueries } = stubInfo(t);
+  const anonymous = await call(promptController.getInfo, {});
+  assert.deepEqual(Object.keys(anonymous.body.data.spend), ['days']);
+
+  const member = await call(promptController.getInfo, { user: { id: 'u1', email: 'ada@example.com' } });
+  assert.deepEqual(Object.keys(member.body.data.spend), ['days', 'user']);
+  assert.ok(spendQueries.every(match => match.userId === 'u1'));
+
+  const admin = await call(promptController.getInfo, { user: { id: 'a1', email: 'admin@example.com' } });
+  assert.deepEqual(Object.keys(admin.body.data.spend), ['days', 'overall', 'user']);
+});
+
+test('rewrite.completed payloads follow the PII policy', async (t) => {
+  const privacyConfig = require('../config/privacy');
+  const { piiPolicy } = privacyConfig;
+  t.after(() => { privacyConfig.piiPolicy = piiPolicy; });
+
+  const events = [];
+  t.mock.method(webhookService, 'emit', (event, actor, data) => events.push(data));
+  t.mock.method(geminiService, 'rewritePrompt', async () => ({
+    success: true,
+    rewrittenPrompt: 'Please reply to jane@example.com today.',
+    metadata: { provider: 'gemini' }
+  }));
+  const req = { body: { prompt: 'reply to jane@example.com', tone: 'formal', type: 'email' }, query: {}, get: () => undefined };
+
+  privacyConfig.piiPolicy = 'off';
+  await call(promptController.rewritePrompt, req);
+  privacyConfig.piiPolicy = 'redact';
+  await call(promptController.rewritePrompt, req);
+
+  assert.equal(events[0].originalPrompt, 'reply to jane@example.com');
+  assert.equal(events[1].originalPrompt, 'reply to [EMAIL_1]');
+  assert.equal(events[1].rewrittenPrompt, 'Please reply to [EMAIL_1] today.');
+  assert.equal(events[1].tone, 'formal');
+});
+
+test('importHistory keeps only descriptive metadata and rejects metadata that is not an object', async (t) => {
+  const saved = [];
+  t.mock.method(Prompt, 'exists', async () => null);
+  t.mock.method(Prompt.prototype, 'save', async function() { saved.push(this); return this; });
+  t.mock.method(webhookService, 'emit', () => {});
+
+  const record = { originalPrompt: 'draft', rewrittenPrompt: 'rewrite', targetLanguage: 'de' };
+  const result = await call(promptController.importHistory, {
+    params: { userId: 'u1' },
+    body: {
+      data: [
+        {
+          ...record,
+          metadata: {
+            provider: 'openai',
+            model: 'gpt-4o-mini',
+            apiCost: 99,
+            tokens: { input: 1000, output: 1000, total: 2000 },
+            cost: { input: 50, output: 49 },
+            systemPromptVersion: 'v3',
+            experimentId: '65a000000000000000000001'
+          }
+        },
+        { ...record, rewrittenPrompt: 'another', metadata: 'gpt-4o' }
+      ]
+    }
+  });
+
+  assert.equal(result.status, 201);
+  assert.deepEqual(result.body.data.errors, [{ row: 2, errors: ['metadata must be an object'] }]);
+
+  const { metadata, targetLanguage } = saved[0];
+  assert.equal(targetLanguage, 'de');
+  assert.equal(metadata.provider, 'openai');
+  assert.equal(metadata.model, 'gpt-4o-mini');
+  assert.equal(metadata.apiCost, 0);
+  assert.equal(metadata.tokens.total, 0);
+  assert.equal(metadata.cost.input, 0);
+  assert.equal(metadata.systemPromptVersion, null);
+  assert.equal(metadata.experimentId, null);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const plansConfig = require('../config/plans');
+const quotaService = require('../services/quotaService');
+const { enforceQuota, releaseQuota } = require('../middleware/quota');
+
+const status = {
+  plan: 'free',
+  limits: { dailyRewrites: null, monthlyRewrites: null, monthlyBudget: null },
+  remaining: {},
+  resets: {}
+};
+
+// Quota enforced, with reserve allowing everything and releases recorded
+const stubQuota = (t) => {
+  const { enabled } = plansConfig;
+  plansConfig.enabled = true;
+  t.after(() => { plansConfig.enabled = enabled; });
+
+  const released = [];
+  t.mock.method(quotaService, 'reserve', async () => ({ allowed: true, status }));
+  t.mock.method(quotaService, 'release', async (identity, amount) => released.push(amount));
+  return released;
+};
+
+const response = () => Object.assign(new EventEmitter(), { statusCode: 200, set() { return this; } });
+
+const reserve = async (amount) => {
+  const req = { ip: '203.0.113.7' };
+  const res = response();
+  await enforceQuota(() => amount)(req, res, () => {});
+  return { req, res };
+};
+
+test('failed requests give their reserved rewrites back', async (t) => {
+  const released = stubQuota(t);
+
+  const failed = await reserve(1);
+  failed.res.statusCode = 422;
+  failed.res.emit('finish');
+
+  const succeeded = await reserve(1);
+  succeeded.res.emit('finish');
+
+  await new Promise(setImmediate);
+  assert.deepEqual(released, [1]);
+});
+
+test('releaseQuota never gives back more than was reserved', async (t) => {
+  const released = stubQuota(t);
+  const { req, res } = await reserve(3);
+
+  await releaseQuota(req, 2);
+  await releaseQuota(req, 0);
+  res.statusCode = 500;
+  res.emit('finish');
+  await new Promise(setImmediate);
+  await releaseQuota(req);
+
+  assert.deepEqual(released, [2, 1]);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const QuotaCounter = require('../models/QuotaCounter');
+const User = require('../models/User');
+const usageService = require('../services/usageService');
+const quotaService = require('../services/quotaService');
+
+const anonymous = { key: 'ip:203.0.113.7', userId: null };
+const member = { key: 'user:u1', userId: 'u1' };
+
+// QuotaCounter and User backed by in-memory maps; spend is fixed per test
+const stubStore = (t, { plan = 'free', spend = 0, counts = {} } = {}) => {
+  const counters = new Map(Object.entries(counts));
+  const inserts = [];
+  t.mock.method(QuotaCounter, 'findOneAndUpdate', (filter, update) => ({
+    lean: async () => {
+      const key = `${filter.identity}|${filter.period}`;
+      if (!counters.has(key)) inserts.push(update.$setOnInsert.expiresAt);
+      counters.set(key, (counters.get(key) || 0) + update.$inc.count);
+      return { count: counters.get(key) };
+    }
+  }));
+  t.mock.method(QuotaCounter, 'findOne', (filter) => ({
+    select: () => ({
+      lean: async () => {
+        const key = `${filter.identity}|${filter.period}`;
+        return counters.has(key) ? { count: counters.get(key) } : null;
+      }
+    })
+  }));
+  t.mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => ({ plan }) }) }));
+  t.mock.method(usageService, 'getTotalCost', async () => spend);
+  return { counters, inserts };
+};
+
+const periodKeys = () => {
+  const now = new Date().toISOString();
+  return { day: `day:${now.slice(0, 10)}`, month: `month:${now.slice(0, 7)}` };
+};
+
+test('identityOf counts accounts per user and anonymous callers per IP', () => {
+  assert.deepEqual(quotaService.identityOf({ user: { id: 'u1' }, ip: '203.0.113.7' }), member);
+  assert.deepEqual(quotaService.identityOf({ ip: '203.0.113.7' }), anonymous);
+});
+
+test('reserve counts daily and monthly usage and reports what remains', async (t) => {
+  const { counters, inserts } = stubStore(t);
+  const { day, month } = periodKeys();
+
+  const first = await quotaService.reserve(member);
+  assert.equal(first.allowed, true);
+  assert.equal(first.status.plan, 'free');
+  assert.deepEqual(first.status.remaining, { dailyRewrites: 49, monthlyRewrites: 499, monthlyBudget: 1 });
+
+  const batch = await quotaService.reserve(member, 3);
+  assert.deepEqual(batch.status.used, { dailyRewrites: 4, monthlyRewrites: 4, monthlySpend: 0 });
+  assert.equal(counters.get(`user:u1|${day}`), 4);
+  assert.equal(counters.get(`user:u1|${month}`), 4);
+
+  // Counters expire at the next UTC midnight and the first of next month
+  const [dailyExpiry, monthlyExpiry] = inserts.sort((a, b) => a - b);
+  assert.equal(dailyExpiry.getTime(), first.status.resets.daily.getTime());
+  assert.equal(dailyExpiry.toISOString().slice(11), '00:00:00.000Z');
+  assert.equal(monthlyExpiry.getUTCDate(), 1);
+});
+
+test('reserve refuses and un-counts a request over the daily limit', async (t) => {
+  const { day, month } = periodKeys();
+  const { counters } = stubStore(t, { counts: { [`ip:203.0.113.7|${day}`]: 9, [`ip:203.0.113.7|${month}`]: 9 } });
+
+  assert.equal((await quotaService.reserve(anonymous)).allowed, true);
+  const refused = await quotaService.reserve(anonymous);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.exceeded, 'dailyRewrites');
+  assert.equal(refused.status.remaining.dailyRewrites, 0);
+  assert.equal(counters.get(`ip:203.0.113.7|${day}`), 10);
+  assert.equal(counters.get(`ip:203.0.113.7|${month}`), 10);
+});
+
+test('reserve refuses once the monthly budget is spent without counting', async (t) => {
+  const { counters } = stubStore(t, { spend: 1.2 });
+
+  const refused = await quotaService.reserve(member);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.exceeded, 'monthlyBudget');
+  assert.equal(refused.status.remaining.monthlyBudget, 0);
+  assert.equal(counters.size, 0);
+});
+
+test('unknown plans fall back to the default and unlimited plans never refuse', async (t) => {
+  stubStore(t, { plan: 'retired-plan' });
+  assert.equal((await quotaService.planFor(member)).name, 'free');
+
+  t.mock.restoreAll();
+  stubStore(t, { plan: 'unlimited', spend: 1000 });
+  const result = await quotaService.reserve(member, 100000);
+  assert.equal(result.allowed, true);
+  assert.deepEqual(result.status.remaining, { dailyRewrites: null, monthlyRewrites: null, monthlyBudget: null });
+});
+
+test('increment retries as an update when two first requests race on the upsert', async (t) => {
+  const calls = [];
+  t.mock.method(QuotaCounter, 'findOneAndUpdate', (filter, update, options) => ({
+    lean: async () => {
+      calls.push(options);
+      if (options.upsert) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      return { count: 2 };
+    }
+  }));
+
+  const counter = await quotaService.increment(member, { key: 'day:2025-01-31', resetsAt: new Date() }, 1);
+  assert.equal(counter.count, 2);
+  assert.deepEqual(calls, [{ upsert: true, new: true }, { new: true }]);
+});
+
+test('release gives back both counters without going below zero', async (t) => {
+  const updates = [];
+  t.mock.method(QuotaCounter, 'updateOne', async (filter, update) => updates.push({ filter, update }));
+
+  await quotaService.release(member, 2);
+  const { day, month } = periodKeys();
+  assert.deepEqual(updates.map(({ filter }) => filter.period).sort(), [day, month].sort());
+  updates.forEach(({ filter, update }) => {
+    assert.equal(filter.identity, 'user:u1');
+    assert.deepEqual(filter.count, { $gte: 2 });
+    assert.deepEqual(update, { $inc: { count: -2 } });
+  });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.PII_POLICY;
+const privacyConfig = require('../config/privacy');
+const redactionService = require('../services/redactionService');
+
+const redact = (text) => redactionService.createSession().redact(text);
+const categoriesOf = (text) => redactionService.detect(text).map(match => match.category);
+
+test('the default policy leaves text untouched', () => {
+  assert.equal(privacyConfig.piiPolicy, 'off');
+});
+
+test('detects secrets, emails, cards, IBANs and IP addresses', () => {
+  assert.equal(redact('key sk-abcdefghijklmnopqrstuvwx here'), 'key [SECRET_1] here');
+  assert.equal(redact('password: hunter22x'), 'password: [SECRET_1]');
+  assert.equal(redact('Mail jane.doe@example.com today'), 'Mail [EMAIL_1] today');
+  assert.equal(redact('Card 4111 1111 1111 1111'), 'Card [CARD_1]');
+  assert.equal(redact('IBAN DE89 3704 0044 0532 0130 00'), 'IBAN [IBAN_1]');
+  assert.equal(redact('Server 10.0.0.12 is down'), 'Server [IP_1] is down');
+});
+
+test('detects phone numbers', () => {
+  assert.equal(redact('Call +49 30 1234567 or 030 1234 5678'), 'Call [PHONE_1] or [PHONE_2]');
+  assert.equal(redact('Reach me at (555) 123-4567'), 'Reach me at [PHONE_1]');
+});
+
+test('detects names after greetings, titles, introductions and sign-offs', () => {
+  assert.equal(redact('Dear Anna Lee,'), 'Dear [NAME_1],');
+  assert.equal(redact('Please ask Dr. Weber'), 'Please ask Dr. [NAME_1]');
+  assert.equal(redact('My name is Sarah'), 'My name is [NAME_1]');
+  assert.equal(redact('I am John Smith'), 'I am [NAME_1]');
+  assert.equal(redact('Best regards,\nTom'), 'Best regards,\n[NAME_1]');
+});
+
+test('does not take capitalized ordinary words for names', () => {
+  for (const text of [
+    'I am Not sure this works',
+    'I am Going to the office',
+    "I'm Happy to help",
+    'I am Sorry Again',
+    'Hi All',
+    'Hello Team, quick update',
+    'Dear Sir or Madam'
+  ]) {
+    assert.equal(redact(text), text, text);
+  }
+});
+
+test('does not take years or dates for phone numbers', () => {
+  for (const text of [
+    'Releases 2023 2024 2025 planned',
+    'Worked there 1999-2004',
+    'Roadmap: 2024, 2025, 2026',
+    'Due 2024-10-05 or 05.10.2024',
+    'Order 123456'
+  ]) {
+    assert.deepEqual(categoriesOf(text), [], text);
+  }
+});
+
+test('the same value gets the same placeholder and is restored', () => {
+  const session = redactionService.createSession();
+  const redacted = session.redact('Mail a@b.io, then a@b.io again, then c@d.io');
+  assert.equal(redacted, 'Mail [EMAIL_1], then [EMAIL_1] again, then [EMAIL_2]');
+  assert.equal(session.restore('Write to [EMAIL_2] and [EMAIL_1]'), 'Write to c@d.io and a@b.io');
+  assert.deepEqual(session.missingFrom('Write to [EMAIL_1]'), ['[EMAIL_2]']);
+});
+
+test('the stream restorer holds back partial placeholders', () => {
+  const session = redactionService.createSession();
+  session.redact('Mail a@b.io');
+  const output = [];
+  const restorer = session.createStreamRestorer(text => output.push(text));
+  restorer.write('Write to [EMA');
+  restorer.write('IL_1] now');
+  restorer.end();
+  assert.equal(output.join(''), 'Write to a@b.io now');
+});
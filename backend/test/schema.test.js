@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SchemaValidator = require('../validation/schema');
+const { validateRequest } = require('../middleware/validate');
+
+const validator = new SchemaValidator({
+  Tone: { type: 'string', enum: ['formal', 'casual'] }
+});
+
+const messages = (errors) => errors.map(error => error.message);
+
+test('format checks ids, dates, emails and http(s) URLs', () => {
+  const check = (format, value) => validator.validate({ type: 'string', format }, value, { path: 'field' });
+  assert.deepEqual(check('objectId', '507f1f77bcf86cd799439011'), []);
+  assert.deepEqual(messages(check('objectId', '123')), ['field must be an id']);
+  assert.deepEqual(check('date', '2025-01-31'), []);
+  assert.deepEqual(messages(check('date', 'yesterday')), ['field must be an ISO 8601 date, e.g. 2025-01-31']);
+  assert.deepEqual(check('email', 'ada@example.com'), []);
+  assert.deepEqual(messages(check('email', 'ada@example')), ['field must be a valid email address']);
+  assert.deepEqual(check('uri', 'https://example.com/hook'), []);
+  assert.deepEqual(messages(check('uri', 'ftp://example.com')), ['field must be an http(s) URL']);
+});
+
+test('anyOf passes when any option matches and reports one error otherwise', () => {
+  const schema = { anyOf: [{ type: 'string', minLength: 1 }, { type: 'array', items: { type: 'string' } }] };
+  assert.deepEqual(validator.validate(schema, 'text', { path: 'input' }), []);
+  assert.deepEqual(validator.validate(schema, ['a', 'b'], { path: 'input' }), []);
+  assert.deepEqual(messages(validator.validate(schema, 42, { path: 'input' })), [
+    'input does not match any of the allowed forms'
+  ]);
+});
+
+test('x-trim applies length rules to the trimmed string', () => {
+  const schema = { type: 'string', minLength: 1, maxLength: 3, 'x-trim': true };
+  assert.deepEqual(messages(validator.validate(schema, '   ', { path: 'name' })), ['name must not be empty']);
+  assert.deepEqual(validator.validate(schema, '  abc  ', { path: 'name' }), []);
+  assert.deepEqual(messages(validator.validate({ type: 'string', maxLength: 3 }, '  abc  ', { path: 'name' })), [
+    'name must be at most 3 characters'
+  ]);
+});
+
+test('x-message and x-error replace the generated message and title', () => {
+  const schema = { type: 'string', minLength: 1, 'x-message': 'Prompt is required', 'x-error': 'Missing prompt' };
+  assert.deepEqual(validator.validate(schema, '', { path: 'prompt' }), [
+    { path: 'prompt', message: 'Prompt is required', error: 'Missing prompt' }
+  ]);
+});
+
+test('$ref resolves shared components and sibling keywords override them', () => {
+  assert.deepEqual(validator.validate({ $ref: '#/components/schemas/Tone' }, 'formal', { path: 'tone' }), []);
+  assert.deepEqual(messages(validator.validate({ $ref: '#/components/schemas/Tone', 'x-message': 'Unknown tone' }, 'loud', { path: 'tone' })), [
+    'Unknown tone'
+  ]);
+  assert.throws(() => validator.validate({ $ref: '#/components/schemas/Missing' }, 'x'), /Unknown schema reference/);
+});
+
+test('absent properties with a default are valid and the value is not mutated', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+      sort: { type: 'string', enum: ['asc', 'desc'], default: 'desc' }
+    }
+  };
+  const value = {};
+  assert.deepEqual(validator.validate(schema, value), []);
+  assert.deepEqual(value, {});
+});
+
+test('required properties are reported with their full path', () => {
+  const schema = {
+    type: 'object',
+    required: ['options'],
+    properties: { options: { type: 'object', required: ['tone'], properties: { tone: { type: 'string' } } } }
+  };
+  assert.deepEqual(messages(validator.validate(schema, {})), ['options is required']);
+  assert.deepEqual(messages(validator.validate(schema, { options: {} })), ['options.tone is required']);
+});
+
+test('coerce accepts query strings for integers, numbers and booleans', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      temperature: { type: 'number', maximum: 2 },
+      favorite: { type: 'boolean' }
+    }
+  };
+  const query = { limit: '12', temperature: '0.5', favorite: 'true' };
+  assert.deepEqual(validator.validate(schema, query, { coerce: true }), []);
+  assert.deepEqual(query, { limit: '12', temperature: '0.5', favorite: 'true' });
+  assert.deepEqual(messages(validator.validate(schema, { limit: '500' }, { coerce: true })), ['limit must be between 1 and 100']);
+  assert.deepEqual(messages(validator.validate(schema, { limit: '1.5', favorite: 'yes' }, { coerce: true })), [
+    'limit must be an integer',
+    'favorite must be a boolean'
+  ]);
+  assert.deepEqual(messages(validator.validate(schema, { limit: '12' })), ['limit must be an integer']);
+});
+
+// Runs the validateRequest middleware against a fake request and captures the outcome
+const run = async (spec, req) => {
+  const result = { status: null, body: null, next: false };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  await validateRequest(spec)({ params: {}, query: {}, ...req }, res, () => { result.next = true; });
+  return result;
+};
+
+test('validateRequest coerces query values and passes valid requests through', async () => {
+  const spec = { query: { type: 'object', properties: { page: { type: 'integer', minimum: 1 } } } };
+  assert.equal((await run(spec, { query: { page: '2' } })).next, true);
+  const result = await run(spec, { query: { page: '0' } });
+  assert.equal(result.status, 400);
+  assert.deepEqual(result.body, {
+    error: 'Invalid page',
+    message: 'page must be at least 1',
+    details: [{ in: 'query', field: 'page', message: 'page must be at least 1' }]
+  });
+});
+
+test('validateRequest treats a missing body as an empty object', async () => {
+  const spec = { body: { type: 'object', required: ['prompt'], properties: { prompt: { type: 'string' } } } };
+  const result = await run(spec, {});
+  assert.equal(result.status, 400);
+  assert.equal(result.body.message, 'prompt is required');
+  assert.equal(result.body.details[0].in, 'body');
+});
+
+test('validateRequest runs checks only after the schema passes', async () => {
+  let checked = 0;
+  const spec = {
+    body: { type: 'object', properties: { name: { type: 'string' } } },
+    checks: [async () => {
+      checked++;
+      return { in: 'body', field: 'name', error: 'Name taken', message: 'That name is already in use' };
+    }]
+  };
+  await run(spec, { body: { name: 5 } });
+  assert.equal(checked, 0);
+  const result = await run(spec, { body: { name: 'mine' } });
+  assert.equal(checked, 1);
+  assert.deepEqual(result.body, {
+    error: 'Name taken',
+    message: 'That name is already in use',
+    details: [{ in: 'body', field: 'name', message: 'That name is already in use' }]
+  });
+});
+
+test('additionalProperties validates every property not listed in properties', () => {
+  const schema = {
+    type: 'object',
+    properties: { note: { type: 'integer' } },
+    additionalProperties: { type: 'string', 'x-error': 'Invalid template value' }
+  };
+  assert.deepEqual(validator.validate(schema, { name: 'Sam', note: 1 }, { path: 'values' }), []);
+  assert.deepEqual(validator.validate(schema, { name: { first: 'Sam' } }, { path: 'values' }), [
+    { path: 'values.name', message: 'values.name must be a string', error: 'Invalid template value' }
+  ]);
+});
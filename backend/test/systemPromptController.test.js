@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SystemPrompt = require('../models/SystemPrompt');
+const systemPromptController = require('../controllers/systemPromptController');
+
+const call = async (handler, req) => {
+  const result = {};
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  await handler(req, res, error => { result.error = error; });
+  return result;
+};
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+test('activation that loses to a concurrent one returns 409', async (t) => {
+  t.mock.method(SystemPrompt, 'exists', async () => ({ _id: 'x' }));
+  const deactivate = t.mock.method(SystemPrompt, 'updateMany', async () => ({}));
+  t.mock.method(SystemPrompt, 'findOneAndUpdate', async () => { throw duplicateKey(); });
+
+  const result = await call(systemPromptController.activateSystemPrompt, { params: { versionId: 'v2' } });
+  assert.equal(result.status, 409);
+  assert.equal(result.body.error, 'Activation conflict');
+  // The target itself is never deactivated, so re-activating the current version leaves no gap
+  assert.deepEqual(deactivate.mock.calls[0].arguments[0], { active: true, version: { $ne: 2 } });
+});
+
+test('other database errors still reach the error handler', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(SystemPrompt, 'exists', async () => ({ _id: 'x' }));
+  t.mock.method(SystemPrompt, 'updateMany', async () => { throw new Error('connection lost'); });
+
+  const result = await call(systemPromptController.activateSystemPrompt, { params: { versionId: 'v2' } });
+  assert.equal(result.status, undefined);
+  assert.equal(result.error.message, 'connection lost');
+});
+
+test('a successful activation returns the version', async (t) => {
+  const stored = new SystemPrompt({ version: 2, template: '{{tone}} {{type}}', createdBy: 'admin', active: true });
+  t.mock.method(SystemPrompt, 'exists', async () => ({ _id: stored._id }));
+  t.mock.method(SystemPrompt, 'updateMany', async () => ({}));
+  t.mock.method(SystemPrompt, 'findOneAndUpdate', async () => stored);
+
+  const result = await call(systemPromptController.activateSystemPrompt, { params: { versionId: 'v2' } });
+  assert.equal(result.status, 200);
+  assert.equal(result.body.data.version, 'v2');
+  assert.equal(result.body.data.active, true);
+});
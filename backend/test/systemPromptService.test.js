@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const systemPromptService = require('../services/systemPromptService');
+
+const experiment = (assignment, weights) => ({
+  _id: '65a0c3f1e4b0a1b2c3d4e5f6',
+  assignment,
+  variants: weights.map((weight, index) => ({ name: `variant-${index}`, version: `v${index + 1}`, weight }))
+});
+
+test('assignVariant gives a user the same variant every time', () => {
+  const running = experiment('user', [1, 1, 1]);
+  for (const userId of ['u1', 'u2', 'u3', 'ada@example.com']) {
+    const first = systemPromptService.assignVariant(running, userId).name;
+    for (let i = 0; i < 5; i++) {
+      assert.equal(systemPromptService.assignVariant(running, userId).name, first);
+    }
+  }
+});
+
+test('assignVariant splits users roughly by weight', () => {
+  const running = experiment('user', [3, 1]);
+  const counts = { 'variant-0': 0, 'variant-1': 0 };
+  for (let i = 0; i < 4000; i++) {
+    counts[systemPromptService.assignVariant(running, `user-${i}`).name]++;
+  }
+  assert.ok(Math.abs(counts['variant-0'] / 4000 - 0.75) < 0.03, JSON.stringify(counts));
+});
+
+test('assignVariant draws at random for random assignment and anonymous users', (t) => {
+  const random = t.mock.method(Math, 'random', () => 0.9);
+  assert.equal(systemPromptService.assignVariant(experiment('random', [1, 1]), 'u1').name, 'variant-1');
+  assert.equal(systemPromptService.assignVariant(experiment('user', [1, 1]), null).name, 'variant-1');
+  random.mock.mockImplementation(() => 0.1);
+  assert.equal(systemPromptService.assignVariant(experiment('user', [1, 1]), undefined).name, 'variant-0');
+  assert.equal(random.mock.callCount(), 3);
+});
+
+test('render fills tone, type and language and appends language when not placed', () => {
+  const values = { tone: 'Be formal.', type: 'Write an email.', language: ' Answer in French.' };
+  assert.equal(systemPromptService.render('{{tone}} {{type}}', values), 'Be formal. Write an email. Answer in French.');
+  assert.equal(systemPromptService.render('{{language}}|{{tone}}', values), ' Answer in French.|Be formal.');
+});
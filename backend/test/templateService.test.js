@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const templateService = require('../services/templateService');
+
+test('extractVariables lists distinct placeholder names in order of first use', () => {
+  assert.deepEqual(templateService.extractVariables('Hi {{ name }}, re {{topic}} - {{name}} {{1bad}}'), ['name', 'topic']);
+});
+
+test('fill substitutes values and falls back to defaults', () => {
+  const variables = [{ name: 'name', defaultValue: null }, { name: 'topic', defaultValue: 'pricing' }];
+  assert.deepEqual(templateService.fill('Hi {{ name }}, about {{topic}}', variables, { name: 'Sam', extra: 'x' }), {
+    text: 'Hi Sam, about pricing',
+    missing: [],
+    unused: ['extra']
+  });
+});
+
+test('fill reports variables without a value, including blank ones', () => {
+  const variables = [{ name: 'name', defaultValue: null }, { name: 'topic', defaultValue: '' }];
+  assert.deepEqual(templateService.fill('{{name}} {{topic}}', variables, { name: '  ' }), {
+    text: null,
+    missing: ['name', 'topic'],
+    unused: []
+  });
+});
+
+test('templatize replaces longer values first and reports the names used', () => {
+  const { body, used } = templateService.templatize('Sam Lee and Sam met about Q3 (Q3!)', {
+    first: 'Sam',
+    full: 'Sam Lee',
+    quarter: ' Q3 ',
+    missing: 'nowhere',
+    blank: '  '
+  });
+  assert.equal(body, '{{full}} and {{first}} met about {{quarter}} ({{quarter}}!)');
+  assert.deepEqual(used, ['full', 'quarter', 'first']);
+});
+
+test('templatize leaves earlier placeholders and regex characters alone', () => {
+  const { body } = templateService.templatize('Cost: $5.00 for name', { price: '$5.00', label: 'name', other: 'price' });
+  assert.equal(body, 'Cost: {{price}} for {{label}}');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const usageController = require('../controllers/usageController');
+
+const call = async (handler, req) => {
+  const result = {};
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  await handler(req, res, error => { result.error = error; });
+  return result;
+};
+
+const admin = { id: 'a1', email: 'admin@example.com' };
+
+test('setPlan stores the plan on the account and returns the profile', async (t) => {
+  const user = new User({ email: 'ada@example.com', passwordHash: 'x' });
+  const updates = [];
+  t.mock.method(User, 'findByIdAndUpdate', async (id, update, options) => {
+    updates.push({ id, update, options });
+    user.plan = update.plan;
+    return user;
+  });
+
+  const result = await call(usageController.setPlan, {
+    params: { userId: user._id.toString() },
+    body: { plan: 'unlimited' },
+    user: admin
+  });
+
+  assert.equal(result.status, 200);
+  assert.equal(result.body.data.plan, 'unlimited');
+  assert.deepEqual(updates[0].update, { plan: 'unlimited' });
+  assert.equal(updates[0].options.runValidators, true);
+});
+
+test('setPlan answers 404 for an unknown user', async (t) => {
+  t.mock.method(User, 'findByIdAndUpdate', async () => null);
+
+  const result = await call(usageController.setPlan, {
+    params: { userId: '65a000000000000000000001' },
+    body: { plan: 'free' },
+    user: admin
+  });
+
+  assert.equal(result.status, 404);
+  assert.equal(result.body.error, 'User not found');
+});
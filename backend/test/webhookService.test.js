@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const webhookConfig = require('../config/webhooks');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const webhookService = require('../services/webhookService');
+
+test('sign produces "t=<timestamp>,v1=<HMAC-SHA256 of t.body>"', () => {
+  const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+  assert.equal(webhookService.sign('secret', 1700000000, '{"a":1}'), `t=1700000000,v1=${expected}`);
+});
+
+test('retryDelay doubles from the base delay and is capped', () => {
+  const { baseDelayMs, maxDelayMs } = webhookConfig;
+  assert.equal(webhookService.retryDelay(1), baseDelayMs);
+  assert.equal(webhookService.retryDelay(2), baseDelayMs * 2);
+  assert.equal(webhookService.retryDelay(5), Math.min(baseDelayMs * 16, maxDelayMs));
+  assert.equal(webhookService.retryDelay(30), maxDelayMs);
+});
+
+// Runs one delivery attempt against url with the database calls stubbed out
+const attemptDelivery = async (t, url) => {
+  const delivery = new WebhookDelivery({
+    subscriptionId: '507f1f77bcf86cd799439011',
+    userId: 'u1',
+    event: 'history.created',
+    eventId: 'evt_1',
+    payload: { id: 'evt_1', event: 'history.created', data: {} }
+  });
+  delivery.save = async () => delivery;
+  const subscription = { active: true, url, secret: 'whsec_test' };
+
+  t.mock.method(WebhookDelivery, 'findOne', async () => delivery);
+  t.mock.method(WebhookSubscription, 'findById', () => ({ select: async () => subscription }));
+  t.mock.method(webhookService, 'schedule', () => {});
+
+  await webhookService.attempt(delivery._id);
+  return delivery;
+};
+
+const listen = async (t, handler) => {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}/hook`;
+};
+
+test('attempt never sends to a private address', async (t) => {
+  let hits = 0;
+  const url = await listen(t, (req, res) => {
+    hits++;
+    res.end('internal data');
+  });
+
+  const delivery = await attemptDelivery(t, url);
+  assert.equal(hits, 0);
+  assert.equal(delivery.status, 'pending');
+  assert.match(delivery.error, /private or reserved/);
+
+  const byName = await attemptDelivery(t, url.replace('127.0.0.1', 'localhost'));
+  assert.equal(hits, 0);
+  assert.match(byName.error, /private or reserved/);
+});
+
+test('attempt signs the body and records only the status', async (t) => {
+  t.after(() => { webhookConfig.allowPrivateNetworks = false; });
+  webhookConfig.allowPrivateNetworks = true;
+
+  let received;
+  const url = await listen(t, (req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received = { headers: req.headers, body };
+      res.end('response body that must not be stored');
+    });
+  });
+
+  const delivery = await attemptDelivery(t, url);
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(delivery.responseStatus, 200);
+  assert.equal(delivery.toObject().responseBody, undefined);
+
+  const [, timestamp] = /^t=(\d+),v1=/.exec(received.headers['x-promptmate-signature']);
+  assert.equal(received.headers['x-promptmate-signature'], webhookService.sign('whsec_test', Number(timestamp), received.body));
+  assert.equal(received.headers['x-promptmate-event'], 'history.created');
+});
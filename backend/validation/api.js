@@ -0,0 +1,49 @@
+const { requireUser, requireAdmin, allowAnonymous } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+
+// Every declared route, in declaration order; the OpenAPI document is built from these
+const routes = [];
+
+const AUTH = {
+  required: requireUser,
+  admin: requireAdmin,
+  optional: allowAnonymous,
+  none: []
+};
+
+// Declares routes on an Express router together with their spec:
+//
+//   api.post('/rewrite', {
+//     summary, description, tags,
+//     auth: 'required' | 'admin' | 'optional' | 'none',  (default from createApi)
+//     params, query, body,                               (object schemas, see validation/schema.js)
+//     checks: [async (req) => problem | null],           (see validation/checks.js)
+//     responses: { 200: { description, data } },         (data is wrapped in { success, data })
+//     errors: { 404: 'History item not found' },         (documented error responses)
+//     quota: true                                        (documents 429 and the X-Quota-* headers)
+//   }, ...handlers);
+//
+// The spec's auth middleware and request validation run before the handlers.
+// prefix is the router's mount path and is only used for documentation.
+// "/api/jobs" + "/" -> "/api/jobs", so documented paths match the URLs clients call
+const joinPath = (prefix, path) => (path === '/' && prefix ? prefix : prefix + path);
+
+const createApi = (router, prefix, defaults = {}) => {
+  const api = {};
+  
+  for (const method of ['get', 'post', 'put', 'delete']) {
+    api[method] = (path, spec, ...handlers) => {
+      const fullSpec = { auth: 'required', ...defaults, ...spec, tags: spec.tags || defaults.tags || [] };
+      routes.push({ method, path: joinPath(prefix, path), spec: fullSpec, handler: handlers[handlers.length - 1] });
+      router[method](path, ...[].concat(AUTH[fullSpec.auth]), validateRequest(fullSpec), ...handlers);
+      return api;
+    };
+  }
+  
+  return api;
+};
+
+module.exports = {
+  createApi,
+  routes
+};
@@ -0,0 +1,102 @@
+const catalogService = require('../services/catalogService');
+const providerRegistry = require('../services/providers');
+const languageService = require('../services/languageService');
+const networkGuard = require('../services/networkGuard');
+
+// Rules a static schema cannot express because they depend on the caller or on
+// server configuration. Each check receives the request after schema validation and
+// returns null or { in, field, error?, message }. Checks may normalize values in place.
+
+const get = (source, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+// Custom tones/types are per user, so the allowed names are only known at request time
+const catalogName = (kind, path = kind) => async (req) => {
+  const value = get(req.body, path);
+  if (value === undefined) return null;
+
+  const catalogError = await catalogService.checkName(kind, value, req.user && req.user.id);
+  return catalogError && { in: 'body', field: path, ...catalogError };
+};
+
+// Same check for every element of an array, e.g. each variant's tone
+const catalogNameInList = (kind, listPath, property = kind) => async (req) => {
+  const list = get(req.body, listPath) || [];
+  for (const [index, entry] of list.entries()) {
+    if (entry[property] === undefined) continue;
+    const catalogError = await catalogService.checkName(kind, entry[property], req.user && req.user.id);
+    if (catalogError) {
+      return {
+        in: 'body',
+        field: `${listPath}[${index}].${property}`,
+        error: catalogError.error,
+        message: `${listPath}[${index}]: ${catalogError.message}`
+      };
+    }
+  }
+  return null;
+};
+
+const providerConfigured = async (req) => {
+  const { provider } = req.body;
+  if (provider === undefined || providerRegistry.get(provider).isConfigured()) return null;
+
+  return {
+    in: 'body',
+    field: 'provider',
+    error: 'Provider unavailable',
+    message: `Provider "${provider}" is not configured on this server`
+  };
+};
+
+// Accepts codes or English names and rewrites the value to the code
+const language = (location, name) => async (req) => {
+  const source = location === 'query' ? req.query : req.body;
+  if (source[name] === undefined) return null;
+
+  const code = languageService.normalize(source[name]);
+  if (!code) {
+    return {
+      in: location,
+      field: name,
+      message: `${name} must be one of: ${languageService.list().map(entry => entry.code).join(', ')} (codes or English names)`
+    };
+  }
+  source[name] = code;
+  return null;
+};
+
+// Server-side requests must not reach this host or internal networks
+const publicUrl = (name) => async (req) => {
+  const value = req.body[name];
+  if (value === undefined) return null;
+
+  const problem = await networkGuard.checkUrl(value);
+  return problem && {
+    in: 'body',
+    field: name,
+    error: `Invalid ${name}`,
+    message: `${name} must point to a public host: ${problem}`
+  };
+};
+
+const dateOrder = async (req) => {
+  const { from, to } = req.query;
+  if (from && to && new Date(from) > new Date(to)) {
+    return {
+      in: 'query',
+      field: 'from',
+      error: 'Invalid date range',
+      message: 'from must not be later than to'
+    };
+  }
+  return null;
+};
+
+module.exports = {
+  catalogName,
+  catalogNameInList,
+  providerConfigured,
+  language,
+  publicUrl,
+  dateOrder
+};
@@ -0,0 +1,278 @@
+const limits = require('../config/limits');
+const webhookConfig = require('../config/webhooks');
+const structuredConfig = require('../config/structuredOutput');
+const providerRegistry = require('../services/providers');
+const languageService = require('../services/languageService');
+
+// Reusable schemas, published under components.schemas in the OpenAPI document.
+// Request schemas reference them with ref('Name').
+const ref = (name, overrides = {}) => ({ $ref: `#/components/schemas/${name}`, ...overrides });
+
+const schemas = {
+  ObjectId: {
+    type: 'string',
+    format: 'objectId',
+    description: '24-character hexadecimal MongoDB id'
+  },
+  UserIdParam: {
+    type: 'string',
+    description: '"me" or your own user id',
+    example: 'me'
+  },
+  PromptText: {
+    type: 'string',
+    minLength: 1,
+    maxLength: limits.promptLength,
+    'x-trim': true,
+    description: 'Text to rewrite'
+  },
+  Tone: {
+    type: 'string',
+    description: 'A built-in tone or one of your custom tones (see GET /api/catalog/tones)',
+    example: 'professional'
+  },
+  Type: {
+    type: 'string',
+    description: 'A built-in type or one of your custom types (see GET /api/catalog/types)',
+    example: 'email'
+  },
+  Provider: {
+    type: 'string',
+    enum: providerRegistry.names(),
+    description: 'LLM provider; defaults to the server default'
+  },
+  Model: {
+    type: 'string',
+    minLength: 1,
+    'x-trim': true,
+    description: 'Model name for the provider; defaults to the provider default'
+  },
+  Language: {
+    type: 'string',
+    description: `Language code or English name. Supported: ${languageService.list().map(entry => entry.code).join(', ')}`,
+    example: 'de'
+  },
+  Temperature: {
+    type: 'number',
+    minimum: 0,
+    maximum: 2
+  },
+  Tag: {
+    type: 'string',
+    minLength: 1,
+    maxLength: limits.tagLength,
+    'x-trim': true
+  },
+  WebhookEvent: {
+    type: 'string',
+    enum: webhookConfig.events
+  },
+  Page: {
+    type: 'integer',
+    minimum: 1,
+    default: 1
+  },
+  PageSize: {
+    type: 'integer',
+    minimum: 1,
+    maximum: limits.pageSize,
+    default: 20
+  },
+  SortOrder: {
+    type: 'string',
+    enum: ['asc', 'desc'],
+    default: 'desc'
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      currentPage: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      totalItems: { type: 'integer' },
+      itemsPerPage: { type: 'integer' },
+      hasNext: { type: 'boolean' },
+      hasPrev: { type: 'boolean' }
+    }
+  },
+  RewriteMetadata: {
+    type: 'object',
+    properties: {
+      processingTime: { type: 'integer', description: 'Milliseconds' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      temperature: { type: 'number' },
+      systemPromptVersion: { type: ['string', 'null'], description: 'Version of the rewrite instructions used' },
+      experimentId: { type: ['string', 'null'], description: 'Experiment running when the rewrite was made' },
+      experimentVariant: { type: ['string', 'null'], description: 'Experiment variant the request was assigned to' },
+      cached: { type: 'boolean' },
+      tokens: {
+        type: 'object',
+        properties: {
+          input: { type: 'integer' },
+          output: { type: 'integer' },
+          total: { type: 'integer' },
+          estimated: { type: 'boolean' }
+        }
+      },
+      cost: {
+        type: 'object',
+        properties: {
+          input: { type: 'number' },
+          output: { type: 'number' },
+          total: { type: 'number' },
+          currency: { type: 'string' }
+        }
+      },
+      apiCost: { type: 'number', description: 'Total cost of the model call in USD' },
+      sourceLanguage: { type: ['string', 'null'] },
+      targetLanguage: { type: ['string', 'null'] },
+      pii: {
+        type: 'object',
+        description: 'PII policy and the number of values found per category'
+      }
+    }
+  },
+  RewriteResult: {
+    type: 'object',
+    properties: {
+      originalPrompt: { type: 'string' },
+      rewrittenPrompt: { type: 'string' },
+      tone: { type: 'string' },
+      type: { type: 'string' },
+      metadata: ref('RewriteMetadata'),
+      cached: { type: 'boolean' },
+      format: { type: 'string', enum: structuredConfig.formats },
+      structured: ref('Structured', { description: 'Only with format "structured"; rewrittenPrompt holds the same content as text' }),
+      analysis: { type: 'object', description: 'Offline analysis of the original and the rewrite' },
+      diff: { type: 'object', description: 'Only with includeDiff' },
+      historyId: ref('ObjectId'),
+      savedToHistory: { type: 'boolean' }
+    }
+  },
+  HistoryItem: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      userId: { type: 'string' },
+      originalPrompt: { type: 'string' },
+      rewrittenPrompt: { type: 'string' },
+      tone: { type: 'string' },
+      type: { type: 'string' },
+      sourceLanguage: { type: ['string', 'null'] },
+      targetLanguage: { type: ['string', 'null'] },
+      format: { type: 'string', enum: structuredConfig.formats },
+      structured: ref('Structured', { type: ['object', 'null'] }),
+      isFavorite: { type: 'boolean' },
+      tags: { type: 'array', items: { type: 'string' } },
+      collections: { type: 'array', items: ref('ObjectId') },
+      templateId: { type: ['string', 'null'], description: 'Template the prompt was filled in from' },
+      feedback: {
+        type: ['object', 'null'],
+        description: 'Your rating (see PUT /api/history/{id}/feedback)',
+        properties: {
+          rating: { type: ['integer', 'null'] },
+          thumbs: { type: ['string', 'null'] },
+          reasons: { type: 'array', items: { type: 'string' } },
+          finalText: { type: ['string', 'null'] },
+          finalTextSimilarity: { type: ['number', 'null'], description: '1 = sent unchanged' },
+          comment: { type: 'string' },
+          submittedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      version: { type: 'integer' },
+      parentId: { type: ['string', 'null'] },
+      rootId: { type: ['string', 'null'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      metadata: ref('RewriteMetadata')
+    }
+  },
+  // Shapes returned with format: "structured" (see config/structuredOutput.js)
+  StructuredEmail: {
+    type: 'object',
+    required: ['subjectOptions', 'greeting', 'body', 'signOff'],
+    properties: {
+      subjectOptions: { type: 'array', minItems: 1, maxItems: 5, items: ref('StructuredText') },
+      greeting: ref('StructuredText'),
+      body: ref('StructuredText'),
+      signOff: ref('StructuredText')
+    }
+  },
+  StructuredReport: {
+    type: 'object',
+    required: ['title', 'sections'],
+    properties: {
+      title: ref('StructuredText'),
+      summary: { type: 'string' },
+      sections: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['heading', 'content'],
+          properties: {
+            heading: ref('StructuredText'),
+            content: ref('StructuredText')
+          }
+        }
+      }
+    }
+  },
+  StructuredSummary: {
+    type: 'object',
+    required: ['bullets'],
+    properties: {
+      title: { type: 'string' },
+      bullets: { type: 'array', minItems: 1, items: ref('StructuredText') }
+    }
+  },
+  StructuredDocument: {
+    type: 'object',
+    required: ['paragraphs'],
+    properties: {
+      title: { type: 'string' },
+      paragraphs: { type: 'array', minItems: 1, items: ref('StructuredText') }
+    }
+  },
+  StructuredText: {
+    type: 'string',
+    minLength: 1,
+    'x-trim': true
+  },
+  Structured: {
+    description: 'Structured rewrite; the shape depends on the type (email, report, summary, anything else)',
+    anyOf: [ref('StructuredEmail'), ref('StructuredReport'), ref('StructuredSummary'), ref('StructuredDocument')]
+  },
+  Error: {
+    type: 'object',
+    required: ['error', 'message'],
+    properties: {
+      error: { type: 'string', description: 'Short error title' },
+      message: { type: 'string', description: 'What went wrong and how to fix it' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['error', 'message', 'details'],
+    properties: {
+      error: { type: 'string', example: 'Invalid prompt' },
+      message: { type: 'string', example: 'prompt must not be empty' },
+      details: {
+        type: 'array',
+        description: 'Every problem found in the request',
+        items: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['path', 'query', 'body'] },
+            field: { type: 'string', example: 'variants[1].temperature' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  schemas,
+  ref
+};
@@ -0,0 +1,186 @@
+// Validates values against the JSON Schema subset used by route specs: type (or a list
+// of types), enum, const, string length/pattern/format, number ranges, arrays, objects
+// (including a schema for additionalProperties), anyOf and $ref into the shared components. Three extensions are understood:
+//   x-trim    - string length rules apply to the trimmed value ("   " is empty)
+//   x-message - replaces the generated message when this node fails
+//   x-error   - error title to report when this node fails (default "Invalid <field>")
+// Nothing is mutated; query and path values (always strings) are checked with `coerce`,
+// which accepts "12" for integers and numbers and "true"/"false" for booleans.
+
+const FORMATS = {
+  objectId: value => /^[a-f0-9]{24}$/i.test(value),
+  date: value => !isNaN(Date.parse(value)),
+  'date-time': value => !isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+const FORMAT_NAMES = {
+  objectId: 'an id',
+  date: 'an ISO 8601 date, e.g. 2025-01-31',
+  'date-time': 'an ISO 8601 date',
+  email: 'a valid email address',
+  uri: 'an http(s) URL'
+};
+
+const article = (type) => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`);
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (type, value, coerce) => {
+  const actual = typeOf(value);
+  if (type === actual) return true;
+  if (type === 'number' && actual === 'integer') return true;
+  if (!coerce || actual !== 'string') return false;
+  if (type === 'integer') return /^-?\d+$/.test(value);
+  if (type === 'number') return value.trim() !== '' && !isNaN(Number(value));
+  if (type === 'boolean') return value === 'true' || value === 'false';
+  return false;
+};
+
+// Query and path values arrive as strings; numeric rules compare the parsed value
+const numeric = (value) => (typeof value === 'string' ? Number(value) : value);
+
+const describeRange = (min, max, unit) => {
+  if (min !== undefined && max !== undefined) return `between ${min} and ${max}${unit}`;
+  if (min !== undefined) return `at least ${min}${unit}`;
+  return `at most ${max}${unit}`;
+};
+
+class SchemaValidator {
+  constructor(components = {}) {
+    this.components = components;
+  }
+
+  resolve(schema) {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+      const name = resolved.$ref.replace('#/components/schemas/', '');
+      if (!this.components[name]) throw new Error(`Unknown schema reference ${resolved.$ref}`);
+      // Sibling keywords (description, x-message) override the referenced schema
+      const { $ref, ...overrides } = resolved;
+      resolved = { ...this.components[name], ...overrides };
+    }
+    return resolved;
+  }
+
+  // Returns [{ path, message, error? }]; empty when the value is valid
+  validate(schema, value, { path = '', coerce = false } = {}) {
+    const errors = [];
+    this.check(this.resolve(schema), value, path, coerce, errors);
+    return errors;
+  }
+
+  check(schema, value, path, coerce, errors) {
+    const label = path || 'value';
+    const fail = (message) => {
+      errors.push({
+        path,
+        message: schema['x-message'] || `${label} ${message}`,
+        ...(schema['x-error'] && { error: schema['x-error'] })
+      });
+      return false;
+    };
+
+    if (schema.anyOf && !schema.anyOf.some(option => this.validate(option, value, { path, coerce }).length === 0)) {
+      return fail('does not match any of the allowed forms');
+    }
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0) {
+      if (!types.some(type => matchesType(type, value, coerce))) {
+        return fail(`must be ${types.filter(type => type !== 'null').map(article).join(' or ')}`);
+      }
+      if (value === null) return true;
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      return fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      return fail(`must be one of: ${schema.enum.filter(option => option !== null).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      const text = schema['x-trim'] ? value.trim() : value;
+      if (schema['x-trim'] && schema.minLength > 0 && text.length === 0) {
+        return fail('must not be empty');
+      }
+      if ((schema.minLength !== undefined && text.length < schema.minLength) ||
+          (schema.maxLength !== undefined && text.length > schema.maxLength)) {
+        return fail(`must be ${describeRange(schema.minLength, schema.maxLength, ' characters')}`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(text)) {
+        return fail('has an invalid format');
+      }
+      if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](text)) {
+        return fail(`must be ${FORMAT_NAMES[schema.format]}`);
+      }
+    }
+
+    if (types.includes('number') || types.includes('integer')) {
+      const number = numeric(value);
+      const tooLow = (schema.minimum !== undefined && number < schema.minimum) ||
+        (schema.exclusiveMinimum !== undefined && number <= schema.exclusiveMinimum);
+      const tooHigh = schema.maximum !== undefined && number > schema.maximum;
+      if (tooLow || tooHigh) {
+        const min = schema.minimum !== undefined ? schema.minimum : schema.exclusiveMinimum;
+        return fail(`must be ${describeRange(min, schema.maximum, '')}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if ((schema.minItems !== undefined && value.length < schema.minItems) ||
+          (schema.maxItems !== undefined && value.length > schema.maxItems)) {
+        return fail(`must contain ${describeRange(schema.minItems, schema.maxItems, ' items')}`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.check(this.resolve(schema.items), item, `${path}[${index}]`, coerce, errors));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      for (const name of schema.required || []) {
+        if (value[name] === undefined || value[name] === null) {
+          const property = this.resolve((schema.properties || {})[name] || {});
+          const field = path ? `${path}.${name}` : name;
+          errors.push({
+            path: field,
+            message: property['x-message'] || `${field} is required`,
+            ...(property['x-error'] && { error: property['x-error'] })
+          });
+        }
+      }
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        if (value[name] === undefined) continue;
+        this.check(this.resolve(property), value[name], path ? `${path}.${name}` : name, coerce, errors);
+      }
+      if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        const extra = this.resolve(schema.additionalProperties);
+        for (const [name, item] of Object.entries(value)) {
+          if ((schema.properties || {})[name] !== undefined) continue;
+          this.check(extra, item, path ? `${path}.${name}` : name, coerce, errors);
+        }
+      }
+      if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+        return fail('must not be empty');
+      }
+    }
+
+    return true;
+  }
+}
+
+module.exports = SchemaValidator;